@@ -4,6 +4,8 @@ using System.Collections;
 using System.Collections.Generic;
 using System.Diagnostics;
 using System.Runtime.Intrinsics.X86;
+using System.Text.Json;
+using System.Text.RegularExpressions;
 using System.Xml.Linq;
 
 class WISE_setup
@@ -11,12 +13,13 @@ class WISE_setup
     static void Main(string[] args)
     {
         List<string> outputs = new List<string>();
-        Dictionary<string, string> simulationSetup = new Dictionary<string, string>();          //dictionary because it is easier to see the value pairs when debugging. 
+        Dictionary<string, Dictionary<string, object>> simulationSetup = new Dictionary<string, Dictionary<string, object>>();      //one dictionary per section of the setup file, the keys are what job_fromc_sharp.js reads
 
         string testFolder = "C:/jobs/test/";
         string apiFolder = @"C:\WISE_JS_API-main";      //WISE API, also contains the dist folder, and in that is the ./dist/job_fromc_sharp.js file. 
         
         string inputTextFile = args[0];
+        string scriptFolder = args.Length > 1 ? args[1] : Directory.GetCurrentDirectory();      //this repository, with job_fromc_sharp.js and geotiff.js, by default the folder dotnet run is started in
         string[] inputParams = File.ReadAllLines(inputTextFile);
         
         //Select Outputs
@@ -24,97 +27,127 @@ class WISE_setup
         outputs.Add("RAZ");  //Rate of Spread Direction
         outputs.Add("AT");   //Arrival Time
 
-        //Folder with all the data
-        simulationSetup.Add("Input Directory", @$"{inputParams[0]}");
-
-        //Landscape and weather data names 
-        simulationSetup.Add("FBP Fuel Map File Name", inputParams[1]);
-        simulationSetup.Add("FBP Fuel Map Lookup Table File Name", inputParams[2]);
-        simulationSetup.Add("Elevation File Name", inputParams[3]);
-        simulationSetup.Add("Elevation Projection File Name", inputParams[4]);
-        simulationSetup.Add("Weather File Name", inputParams[5]);
+        //Landscape and weather data names, and the folder with all the data
+        simulationSetup.Add("inputs", new Dictionary<string, object>
+        {
+            { "directory", inputParams[0] },
+            { "fuelMap", inputParams[1] },                   //FBP Fuel Map File Name
+            { "fuelLookupTable", inputParams[2] },           //FBP Fuel Map Lookup Table File Name
+            { "elevation", inputParams[3] },                 //Elevation File Name
+            { "projection", inputParams[4] },                //Elevation Projection File Name
+            { "weather", inputParams[5] },                   //Weather File Name
+        });
 
         //Ignition Data
-        simulationSetup.Add("Ignition Time", inputParams[6]);
-        simulationSetup.Add("Ignition Coords", inputParams[7]);
-
-
-        //Simulation Data
-        simulationSetup.Add("Simulation End Time", inputParams[8]);
-
-        //Weather Station Data
-        simulationSetup.Add("Weather Station Height", inputParams[9]);
-        simulationSetup.Add("Weather Station Coords", inputParams[10]);
-        simulationSetup.Add("Weather Station Start Date", inputParams[11]);
-        simulationSetup.Add("Weather Station End Date", inputParams[12]);
+        simulationSetup.Add("ignition", new Dictionary<string, object>
+        {
+            { "time", inputParams[6] },
+            { "location", inputParams[7] },                  //lat,long
+        });
 
-        //Additional Parameters
+        //Simulation Data, the times are in the time zone on the optional line 14 of the input file (an IANA name such as America/Edmonton),
+        //which is only needed if none of the ignition, end or weather times give their offset (e.g. 2001-10-16T13:00:00-06:00)
+        var simulation = new Dictionary<string, object>
+        {
+            { "endTime", inputParams[8] },
+        };
+        if (inputParams.Length > 13 && !string.IsNullOrWhiteSpace(inputParams[13]))
+        {
+            simulation.Add("timezone", inputParams[13].Trim());
+        }
+        else if (!new[] { 6, 8, 11, 12 }.Any(line => HasOffset(inputParams[line])))
+        {
+            throw new ArgumentException($"'{inputTextFile}' must give the time zone on line 14, an IANA name such as America/Edmonton, as none of its times give their offset");
+        }
+        simulationSetup.Add("simulation", simulation);
 
-        //Weather:
-        simulationSetup.Add("HFFMC Value", "94.0");
-        simulationSetup.Add("HFFMC Hour", "17");
-        simulationSetup.Add("Starting FFMC", "89.0");
-        simulationSetup.Add("Starting DMC", "58.0");
-        simulationSetup.Add("Starting DC", "482.0");
-        simulationSetup.Add("Starting Precipitation", "0.0");
+        //Weather Station Data, and the starting codes of the weather stream
+        simulationSetup.Add("weather", new Dictionary<string, object>
+        {
+            { "stationHeight", inputParams[9] },
+            { "stationLocation", inputParams[10] },          //lat,long
+            { "startTime", inputParams[11] },
+            { "endTime", inputParams[12] },
+            { "hffmcValue", 94.0 },
+            { "hffmcHour", 17 },
+            { "startingFfmc", 89.0 },
+            { "startingDmc", 58.0 },
+            { "startingDc", 482.0 },
+            { "startingPrecipitation", 0.0 },
+        });
 
         //Burning Condition (Conditions that prevent or allow burning):
-        simulationSetup.Add("Minimum FWI", "19");
-        simulationSetup.Add("Minimum Wind Speed", "0");
-        simulationSetup.Add("Maximum Relative Humidity", "95.0");
-        simulationSetup.Add("Minimum ISI", "0.0");
+        simulationSetup.Add("burningConditions", new Dictionary<string, object>
+        {
+            { "minFwi", 19 },
+            { "minWindSpeed", 0 },
+            { "maxRelativeHumidity", 95.0 },
+            { "minIsi", 0.0 },
+        });
 
         //FMG Options:
-        simulationSetup.Add("Maximum Acceleration Time Step (minutes)", "4");
-        simulationSetup.Add("Distance Resolution", "8.0");
-        simulationSetup.Add("Perimeter Resolution", "8.0");
-        simulationSetup.Add("Minimum Spread ROS", "1.0");
-        simulationSetup.Add("Stop Simulation if Boundary Reached", "false");
-        simulationSetup.Add("Breaching", "true");
-        simulationSetup.Add("Use Dynamic Spatial Threshold algorithm", "true");
-        simulationSetup.Add("Use Spotting", "true");
-        simulationSetup.Add("Retain hidden time steps", "false");
-        simulationSetup.Add("Apply growth percentile value", "true");
-        simulationSetup.Add("Growth percentile", "50.0");
+        simulationSetup.Add("fgm", new Dictionary<string, object>
+        {
+            { "maxAccelerationTimeStep", 4 },                //minutes
+            { "distanceResolution", 8.0 },
+            { "perimeterResolution", 8.0 },
+            { "minimumSpreadRos", 1.0 },
+            { "stopAtGridEnd", false },                      //Stop Simulation if Boundary Reached
+            { "breaching", true },
+            { "dynamicSpatialThreshold", true },
+            { "spotting", true },
+            { "retainHiddenTimeSteps", false },
+            { "growthPercentileApplied", true },
+            { "growthPercentile", 50.0 },
+        });
 
         //Probabilistic Values Options:
-        simulationSetup.Add("Ignition dx", "1.0");
-        simulationSetup.Add("Ignition dy", "1.0");
-        simulationSetup.Add("Ignition dt (minutes, seconds)", "0,10");
+        simulationSetup.Add("probabilistic", new Dictionary<string, object>
+        {
+            { "ignitionDx", 1.0 },
+            { "ignitionDy", 1.0 },
+            { "ignitionDt", "PT10S" },                       //ISO 8601 duration
+        });
 
         //FBP Options
-        simulationSetup.Add("Use Terrain Effects", "true");
-        simulationSetup.Add("Use Wind Effects", "true");
+        simulationSetup.Add("fbp", new Dictionary<string, object>
+        {
+            { "terrainEffect", true },
+            { "windEffect", true },
+        });
 
         //FMC Options
-        simulationSetup.Add("FMC Override Value", "-1");
-        simulationSetup.Add("NODATA Elevation", "0.0");
+        simulationSetup.Add("fmc", new Dictionary<string, object>
+        {
+            { "percentOverride", -1 },
+            { "nodataElevation", 0.0 },
+        });
 
         //FWI Options
-        simulationSetup.Add("Apply FWI Spatial Interpolation", "false");
-        simulationSetup.Add("FWI from temporal weather", "true");
-        simulationSetup.Add("apply history to FWI values", "false");
-        simulationSetup.Add("Use burning conditions", "false");
-        simulationSetup.Add("Apply FWI Temporal Interpolation", "false");
-
-        using (StreamWriter file = new StreamWriter(testFolder + "SimulationDictionary.txt"))
+        simulationSetup.Add("fwi", new Dictionary<string, object>
         {
-            foreach (var entry in simulationSetup)
-            {
-                //file.WriteLine("{0} {1}", entry.Key, entry.Value);
-                file.WriteLine("{0}", entry.Value);
-            }
-        }
+            { "spatialInterpolation", false },               //always on when the setup lists more than one weather station
+            { "fromSpatialWeather", true },
+            { "historyOnEffectedFwi", false },
+            { "burningConditionsOn", false },
+            { "temporalInterpolation", false },
+        });
+
+        File.WriteAllText(testFolder + "SimulationDictionary.json", JsonSerializer.Serialize(simulationSetup, new JsonSerializerOptions { WriteIndented = true }));
+
         string outputString = "";
         foreach (var arg in outputs) 
         {
-            outputString += "-" + arg + " " + arg + " " + simulationSetup["Simulation End Time"] + " ";
+            outputString += "-" + arg + " " + arg + " " + simulationSetup["simulation"]["endTime"] + " ";
         }
 
-        var inputDataFolder = simulationSetup["Input Directory"];
-        for (int i = 1; i <= 5; i++)
+        var inputDataFolder = (string)simulationSetup["inputs"]["directory"];
+        foreach (var entry in simulationSetup["inputs"])
         {
-            CopyFile(inputDataFolder, testFolder, simulationSetup.Values.ElementAt(i));
+            if (entry.Key != "directory")
+            {
+                CopyFile(inputDataFolder, testFolder, (string)entry.Value);
+            }
         }
         /*
         RunCommand("java -jar WISE_Builder.jar -s -j C:/jobs", @"C:\WISE_Builder-1.0.6-beta.5");
@@ -122,9 +155,23 @@ class WISE_setup
         RunCommand("java -jar WISE_Manager_Ui.jar", @"C:\WISE_Manager-0.6.beta.5");
         Thread.Sleep(2000);
         */
-        File.Copy(@"D:\OneDrive - Imperial College London\Imperial\PhD\RACEWILDFIRE\2Dsmoke\WISE-Preprocessor\job_fromc_sharp.js",@"C:\WISE_JS_API-main\dist\job_fromc_sharp.js",true);
+        foreach (var script in new[] { "job_fromc_sharp.js", "geotiff.js" })      //geotiff.js is used to clip exports
+        {
+            string sourceScript = Path.Combine(scriptFolder, script);
+            if (!File.Exists(sourceScript))
+            {
+                throw new FileNotFoundException($"'{sourceScript}' does not exist, give the folder of this repository as the second argument.");
+            }
+            File.Copy(sourceScript, Path.Combine(apiFolder, "dist", script), true);
+        }
         Console.WriteLine(outputString);
-        RunCommand("node ./dist/job_fromc_sharp.js " + outputString, apiFolder);
+        RunCommand("node ./dist/job_fromc_sharp.js --config " + testFolder + "SimulationDictionary.json " + outputString, apiFolder);
+    }
+
+    static bool HasOffset(string time)
+    {
+        // an ISO 8601 time ending in Z or an offset such as -06:00, as job_fromc_sharp.js reads them
+        return Regex.IsMatch(time.Trim(), @"T[^Zz+-]*([Zz]|[+-]\d{2}(:?\d{2})?)$");
     }
 
     static void CopyFile(string inputFolder, string destinationFolder, string fileName)
@@ -0,0 +1,336 @@
+/**
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+"use strict";
+/**
+ * Combines the grid exports of every scenario of a finished multi-scenario or ensemble job into per-cell statistics.
+ *
+ * Example Usage:
+ * node aggregate_results.js C:/jobs/job_20011016/Outputs --out C:/results/dogrib --percentiles 10,50,90 --ros-threshold 10
+ *
+ * Command Line Input Expectations:
+ * - The first argument is the Outputs folder of the W.I.S.E. job, or the folder its results were collected into by
+ *      --results of job_fromc_sharp.js. Each scenario's exports are read from the folder named after the scenario,
+ *      as written by job_fromc_sharp.js. The scenarios are taken from scenarios.json if it exists, otherwise every
+ *      folder holding a burn grid is used.
+ * - The exports of each scenario are found by the filenames given as options, which may hold the tokens of the
+ *      export filenames of job_fromc_sharp.js: {scenario} and {type} are filled in, and {time}, {start} and {end}
+ *      match any time, the latest is used if several do. E.g. --bg bg_{scenario}_{time}
+ *      Without the option, the export of the type is taken from the manifest.json of a results folder (the latest
+ *      if there are several), or else the filename is the type, e.g. BG.tif.
+ * - Options:
+ *      --out [folder]: Where to write the statistics, defaults to an aggregate folder in the Outputs folder.
+ *      --bg [filename]: The filename of the burn grid (-BG) export of each scenario.
+ *      --at [filename]: The filename of the arrival time (-AT) export of each scenario.
+ *      --ros [filename]: The filename of the rate of spread (-ROS) export of each scenario.
+ *      --ros-threshold [value]: Write the probability of the rate of spread reaching this value. Requires the ROS exports.
+ *      --percentiles [list]: The arrival time percentiles to write, comma separated, defaults to 10,50,90.
+ *
+ * Outputs, all GeoTIFFs on the grid of the scenario exports, which must all have the same size, cell size and tiepoint:
+ *      burn_probability.tif: The fraction of scenarios in which each cell burned.
+ *      arrival_time_mean.tif, arrival_time_min.tif, arrival_time_max.tif: Statistics of the arrival time over
+ *          the scenarios in which each cell burned. Cells that never burned hold the no data value.
+ *      arrival_time_p[N].tif: The Nth percentile of the arrival time over the scenarios in which each cell burned.
+ *      ros_exceedance_probability.tif: The fraction of scenarios in which the rate of spread reached --ros-threshold.
+ */
+
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const path = require("path");
+const geotiff_1 = require("./geotiff");
+
+// the no data value written to cells that have no statistic
+const NODATA = -9999;
+
+// the tokens of the export filenames of job_fromc_sharp.js, as the pattern each matches in the filename of a scenario
+const filenameTokens = {
+    scenario: (scenario, type) => escapeRegExp(scenario),
+    type: (scenario, type) => escapeRegExp(type),
+    time: () => "\\d{8}_\\d{4}",
+    start: () => "\\d{8}_\\d{4}",
+    end: () => "\\d{8}_\\d{4}"
+};
+
+/**
+ * Collect the positional arguments and --name value options from the command line arguments.
+ * @param args The command line arguments, without the node executable and script name.
+ */
+function readArguments(args) {
+    const parsed = { positional: [], options: {} };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith("--")) {
+            parsed.options[args[i]] = (i + 1 < args.length && !args[i + 1].startsWith("--")) ? args[++i] : true;
+        }
+        else {
+            parsed.positional.push(args[i]);
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Escape the characters of a text that have a meaning in a regular expression.
+ * @param text The text to match literally.
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Read the manifest.json that job_fromc_sharp.js writes to a folder it collected the results of a job into.
+ * @param outputsFolder The Outputs folder of the job, or the results folder.
+ * @returns The manifest, or null if the folder has none.
+ */
+function readResultsManifest(outputsFolder) {
+    const manifestFile = path.join(outputsFolder, "manifest.json");
+    return fs.existsSync(manifestFile) ? JSON.parse(fs.readFileSync(manifestFile, 'utf8')) : null;
+}
+
+/**
+ * Find the GeoTIFF export of a scenario.
+ * @param folder The scenario's export folder, named after the scenario.
+ * @param type The export type, e.g. BG.
+ * @param filename The export filename, with or without the .tif extension, which may hold the tokens of filenameTokens.
+ *          Null to take the export from the manifest, or else to use the type as the filename.
+ * @param manifest The manifest of a results folder, as returned by readResultsManifest, or null.
+ * @returns The path of the export, the latest if several times match, or null if the scenario does not have it.
+ */
+function findExport(folder, type, filename, manifest) {
+    const scenario = path.basename(folder);
+    if (filename == null && manifest) {
+        const latest = manifest.files.filter(file => file.type === type && file.scenario === scenario && file.file.endsWith(".tif"))
+            .sort((a, b) => Date.parse(a.endTime || a.time) - Date.parse(b.endTime || b.time)).pop();
+        return latest ? path.join(path.dirname(folder), latest.file) : null;
+    }
+    const name = (filename || type).replace(/\.tif$/, "");
+    const pattern = new RegExp("^" + name.split(/(\{[^}]*\})/).map(part => {
+        if (!/^\{.*\}$/.test(part)) {
+            return escapeRegExp(part);
+        }
+        const token = filenameTokens[part.slice(1, -1)];
+        if (!token) {
+            throw Error(`The filename "${filename}" has the unknown token ${part}, use ${Object.keys(filenameTokens).map(name => `{${name}}`).join(", ")}`);
+        }
+        return token(scenario, type);
+    }).join("") + "\\.tif$");
+    // the times are written as yyyyMMdd_HHmm, so the latest sorts last
+    const files = fs.existsSync(folder) ? fs.readdirSync(folder).filter(file => pattern.test(file)).sort() : [];
+    return files.length > 0 ? path.join(folder, files[files.length - 1]) : null;
+}
+
+/**
+ * List the scenario export folders in a job's Outputs folder.
+ * @param outputsFolder The Outputs folder of the job.
+ * @param bgFilename The burn grid filename, used to recognise scenario folders when there is no scenarios.json.
+ * @param manifest The manifest of a results folder, as returned by readResultsManifest, or null.
+ */
+function findScenarioFolders(outputsFolder, bgFilename, manifest) {
+    const scenariosFile = path.join(outputsFolder, "scenarios.json");
+    if (fs.existsSync(scenariosFile)) {
+        return Object.keys(JSON.parse(fs.readFileSync(scenariosFile, 'utf8'))).map(name => path.join(outputsFolder, name));
+    }
+    return fs.readdirSync(outputsFolder, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && findExport(path.join(outputsFolder, entry.name), "BG", bgFilename, manifest))
+        .map(entry => path.join(outputsFolder, entry.name));
+}
+
+/**
+ * Describe the size of a grid and where it lies, for error messages.
+ * @param grid A grid returned by readGeoTiff.
+ */
+function describeGrid(grid) {
+    const extent = geotiff_1.getGridExtent(grid);
+    return `${grid.width}x${grid.height} cells` + (extent ? ` of ${extent.dx}x${extent.dy} from ${extent.x},${extent.y}` : " with no pixel scale and tiepoint");
+}
+
+/**
+ * Get whether two grids have the same cells, so they can be combined cell by cell: the same size, and the same cell
+ * size and top left corner to within a millionth of a cell.
+ * @param grid A grid returned by readGeoTiff.
+ * @param other Another grid returned by readGeoTiff.
+ */
+function sameGrid(grid, other) {
+    const extent = geotiff_1.getGridExtent(grid);
+    const otherExtent = geotiff_1.getGridExtent(other);
+    if (grid.width != other.width || grid.height != other.height || !extent != !otherExtent) {
+        return false;
+    }
+    return !extent || ["x", "y", "dx", "dy"].every(key => Math.abs(extent[key] - otherExtent[key]) <= 1e-6 * Math.abs(extent.dx));
+}
+
+/**
+ * Read one export of a scenario and check it lies on the same grid as the first burn grid.
+ * @param folder The scenario export folder.
+ * @param type The export type, e.g. BG.
+ * @param filename The export filename, see findExport.
+ * @param manifest The manifest of a results folder, as returned by readResultsManifest, or null.
+ * @param reference The first burn grid as { grid, path }, or null when reading it.
+ */
+function readScenarioGrid(folder, type, filename, manifest, reference) {
+    const filePath = findExport(folder, type, filename, manifest);
+    if (!filePath) {
+        throw Error(`The scenario in ${folder} has no ${filename || type} export` + (filename == null ? `, give its filename with --${type.toLowerCase()}` : ""));
+    }
+    const grid = geotiff_1.readGeoTiff(filePath);
+    if (reference && !sameGrid(grid, reference.grid)) {
+        throw Error(`${filePath} is ${describeGrid(grid)} but ` + (type === "BG" ? `${reference.path} is` : "the burn grids are") + ` ${describeGrid(reference.grid)}`);
+    }
+    return { grid: grid, path: filePath };
+}
+
+/**
+ * Get whether a cell of a grid holds data.
+ * @param grid A grid returned by readGeoTiff.
+ * @param index The index of the cell.
+ */
+function hasData(grid, index) {
+    const value = grid.data[index];
+    return !Number.isNaN(value) && (grid.nodata == null || value !== grid.nodata);
+}
+
+/**
+ * Compute the per-cell statistics of the scenario exports and write them as GeoTIFFs. The scenarios are read one at
+ * a time into running counts and sums, only the arrival times of the cells each scenario burned are kept for the percentiles.
+ * @param outputsFolder The Outputs folder of the job.
+ * @param options The --name value options from the command line.
+ * @returns The paths of the files that were written.
+ */
+function aggregateResults(outputsFolder, options) {
+    const outFolder = options["--out"] || path.join(outputsFolder, "aggregate");
+    const bgFilename = options["--bg"] || null;
+    const atFilename = options["--at"] || null;
+    const rosFilename = options["--ros"] || null;
+    const percentiles = String(options["--percentiles"] || "10,50,90").split(",").map(value => {
+        const percentile = Number(value);
+        if (value.trim() === "" || !(percentile >= 0 && percentile <= 100)) {
+            throw Error(`"${value}" is not a percentile between 0 and 100`);
+        }
+        return percentile;
+    });
+    let rosThreshold = null;
+    if (options["--ros-threshold"] != null) {
+        rosThreshold = Number(options["--ros-threshold"]);
+        if (!Number.isFinite(rosThreshold)) {
+            throw Error(`"${options["--ros-threshold"]}" is not a rate of spread threshold`);
+        }
+    }
+
+    const manifest = readResultsManifest(outputsFolder);
+    const folders = findScenarioFolders(outputsFolder, bgFilename, manifest);
+    if (folders.length == 0) {
+        throw Error(`No scenario exports were found in ${outputsFolder}`);
+    }
+    console.log(`Combining the exports of ${folders.length} scenarios`);
+
+    // the running statistics of each cell, over the scenarios read so far
+    let reference = null;
+    let cells = 0;
+    let burnCount, arrivalCount, arrivalSum, arrivalMin, arrivalMax, exceedCount;
+    // the cells each scenario burned with their arrival times, for the percentiles
+    const arrivals = [];
+    for (const folder of folders) {
+        const burn = readScenarioGrid(folder, "BG", bgFilename, manifest, reference);
+        if (!reference) {
+            reference = burn;
+            cells = burn.grid.width * burn.grid.height;
+            burnCount = new Uint32Array(cells);
+            arrivalCount = new Uint32Array(cells);
+            arrivalSum = new Float64Array(cells);
+            arrivalMin = new Float64Array(cells).fill(Infinity);
+            arrivalMax = new Float64Array(cells).fill(-Infinity);
+            exceedCount = new Uint32Array(cells);
+        }
+        const arrival = readScenarioGrid(folder, "AT", atFilename, manifest, reference).grid;
+        const burnedCells = [];
+        const burnedArrivals = [];
+        for (let cell = 0; cell < cells; cell++) {
+            // arrival times outside the burned area are not part of the statistics
+            if (!hasData(burn.grid, cell) || !(burn.grid.data[cell] > 0)) {
+                continue;
+            }
+            burnCount[cell]++;
+            if (hasData(arrival, cell)) {
+                const value = arrival.data[cell];
+                arrivalCount[cell]++;
+                arrivalSum[cell] += value;
+                arrivalMin[cell] = Math.min(arrivalMin[cell], value);
+                arrivalMax[cell] = Math.max(arrivalMax[cell], value);
+                burnedCells.push(cell);
+                burnedArrivals.push(value);
+            }
+        }
+        arrivals.push({ cells: Int32Array.from(burnedCells), values: Float32Array.from(burnedArrivals) });
+
+        if (rosThreshold != null) {
+            const ros = readScenarioGrid(folder, "ROS", rosFilename, manifest, reference).grid;
+            for (let cell = 0; cell < cells; cell++) {
+                if (hasData(ros, cell) && ros.data[cell] >= rosThreshold) {
+                    exceedCount[cell]++;
+                }
+            }
+        }
+    }
+
+    const written = [];
+    const write = (name, data) => {
+        const filePath = path.join(outFolder, name);
+        geotiff_1.writeGeoTiff(filePath, reference.grid, data, NODATA);
+        written.push(filePath);
+    };
+    fs.mkdirSync(outFolder, { recursive: true });
+
+    // burn probability
+    write("burn_probability.tif", Float32Array.from(burnCount, count => count / folders.length));
+
+    // arrival time statistics, over the scenarios that burned each cell
+    const statistic = value => Float32Array.from(arrivalCount, (count, cell) => count == 0 ? NODATA : value(cell, count));
+    write("arrival_time_mean.tif", statistic((cell, count) => arrivalSum[cell] / count));
+    write("arrival_time_min.tif", statistic(cell => arrivalMin[cell]));
+    write("arrival_time_max.tif", statistic(cell => arrivalMax[cell]));
+
+    // gather the arrival times of each cell next to each other, those of a cell start at its offset
+    const offsets = new Uint32Array(cells + 1);
+    arrivalCount.forEach((count, cell) => offsets[cell + 1] = offsets[cell] + count);
+    const values = new Float32Array(offsets[cells]);
+    const filled = offsets.slice(0, cells);
+    for (const scenario of arrivals) {
+        scenario.cells.forEach((cell, index) => values[filled[cell]++] = scenario.values[index]);
+    }
+    for (let cell = 0; cell < cells; cell++) {
+        values.subarray(offsets[cell], offsets[cell + 1]).sort();
+    }
+    percentiles.forEach(percentile => write(`arrival_time_p${percentile}.tif`, statistic((cell, count) => {
+        // linear interpolation between the closest ranks
+        const rank = percentile / 100 * (count - 1);
+        const lower = values[offsets[cell] + Math.floor(rank)];
+        const upper = values[offsets[cell] + Math.ceil(rank)];
+        return lower + (upper - lower) * (rank - Math.floor(rank));
+    })));
+
+    // rate of spread exceedance probability
+    if (rosThreshold != null) {
+        write("ros_exceedance_probability.tif", Float32Array.from(exceedCount, count => count / folders.length));
+    }
+
+    return written;
+}
+
+exports.aggregateResults = aggregateResults;
+
+if (require.main === module) {
+    const args = readArguments(process.argv.slice(2));
+    if (args.positional.length != 1) {
+        console.error("Usage: node aggregate_results.js [Outputs folder] [--out folder] [--bg filename] [--at filename] [--ros filename] [--ros-threshold value] [--percentiles list]");
+        process.exit(1);
+    }
+    try {
+        aggregateResults(args.positional[0], args.options).forEach(filePath => console.log("Wrote " + filePath));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+}
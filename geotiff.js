@@ -0,0 +1,489 @@
+/**
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+"use strict";
+/**
+ * A minimal reader and writer for the single band GeoTIFF grids exported by W.I.S.E.
+ *
+ * Reading supports classic (not BigTIFF) files in either byte order, stored in strips or tiles, uncompressed,
+ * LZW or Deflate compressed, with or without a horizontal or floating point predictor.
+ * Writing produces an uncompressed little endian file, of 32 bit floats unless the sample format of a grid that was
+ * read is given, carrying over the georeferencing tags of the grid it was computed from. Grids georeferenced by a
+ * pixel scale and tiepoint can be cropped.
+ */
+
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const zlib = require("zlib");
+
+// the TIFF tags used by this module
+const TAG = {
+    IMAGE_WIDTH: 256,
+    IMAGE_LENGTH: 257,
+    BITS_PER_SAMPLE: 258,
+    COMPRESSION: 259,
+    PHOTOMETRIC: 262,
+    STRIP_OFFSETS: 273,
+    SAMPLES_PER_PIXEL: 277,
+    ROWS_PER_STRIP: 278,
+    STRIP_BYTE_COUNTS: 279,
+    PLANAR_CONFIGURATION: 284,
+    PREDICTOR: 317,
+    TILE_WIDTH: 322,
+    TILE_LENGTH: 323,
+    TILE_OFFSETS: 324,
+    TILE_BYTE_COUNTS: 325,
+    SAMPLE_FORMAT: 339,
+    MODEL_PIXEL_SCALE: 33550,
+    MODEL_TIEPOINT: 33922,
+    GDAL_NODATA: 42113
+};
+
+// the georeferencing tags copied from the source grid when writing
+const geoTags = [33550, 33922, 34264, 34735, 34736, 34737];
+
+// the size in bytes of each TIFF field type
+const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+/**
+ * Read a single band GeoTIFF.
+ * @param filePath The path of the GeoTIFF to read.
+ * @returns The grid: its width, height, the cell values as a Float64Array in row order, the no data value (or null),
+ *          the sample format of the file as { format, bits } (see sampleReader) and every tag of the file by number,
+ *          as { type, values }.
+ */
+function readGeoTiff(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    const byteOrder = buffer.toString("latin1", 0, 2);
+    if (byteOrder !== "II" && byteOrder !== "MM") {
+        throw Error(`${filePath} is not a TIFF file`);
+    }
+    const le = byteOrder === "II";
+    if (view.getUint16(2, le) !== 42) {
+        throw Error(`${filePath} is a BigTIFF or not a TIFF file, only classic TIFF files can be read`);
+    }
+
+    const tags = readTags(buffer, view, view.getUint32(4, le), le);
+    const tag = (number, fallback) => tags[number] ? tags[number].values[0] : fallback;
+    const width = tag(TAG.IMAGE_WIDTH);
+    const height = tag(TAG.IMAGE_LENGTH);
+    const bits = tag(TAG.BITS_PER_SAMPLE, 1);
+    const compression = tag(TAG.COMPRESSION, 1);
+    const predictor = tag(TAG.PREDICTOR, 1);
+    const sampleFormat = tag(TAG.SAMPLE_FORMAT, 1);
+    if (tag(TAG.SAMPLES_PER_PIXEL, 1) !== 1) {
+        throw Error(`${filePath} has more than one band`);
+    }
+
+    // strips are treated as tiles that span the full width of the image
+    const tiled = !!tags[TAG.TILE_OFFSETS];
+    const chunkWidth = tiled ? tag(TAG.TILE_WIDTH) : width;
+    const chunkHeight = tiled ? tag(TAG.TILE_LENGTH) : Math.min(tag(TAG.ROWS_PER_STRIP, height), height);
+    const offsets = tags[tiled ? TAG.TILE_OFFSETS : TAG.STRIP_OFFSETS].values;
+    const byteCounts = tags[tiled ? TAG.TILE_BYTE_COUNTS : TAG.STRIP_BYTE_COUNTS].values;
+    const chunksAcross = Math.ceil(width / chunkWidth);
+    const bytesPerSample = bits / 8;
+    const readSample = sampleReader(sampleFormat, bits, filePath);
+
+    const data = new Float64Array(width * height);
+    offsets.forEach((offset, index) => {
+        let chunk = decompress(buffer.subarray(offset, offset + byteCounts[index]), compression, filePath);
+        // the predictors work on whole rows of the chunk, strips at the bottom of the image may be shorter
+        const rows = Math.min(chunkHeight, Math.floor(chunk.length / (chunkWidth * bytesPerSample)));
+        let chunkLe = le;
+        if (predictor === 2) {
+            undoHorizontalPredictor(chunk, chunkWidth, rows, bytesPerSample, le);
+        }
+        else if (predictor === 3) {
+            chunk = undoFloatingPointPredictor(chunk, chunkWidth, rows, bytesPerSample);
+            chunkLe = true;
+        }
+        const chunkView = new DataView(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+        const left = (index % chunksAcross) * chunkWidth;
+        const top = Math.floor(index / chunksAcross) * chunkHeight;
+        for (let row = 0; row < rows && top + row < height; row++) {
+            for (let column = 0; column < chunkWidth && left + column < width; column++) {
+                data[(top + row) * width + left + column] = readSample(chunkView, (row * chunkWidth + column) * bytesPerSample, chunkLe);
+            }
+        }
+    });
+
+    const nodata = tags[TAG.GDAL_NODATA] ? parseFloat(tags[TAG.GDAL_NODATA].values) : null;
+    return { width: width, height: height, data: data, nodata: nodata, sampleFormat: { format: sampleFormat, bits: bits }, tags: tags };
+}
+
+/**
+ * Write a grid as an uncompressed GeoTIFF.
+ * @param filePath The path of the GeoTIFF to write.
+ * @param source A grid returned by readGeoTiff to take the size and georeferencing from.
+ * @param data The cell values in row order, one per cell of the source grid.
+ * @param nodata The no data value to record in the file, or null.
+ * @param sampleFormat The sample format to write the cells in, as returned by readGeoTiff, e.g. to keep the integer
+ *          cells of a grid that was read. 32 bit floats if not given.
+ */
+function writeGeoTiff(filePath, source, data, nodata, sampleFormat) {
+    const format = sampleFormat ? sampleFormat.format : 3;
+    const bits = sampleFormat ? sampleFormat.bits : 32;
+    const writeSample = sampleWriter(format, bits, filePath);
+    const bytesPerSample = bits / 8;
+    const width = source.width;
+    const height = source.height;
+    const rowsPerStrip = Math.max(1, Math.min(height, Math.floor(65536 / (width * bytesPerSample))));
+    const stripCount = Math.ceil(height / rowsPerStrip);
+    const stripOffsets = [];
+    const stripByteCounts = [];
+    for (let strip = 0; strip < stripCount; strip++) {
+        stripOffsets.push(8 + strip * rowsPerStrip * width * bytesPerSample);
+        stripByteCounts.push(Math.min(rowsPerStrip, height - strip * rowsPerStrip) * width * bytesPerSample);
+    }
+
+    const tags = {};
+    tags[TAG.IMAGE_WIDTH] = { type: 4, values: [width] };
+    tags[TAG.IMAGE_LENGTH] = { type: 4, values: [height] };
+    tags[TAG.BITS_PER_SAMPLE] = { type: 3, values: [bits] };
+    tags[TAG.COMPRESSION] = { type: 3, values: [1] };
+    tags[TAG.PHOTOMETRIC] = { type: 3, values: [1] };
+    tags[TAG.STRIP_OFFSETS] = { type: 4, values: stripOffsets };
+    tags[TAG.SAMPLES_PER_PIXEL] = { type: 3, values: [1] };
+    tags[TAG.ROWS_PER_STRIP] = { type: 4, values: [rowsPerStrip] };
+    tags[TAG.STRIP_BYTE_COUNTS] = { type: 4, values: stripByteCounts };
+    tags[TAG.PLANAR_CONFIGURATION] = { type: 3, values: [1] };
+    tags[TAG.SAMPLE_FORMAT] = { type: 3, values: [format] };
+    geoTags.filter(number => source.tags[number]).forEach(number => {
+        tags[number] = source.tags[number];
+    });
+    if (nodata != null) {
+        tags[TAG.GDAL_NODATA] = { type: 2, values: String(nodata) };
+    }
+
+    // the image data follows the header, then the directory, then any tag values too large to fit in it
+    const imageBytes = width * height * bytesPerSample;
+    const numbers = Object.keys(tags).map(Number).sort((a, b) => a - b);
+    const ifdOffset = 8 + imageBytes + (imageBytes % 2);
+    let extraOffset = ifdOffset + 2 + numbers.length * 12 + 4;
+    const encoded = numbers.map(number => encodeTag(tags[number]));
+    const total = extraOffset + encoded.reduce((sum, bytes) => sum + (bytes.length > 4 ? bytes.length + (bytes.length % 2) : 0), 0);
+
+    const buffer = Buffer.alloc(total);
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    buffer.write("II", 0, "latin1");
+    view.setUint16(2, 42, true);
+    view.setUint32(4, ifdOffset, true);
+    for (let i = 0; i < width * height; i++) {
+        writeSample(view, 8 + i * bytesPerSample, data[i]);
+    }
+    view.setUint16(ifdOffset, numbers.length, true);
+    numbers.forEach((number, index) => {
+        const entry = ifdOffset + 2 + index * 12;
+        const tag = tags[number];
+        const bytes = encoded[index];
+        view.setUint16(entry, number, true);
+        view.setUint16(entry + 2, tag.type, true);
+        view.setUint32(entry + 4, bytes.length / typeSizes[tag.type], true);
+        if (bytes.length <= 4) {
+            bytes.copy(buffer, entry + 8);
+        }
+        else {
+            view.setUint32(entry + 8, extraOffset, true);
+            bytes.copy(buffer, extraOffset);
+            extraOffset += bytes.length + (bytes.length % 2);
+        }
+    });
+    view.setUint32(ifdOffset + 2 + numbers.length * 12, 0, true);
+    fs.writeFileSync(filePath, buffer);
+}
+
+/**
+ * Get where a grid lies from its ModelPixelScale and ModelTiepoint tags.
+ * @param grid A grid returned by readGeoTiff.
+ * @returns The map coordinates of the top left corner of the grid (x, y) and the size of a cell (dx, dy),
+ *          or null if the grid is not georeferenced that way.
+ */
+function getGridExtent(grid) {
+    const scale = grid.tags[TAG.MODEL_PIXEL_SCALE];
+    const tiepoint = grid.tags[TAG.MODEL_TIEPOINT];
+    if (!scale || !tiepoint || tiepoint.values.length < 6) {
+        return null;
+    }
+    const [dx, dy] = scale.values;
+    const [column, row, , x, y] = tiepoint.values;
+    return { x: x - column * dx, y: y + row * dy, dx: dx, dy: dy };
+}
+
+/**
+ * Cut a block of cells out of a grid, moving its georeferencing to the new top left corner.
+ * @param grid A grid returned by readGeoTiff, which must be georeferenced by a pixel scale and tiepoint.
+ * @param column The first column to keep.
+ * @param row The first row to keep.
+ * @param width The number of columns to keep.
+ * @param height The number of rows to keep.
+ * @returns A grid like those returned by readGeoTiff, to write with writeGeoTiff.
+ */
+function cropGrid(grid, column, row, width, height) {
+    const extent = getGridExtent(grid);
+    if (!extent) {
+        throw Error("The grid has no pixel scale and tiepoint to crop it by");
+    }
+    if (column < 0 || row < 0 || width < 1 || height < 1 || column + width > grid.width || row + height > grid.height) {
+        throw Error(`${width}x${height} cells from column ${column}, row ${row} is not within the ${grid.width}x${grid.height} grid`);
+    }
+    const data = new Float64Array(width * height);
+    for (let r = 0; r < height; r++) {
+        data.set(grid.data.subarray((row + r) * grid.width + column, (row + r) * grid.width + column + width), r * width);
+    }
+    const tags = Object.assign({}, grid.tags);
+    tags[TAG.MODEL_TIEPOINT] = { type: 12, values: [0, 0, 0, extent.x + column * extent.dx, extent.y - row * extent.dy, 0] };
+    return { width: width, height: height, data: data, nodata: grid.nodata, sampleFormat: grid.sampleFormat, tags: tags };
+}
+
+/**
+ * Read the tags of the first image file directory.
+ * @param buffer The contents of the file.
+ * @param view A DataView of the contents.
+ * @param offset The offset of the directory.
+ * @param le True if the file is little endian.
+ */
+function readTags(buffer, view, offset, le) {
+    const tags = {};
+    const count = view.getUint16(offset, le);
+    for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        const type = view.getUint16(entry + 2, le);
+        const valueCount = view.getUint32(entry + 4, le);
+        const size = typeSizes[type];
+        if (!size) {
+            continue;
+        }
+        const valueOffset = size * valueCount <= 4 ? entry + 8 : view.getUint32(entry + 8, le);
+        let values;
+        if (type === 2) {
+            values = buffer.toString("latin1", valueOffset, valueOffset + valueCount).replace(/\0+$/, "");
+        }
+        else {
+            values = [];
+            for (let j = 0; j < valueCount; j++) {
+                values.push(readValue(view, valueOffset + j * size, type, le));
+            }
+        }
+        tags[view.getUint16(entry, le)] = { type: type, values: values };
+    }
+    return tags;
+}
+
+/**
+ * Read a single value of a tag.
+ */
+function readValue(view, offset, type, le) {
+    switch (type) {
+        case 1: case 7: return view.getUint8(offset);
+        case 6: return view.getInt8(offset);
+        case 3: return view.getUint16(offset, le);
+        case 8: return view.getInt16(offset, le);
+        case 4: return view.getUint32(offset, le);
+        case 9: return view.getInt32(offset, le);
+        case 5: return view.getUint32(offset, le) / view.getUint32(offset + 4, le);
+        case 10: return view.getInt32(offset, le) / view.getInt32(offset + 4, le);
+        case 11: return view.getFloat32(offset, le);
+        case 12: return view.getFloat64(offset, le);
+    }
+}
+
+/**
+ * Encode the values of a tag as little endian bytes.
+ * @param tag The tag as { type, values }.
+ */
+function encodeTag(tag) {
+    if (tag.type === 2) {
+        return Buffer.from(tag.values + "\0", "latin1");
+    }
+    const size = typeSizes[tag.type];
+    const bytes = Buffer.alloc(size * tag.values.length);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    tag.values.forEach((value, index) => {
+        const offset = index * size;
+        switch (tag.type) {
+            case 1: case 7: view.setUint8(offset, value); break;
+            case 6: view.setInt8(offset, value); break;
+            case 3: view.setUint16(offset, value, true); break;
+            case 8: view.setInt16(offset, value, true); break;
+            case 4: view.setUint32(offset, value, true); break;
+            case 9: view.setInt32(offset, value, true); break;
+            case 11: view.setFloat32(offset, value, true); break;
+            case 12: view.setFloat64(offset, value, true); break;
+            // rationals are written with a fixed denominator, they are not used by the GeoTIFF tags
+            case 5: view.setUint32(offset, Math.round(value * 10000), true); view.setUint32(offset + 4, 10000, true); break;
+            case 10: view.setInt32(offset, Math.round(value * 10000), true); view.setInt32(offset + 4, 10000, true); break;
+        }
+    });
+    return bytes;
+}
+
+/**
+ * Get a function that reads one cell value of the given sample format and size.
+ * @param sampleFormat The TIFF sample format: 1 unsigned integer, 2 signed integer, 3 floating point.
+ * @param bits The number of bits per sample.
+ * @param filePath The file being read, for error messages.
+ */
+function sampleReader(sampleFormat, bits, filePath) {
+    const key = sampleFormat + ":" + bits;
+    switch (key) {
+        case "1:8": return (view, offset) => view.getUint8(offset);
+        case "2:8": return (view, offset) => view.getInt8(offset);
+        case "1:16": return (view, offset, le) => view.getUint16(offset, le);
+        case "2:16": return (view, offset, le) => view.getInt16(offset, le);
+        case "1:32": return (view, offset, le) => view.getUint32(offset, le);
+        case "2:32": return (view, offset, le) => view.getInt32(offset, le);
+        case "3:32": return (view, offset, le) => view.getFloat32(offset, le);
+        case "3:64": return (view, offset, le) => view.getFloat64(offset, le);
+    }
+    throw Error(`${filePath} has ${bits} bit samples of format ${sampleFormat}, which cannot be read`);
+}
+
+/**
+ * Get a function that writes one cell value in the given sample format and size, little endian.
+ * @param sampleFormat The TIFF sample format: 1 unsigned integer, 2 signed integer, 3 floating point.
+ * @param bits The number of bits per sample.
+ * @param filePath The file being written, for error messages.
+ */
+function sampleWriter(sampleFormat, bits, filePath) {
+    const key = sampleFormat + ":" + bits;
+    switch (key) {
+        case "1:8": return (view, offset, value) => view.setUint8(offset, value);
+        case "2:8": return (view, offset, value) => view.setInt8(offset, value);
+        case "1:16": return (view, offset, value) => view.setUint16(offset, value, true);
+        case "2:16": return (view, offset, value) => view.setInt16(offset, value, true);
+        case "1:32": return (view, offset, value) => view.setUint32(offset, value, true);
+        case "2:32": return (view, offset, value) => view.setInt32(offset, value, true);
+        case "3:32": return (view, offset, value) => view.setFloat32(offset, value, true);
+        case "3:64": return (view, offset, value) => view.setFloat64(offset, value, true);
+    }
+    throw Error(`${filePath} cannot be written with ${bits} bit samples of format ${sampleFormat}`);
+}
+
+/**
+ * Decompress one strip or tile.
+ * @param bytes The compressed bytes.
+ * @param compression The TIFF compression scheme.
+ * @param filePath The file being read, for error messages.
+ * @returns A new Buffer with the uncompressed bytes.
+ */
+function decompress(bytes, compression, filePath) {
+    switch (compression) {
+        case 1: return Buffer.from(bytes);
+        case 5: return decodeLzw(bytes);
+        case 8:
+        case 32946: return zlib.inflateSync(bytes);
+    }
+    throw Error(`${filePath} uses TIFF compression ${compression}, only uncompressed, LZW and Deflate files can be read`);
+}
+
+/**
+ * Decode TIFF flavoured LZW (most significant bit first, code width increased one code early).
+ * @param bytes The compressed bytes.
+ */
+function decodeLzw(bytes) {
+    const CLEAR = 256;
+    const END = 257;
+    const output = [];
+    let table = [];
+    let width = 9;
+    let bitPosition = 0;
+    let previous = null;
+
+    const reset = () => {
+        table = [];
+        for (let i = 0; i < 258; i++) {
+            table.push(i < 256 ? [i] : null);
+        }
+        width = 9;
+        previous = null;
+    };
+    const readCode = () => {
+        let code = 0;
+        for (let i = 0; i < width; i++) {
+            const byte = bytes[(bitPosition + i) >> 3];
+            code = (code << 1) | ((byte >> (7 - ((bitPosition + i) & 7))) & 1);
+        }
+        bitPosition += width;
+        return code;
+    };
+
+    reset();
+    while (bitPosition + width <= bytes.length * 8) {
+        const code = readCode();
+        if (code === END) {
+            break;
+        }
+        if (code === CLEAR) {
+            reset();
+            continue;
+        }
+        let entry;
+        if (code < table.length && table[code]) {
+            entry = table[code];
+            if (previous) {
+                table.push(previous.concat([entry[0]]));
+            }
+        }
+        else {
+            entry = previous.concat([previous[0]]);
+            table.push(entry);
+        }
+        for (let i = 0; i < entry.length; i++) {
+            output.push(entry[i]);
+        }
+        previous = entry;
+        if (table.length + 1 >= (1 << width) && width < 12) {
+            width++;
+        }
+    }
+    return Buffer.from(output);
+}
+
+/**
+ * Undo the horizontal differencing predictor of integer samples, in place.
+ */
+function undoHorizontalPredictor(chunk, width, rows, bytesPerSample, le) {
+    const view = new DataView(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    const get = { 1: o => view.getUint8(o), 2: o => view.getUint16(o, le), 4: o => view.getUint32(o, le) }[bytesPerSample];
+    const set = { 1: (o, v) => view.setUint8(o, v), 2: (o, v) => view.setUint16(o, v, le), 4: (o, v) => view.setUint32(o, v, le) }[bytesPerSample];
+    const mask = bytesPerSample === 4 ? 0xFFFFFFFF : (1 << (8 * bytesPerSample)) - 1;
+    for (let row = 0; row < rows; row++) {
+        for (let column = 1; column < width; column++) {
+            const offset = (row * width + column) * bytesPerSample;
+            set(offset, ((get(offset) + get(offset - bytesPerSample)) & mask) >>> 0);
+        }
+    }
+}
+
+/**
+ * Undo the floating point predictor, which stores the bytes of each row split into planes
+ * from most to least significant and then differenced.
+ * @returns A new Buffer with the samples in little endian order.
+ */
+function undoFloatingPointPredictor(chunk, width, rows, bytesPerSample) {
+    const rowBytes = width * bytesPerSample;
+    const output = Buffer.alloc(rows * rowBytes);
+    for (let row = 0; row < rows; row++) {
+        const start = row * rowBytes;
+        for (let i = 1; i < rowBytes; i++) {
+            chunk[start + i] = (chunk[start + i] + chunk[start + i - 1]) & 0xFF;
+        }
+        for (let column = 0; column < width; column++) {
+            for (let byte = 0; byte < bytesPerSample; byte++) {
+                output[start + column * bytesPerSample + byte] = chunk[start + (bytesPerSample - byte - 1) * width + column];
+            }
+        }
+    }
+    return output;
+}
+
+exports.readGeoTiff = readGeoTiff;
+exports.writeGeoTiff = writeGeoTiff;
+exports.getGridExtent = getGridExtent;
+exports.cropGrid = cropGrid;
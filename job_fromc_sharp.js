@@ -12,7 +12,109 @@
  * Example Usage:
  * node ./dist/example_job_generalized.js -BG burn_grid_file 2001-10-16T13:00:00-05:00 2001-10-16T21:00:00-05:00
  * This will produce an outputs file with a single burn_grid_file.tif file if there is data for the entered time.
- * 
+ *
+ * Simulation Setup:
+ * - The simulation parameters are read from the file given with --config [file], otherwise from the first of
+ *      C:/jobs/test/SimulationDictionary.json, .yaml, .yml or .txt that exists.
+ * - JSON and YAML files hold named sections: inputs, ignition, simulation, weather, burningConditions, fgm,
+ *      probabilistic, fbp, fmc, fwi and exports. The keys of each section and their allowed values are listed
+ *      in simulationSetupSchema. Every bad value is reported before W.I.S.E. Builder is contacted.
+ *      Each entry of exports is an object with a type (the flag without the "-"), a filename, and either
+ *      a time or a startTime and endTime. A type may be listed more than once, the command line flags of a type
+ *      replace every entry of that type.
+ * - A .txt file is read in the legacy format written by older versions of Program.cs, one value per line
+ *      in the order of legacySetupLayout. Those files give no time zone: unless a time zone is added as a last line,
+ *      or the times give their offset, they are read in UTC-05:00 (CDT), which older versions gave every job.
+ * - YAML files need the yaml or js-yaml package to be installed.
+ * - The optional sweep section maps scenario settings, written as section.key (e.g. "fgm.distanceResolution"),
+ *      to a list of values. One scenario is created for every combination of the listed values, named
+ *      scen0, scen1, ... with its exports in a folder of the same name. The values each scenario was run
+ *      with are written to Outputs/scenarios.json in the job folder.
+ * - The optional ensemble section turns every scenario into count Monte Carlo members, see ensembleSchema.
+ *      Each member gets its own ignitions, all moved by one random offset within ignitionRadius metres and a random
+ *      time within +/- ignitionTimeWindow (which must keep every member after the perimeter and before the end of the
+ *      simulation, and within the weather), and its own weather stream with noise added to the wind speed (+/- %),
+ *      wind direction (+/- degrees), temperature and RH. noiseModel "normal" uses the sizes as standard deviations.
+ *      The samples come from a random number generator seeded with seed, and are listed in Outputs/scenarios.json.
+ * - The optional ignitions section lists ignitions in addition to, or instead of, the point of the ignition
+ *      section. Each entry is a GeoJSON or KML file (such as ignition_point_20011016_1300.kml) with a time, or an
+ *      inline point, line or polygon, see parseIgnitions. Every ignition is added to every scenario, which starts
+ *      at the earliest ignition time.
+ * - The optional perimeter section restarts the simulation from an observed perimeter, given as a file of
+ *      polygons (such as perimeter_20011016_1300.kml) and the time it was observed. The polygons are added as
+ *      ignitions at that time, which becomes the start of the scenarios and, to the minute, of the first day's burning condition.
+ *      An ensemble does not move the perimeter.
+ * - The optional weatherStations section lists weather stations in addition to, or instead of, the station of the
+ *      weather section. Each has its own location, height, stream file and starting codes, see parseWeatherStations.
+ *      Every stream is referenced from every scenario, the first being the primary stream, and with more than one
+ *      station FWI spatial interpolation is always on.
+ * - The optional weatherPatches section overrides the temperature, RH, wind speed or wind direction inside polygons
+ *      (such as weather_patch_wd270.kml) between a start and end time, see parseWeatherPatches. The optional windGrids
+ *      section adds wind direction or wind speed grids, such as the output of a downscaling model, see parseWindGrids.
+ * - inputs.fuelTable replaces inputs.fuelLookupTable with a CSV or JSON table of the fuels (name, FBP code, grid index,
+ *      colour, percent conifer or dead fir and any other spread parameters), see parseFuelTable and dogrib_fuel_table.csv.
+ *      It is given to W.I.S.E. as fuel definitions, or with inputs.fuelTableMode "lut" as a lookup table attached to the
+ *      job. The command line option --write-lut [file] only writes the lookup table, without building the job.
+ * - The optional fuelOptions section sets the percent curing of O-1a/O-1b grass, the green-up of deciduous and
+ *      mixedwood fuels, and crown base heights, per fuel type and per scenario, see parseFuelOptions. Scenarios are
+ *      chosen by name or by the date they start on; an option holds for the whole of every scenario it applies to.
+ *      Each is built as a grid on the fuel map (which must be an ASCII grid) and attached to the job as a curing,
+ *      green-up or crown base height grid file, which the CURINGDEGREE_MAP and GREENUP_MAP exports read back.
+ * - The optional fuelBreaks section adds lines (with a width) and polygons that fire cannot cross, such as
+ *      access_gravel_road or hydrology_river, and the optional fuelPatches section replaces one fuel with another
+ *      inside polygons, e.g. to model a treatment. Both take GeoJSON or KML files or inline geometries, and apply to
+ *      every scenario unless they list some, see parseFuelBreaks and parseFuelPatches.
+ * - burningConditions applies to every day of the simulation, from startHour to endHour. The optional
+ *      burningConditionDays section, a list or a CSV file, gives the hours and thresholds of single days, such as
+ *      an overnight shutdown, see parseBurningConditionDays. Days are counted in the time zone of the job.
+ * - The time zone of the job is simulation.timezone, an IANA name such as America/Edmonton, or else the offset given
+ *      with the ignition, weather and end times (e.g. 2001-10-16T13:00:00-06:00), see resolveTimezone. Times that
+ *      disagree with it are reported. Times without an offset are in the job's time zone. One of the two is required.
+ *      W.I.S.E. runs a job in a single offset, that of the time zone when the simulation starts (see timezoneOffset),
+ *      which the weather files are also read in. Every time is given to W.I.S.E. with the offset of the time zone at
+ *      that time, and the hours of the burning conditions and the times of day of weather patches and wind grids are
+ *      moved to the offset of the job, so a simulation across a daylight saving change burns by the clock of the zone.
+ * - Every weather file is checked before the job is built: its columns and values, that its records are hourly and
+ *      in order, and that it covers the simulation and the weather start and end dates. With the command line option
+ *      --fill-weather-gaps [hours], gaps of up to that many missing hours are interpolated into a copy of the file
+ *      (named after it with _filled) which is attached to the job instead, the file itself is left as it is.
+ * - The optional statistics section lists the W.I.S.E. statistics to receive at the end of every timestep, such as
+ *      TOTAL_BURN_AREA, ACTIVE_PERIMETER, MAX_ROS or MAX_FI (see timestepStatistics). Those of each scenario are written
+ *      to statistics.csv in its export folder as they arrive, and to statistics.json once the job has ended.
+ * - Once a multi-scenario job has finished, aggregate_results.js combines the -BG, -AT and -ROS exports of
+ *      every scenario into burn probability, arrival time statistics and ROS exceedance probability grids.
+ *
+ * Running:
+ * - By default the script ends once the job has been handed to W.I.S.E., and only listens for its progress if an
+ *      MQTT username is configured. With the command line option --wait, or run.wait in the simulation setup, it stays
+ *      until the simulation is complete (or every scenario is) and exits with one of exitCodes: 0 success, 1 a bad
+ *      simulation setup or exports, or W.I.S.E. cannot be reached, 2 the job or FGM is not valid, 3 a scenario
+ *      failed, 4 the job did not complete within run.timeout (an ISO 8601 duration or minutes, wall clock time from
+ *      when the job is submitted).
+ * - With the command line option --results [folder], or run.results, the exports, statistics and submitted FGM are
+ *      copied into that folder once the simulation is complete (moved with run.moveResults), with a manifest.json
+ *      listing each file's export type, scenario, time and checksum, see collectResults. Results are only collected
+ *      when the script follows the job to the end, with --wait, run.wait or an MQTT username; otherwise a warning
+ *      says they were not, and collectResults can be run once the job is complete.
+ * - With the command line option --dry-run [file] the job is built and checked with prom.checkValid, but W.I.S.E. Builder
+ *      is never contacted and nothing is run. The job definition (scenarios, ignitions, weather streams, options and exports)
+ *      is written to the file as JSON, by default the simulation setup file with the extension .job.json, see
+ *      writeJobDefinition. No other file is written. The script exits with 0, or 2 if the job is not valid.
+ * - The command line options --builder [host:port], --mqtt [host:port], --mqtt-topic [topic] and --jobs [folder] replace
+ *      the addresses of W.I.S.E. Builder and the MQTT broker, the MQTT topic and the jobs directory of the server
+ *      configuration, for example to run against mock_wise.js, a stand-in for both used by the tests in the test folder.
+ *
+ * Library Usage:
+ * - The script can also be required as a module, when it builds and runs nothing by itself:
+ *      const job = require("./job_fromc_sharp");
+ *      const config = job.loadConfig("C:/jobs/test/SimulationDictionary.json", { exports: ["-BG", "bg", "2001-10-16T21:00:00"] });
+ *      job.configureServer(new (require("./index").defaults.ServerConfiguration)());
+ *      const code = await job.runJob(job.buildJob(config, null), { submitted: name => console.log(name) });
+ *      loadConfig checks the simulation setup, weather and exports and throws an error listing any problems, buildJob
+ *      returns the W.I.S.E. job (to change further, e.g. with addExports, before it is run), and runJob sends it to
+ *      W.I.S.E. Builder and resolves with one of exitCodes once it is complete. The simulation setup may also be given
+ *      to loadConfig as an object of sections. The command line is a thin wrapper around these, see runCommandLine.
+ *
  * Command Line argument standard for non-MAP types:
  * -[non-MAP type] [filename] [ISO time] [ISO time (optional)]
  * 
@@ -66,12 +168,45 @@
  *   NOTE: There is a known issue with the current version of W.I.S.E. regarding generation of these MAP type grid exports.
  *         Hence adding these as exports may not work.
  * 
+ * Command Line argument standard for vector types:
+ * -[vector type] [filename] [ISO time] [ISO time (optional)] [active (optional)] [merged (optional)]
+ *
+ * Command Line Input Expectations for vector types:
+ * - Vector types export the fire perimeters, valid flags are as follows:
+ *      PERIM_KML: KML file
+ *      PERIM_SHP: Shapefile
+ *      PERIM_GEOJSON: GeoJSON file, if the version of W.I.S.E. supports it
+ * - With one time the perimeter at that time is exported, with two times every perimeter between them.
+ * - active: Only export the active parts of the perimeter.
+ * - merged: Merge the perimeters into one, rather than one perimeter per timestep.
+ * - In the exports section of the simulation setup these are activeOnly: true and merged: true.
+ * - The flags, and how each is added to the job, are listed in exportRegistry.
+ *
+ * Settings of grid and MAP types, given as name=value after the times:
+ * - interpolation: closestVertex, idw (the default), areaWeighted, discretized or calculate.
+ * - cellSize: The cell size of the export in metres, W.I.S.E. resamples the grid to it.
+ * - clip: The extent to cut the export to once the simulation is complete, either south,west,north,east in degrees
+ *      or a buffer in metres around the ignitions of the scenario. Needs a UTM or Transverse Mercator projection file,
+ *      and the script to follow the job to the end (--wait, run.wait or an MQTT username), any other projection or a
+ *      job that is only submitted is refused before it is built. An export without a pixel scale and tiepoint, or that
+ *      the extent does not overlap, is reported and the script exits with 1 once the results are collected.
+ *      The grids are cut by geotiff.js, which must be next to this script. E.g. -ROS ros 2001-10-16T21:00:00 clip=5000
+ * - In the exports section of the simulation setup these are keys of the entry, with clip a number or a list.
+ *
  * - File names have the following restrictions:
- *      May or may not include a file extension. If included, the extension must be ".tif"
+ *      May or may not include a file extension. If included, the extension must be ".tif", or that of the vector type
  *      Cannot contain the characters <>:"/\|?*"
  *      Cannot contain any spaces or periods
  *      Must follow all Windows restrictions on file naming which can be found at:
  *          https://learn.microsoft.com/en-us/windows/win32/fileio/naming-a-file
+ *      Must be unique within each scenario, ignoring case
+ *
+ * - File names may hold these tokens, which are filled in for each export before the rules above are checked:
+ *      {scenario}: The name of the scenario, e.g. scen0
+ *      {type}: The export type, e.g. ROS
+ *      {time}: The time of the export, or the end of its range, as yyyyMMdd_HHmm (e.g. 20011016_1300)
+ *      {start}, {end}: The start and end of the range of the export, or its time
+ *      E.g. -ROS {scenario}_{type}_{start}_{end} 2001-10-16T13:00:00 2001-10-16T21:00:00
  *      
  * - Times must be entered in the ISO format:
  *      YYYY-MM-DDTHH:mm:ss
@@ -88,6 +223,12 @@
  * - The second time parameter is optional. This time represents the end time and therefore must be occur after the first time parameter.
  *      If included, both times will be used to form a range.
  * 
+ * - An ISO 8601 duration may follow the two times, e.g. -ROS ros 2001-10-16T13:00 2001-10-16T21:00 PT1H. The export
+ *      is then repeated at every interval from the first time up to the second, each at a single time with the time
+ *      added to its filename (ros_20011016_1300.tif, ros_20011016_1400.tif, ...). This works for every type, including
+ *      MAP and vector types. In the exports section of the simulation setup the duration is given as interval.
+ *      An interval may give at most 1000 exports (maxExportSteps).
+ * 
  * File Input Expectations:
  * - This example script utilizes the Dogrib example inputs.
  *      These inputs can be found with the W.I.S.E. API as mentioned in the
@@ -108,43 +249,304 @@
  */
 
 Object.defineProperty(exports, "__esModule", { value: true });
+const crypto = require("crypto");
 const fs = require("fs");
 const index_1 = require("./index");
 const luxon_1 = require("luxon");
 const path = require("path");
-const { start } = require("repl");
+const geotiff_1 = require("./geotiff");
 
-let serverConfig = new index_1.defaults.ServerConfiguration();
-let localDir = serverConfig.exampleDirectory;
 
-var simulationSetupFile = "C:/jobs/test/SimulationDictionary.txt";
+// the simulation setup files to look for when no --config option is given, the first one that exists is used
+const defaultSetupFiles = [
+    "C:/jobs/test/SimulationDictionary.json",
+    "C:/jobs/test/SimulationDictionary.yaml",
+    "C:/jobs/test/SimulationDictionary.yml",
+    "C:/jobs/test/SimulationDictionary.txt"
+];
 
-const stringArray = readStringArrayFromFile(simulationSetupFile);
+// the section and key of each line of the legacy positional SimulationDictionary.txt, in the order older versions of Program.cs wrote them
+const legacySetupLayout = [
+    ["inputs", "directory"],
+    ["inputs", "fuelMap"],
+    ["inputs", "fuelLookupTable"],
+    ["inputs", "elevation"],
+    ["inputs", "projection"],
+    ["inputs", "weather"],
+    ["ignition", "time"],
+    ["ignition", "location"],
+    ["simulation", "endTime"],
+    ["weather", "stationHeight"],
+    ["weather", "stationLocation"],
+    ["weather", "startTime"],
+    ["weather", "endTime"],
+    ["weather", "hffmcValue"],
+    ["weather", "hffmcHour"],
+    ["weather", "startingFfmc"],
+    ["weather", "startingDmc"],
+    ["weather", "startingDc"],
+    ["weather", "startingPrecipitation"],
+    ["burningConditions", "minFwi"],
+    ["burningConditions", "minWindSpeed"],
+    ["burningConditions", "maxRelativeHumidity"],
+    ["burningConditions", "minIsi"],
+    ["fgm", "maxAccelerationTimeStep"],
+    ["fgm", "distanceResolution"],
+    ["fgm", "perimeterResolution"],
+    ["fgm", "minimumSpreadRos"],
+    ["fgm", "stopAtGridEnd"],
+    ["fgm", "breaching"],
+    ["fgm", "dynamicSpatialThreshold"],
+    ["fgm", "spotting"],
+    ["fgm", "retainHiddenTimeSteps"],
+    ["fgm", "growthPercentileApplied"],
+    ["fgm", "growthPercentile"],
+    ["probabilistic", "ignitionDx"],
+    ["probabilistic", "ignitionDy"],
+    ["probabilistic", "ignitionDt"],
+    ["fbp", "terrainEffect"],
+    ["fbp", "windEffect"],
+    ["fmc", "percentOverride"],
+    ["fmc", "nodataElevation"],
+    ["fwi", "spatialInterpolation"],
+    ["fwi", "fromSpatialWeather"],
+    ["fwi", "historyOnEffectedFwi"],
+    ["fwi", "burningConditionsOn"],
+    ["fwi", "temporalInterpolation"],
+    ["simulation", "timezone"]          // never written by Program.cs, see legacyTimezone
+];
 
-//simulation parameters:
+// the time zone of a legacy SimulationDictionary.txt without one whose times give no offset, the CDT older versions of
+// this script gave every job (setTimezoneByValue(25)), as a zone of that fixed offset
+const legacyTimezone = "Etc/GMT+5";
 
-let ignitionTime = luxon_1.DateTime.fromISO(stringArray[6]);
-let simulationEndTime = luxon_1.DateTime.fromISO(stringArray[8]);
-let weatherStationHeight = parseFloat(stringArray[9]);
-let weatherStationLatLong = new index_1.globals.LatLon(textToCoords(stringArray[10])[0], textToCoords(stringArray[10])[1]);
-let ignitionLatLong = new index_1.globals.LatLon(textToCoords(stringArray[7])[0], textToCoords(stringArray[7])[1]);
-let weatherStartTime = luxon_1.DateTime.fromISO(stringArray[11]);
-let weatherEndTime = luxon_1.DateTime.fromISO(stringArray[12]);
+// the type and allowed range of every simulation setup value, by section and key. Values that are not optional must be given.
+//  types: string, number, integer, boolean, time (ISO 8601), duration (ISO 8601, a number in the given unit, or "minutes,seconds"), latlon
+const simulationSetupSchema = {
+    inputs: {
+        directory: { type: "string", optional: true },
+        fuelMap: { type: "string" },
+        fuelLookupTable: { type: "string", optional: true },
+        fuelTable: { type: "string", optional: true },              // CSV or JSON, see parseFuelTable
+        fuelTableMode: { type: "string", choices: ["definitions", "lut"], optional: true, default: "definitions" },
+        elevation: { type: "string" },
+        projection: { type: "string" },
+        weather: { type: "string", optional: true }                 // the stream file of the weather section's station
+    },
+    ignition: {
+        time: { type: "time", optional: true },
+        location: { type: "latlon", optional: true }
+    },
+    simulation: {
+        endTime: { type: "time" },
+        timezone: { type: "string", optional: true }                // IANA name, e.g. America/Edmonton, see resolveTimezone
+    },
+    // a station and the defaults of the stations listed in weatherStations, checked by parseWeatherStations
+    weather: {
+        stationHeight: { type: "number", min: 0, optional: true },
+        stationLocation: { type: "latlon", optional: true },
+        startTime: { type: "time", optional: true },
+        endTime: { type: "time", optional: true },
+        hffmcValue: { type: "number", min: 0, max: 101, optional: true },
+        hffmcHour: { type: "integer", min: 0, max: 23, optional: true },
+        startingFfmc: { type: "number", min: 0, max: 101, optional: true },
+        startingDmc: { type: "number", min: 0, optional: true },
+        startingDc: { type: "number", min: 0, optional: true },
+        startingPrecipitation: { type: "number", min: 0, optional: true }
+    },
+    // the burning condition of every day of the simulation, unless burningConditionDays lists the day
+    burningConditions: {
+        startHour: { type: "integer", min: 0, max: 23, optional: true, default: 0 },
+        endHour: { type: "integer", min: 1, max: 24, optional: true, default: 24 },
+        minFwi: { type: "number", min: 0 },
+        minWindSpeed: { type: "number", min: 0 },
+        maxRelativeHumidity: { type: "number", min: 0, max: 100 },
+        minIsi: { type: "number", min: 0 }
+    },
+    fgm: {
+        maxAccelerationTimeStep: { type: "duration", unit: "minutes", min: 0, exclusiveMin: true },
+        distanceResolution: { type: "number", min: 0.2, max: 10 },
+        perimeterResolution: { type: "number", min: 0.2, max: 10 },
+        minimumSpreadRos: { type: "number", min: 0, exclusiveMin: true },
+        stopAtGridEnd: { type: "boolean" },
+        breaching: { type: "boolean" },
+        dynamicSpatialThreshold: { type: "boolean" },
+        spotting: { type: "boolean" },
+        retainHiddenTimeSteps: { type: "boolean" },
+        growthPercentileApplied: { type: "boolean" },
+        growthPercentile: { type: "number", min: 0, max: 100, exclusiveMin: true, exclusiveMax: true }
+    },
+    probabilistic: {
+        ignitionDx: { type: "number", min: 0 },
+        ignitionDy: { type: "number", min: 0 },
+        ignitionDt: { type: "duration", unit: "seconds", min: 0 }
+    },
+    fbp: {
+        terrainEffect: { type: "boolean" },
+        windEffect: { type: "boolean" }
+    },
+    fmc: {
+        percentOverride: { type: "number", min: -1, max: 300 },
+        nodataElevation: { type: "number" }
+    },
+    fwi: {
+        spatialInterpolation: { type: "boolean" },
+        fromSpatialWeather: { type: "boolean" },
+        historyOnEffectedFwi: { type: "boolean" },
+        burningConditionsOn: { type: "boolean" },
+        temporalInterpolation: { type: "boolean" }
+    },
+    // how the job is run, see Running in the header of this file
+    run: {
+        wait: { type: "boolean", optional: true, default: false },  // also set by the --wait command line option
+        timeout: { type: "duration", unit: "minutes", min: 0, exclusiveMin: true, optional: true },    // wall clock, only when waiting
+        results: { type: "string", optional: true },                // also set by --results, see collectResults
+        moveResults: { type: "boolean", optional: true, default: false }
+    }
+};
 
-// *******************************************************
+// one entry of the optional weatherStations section. Keys other than location and file default to the weather section
+const weatherStationSchema = {
+    location: { type: "latlon" },
+    height: { type: "number", min: 0 },
+    file: { type: "string" },
+    startTime: { type: "time" },
+    endTime: { type: "time" },
+    hffmcValue: { type: "number", min: 0, max: 101 },
+    hffmcHour: { type: "integer", min: 0, max: 23 },
+    startingFfmc: { type: "number", min: 0, max: 101 },
+    startingDmc: { type: "number", min: 0 },
+    startingDc: { type: "number", min: 0 },
+    startingPrecipitation: { type: "number", min: 0 }
+};
 
-/*
-var inputDataFolder = stringArray[0];
-for (let i = 1; i <= 5; i++) {
-    copyFile(inputDataFolder, localDir + "/test/", stringArray[1], (err) => {
-        if (err) {
-            console.error(err);
-        } else {
-            console.log(stringArray[1] + 'copied successfully!');
-        }
-    });
-}
-*/
+// one row of the optional burningConditionDays table, keys that are not given take their value from burningConditions
+const burningConditionDaySchema = {
+    date: { type: "time" },
+    startHour: { type: "integer", min: 0, max: 23, optional: true },
+    endHour: { type: "integer", min: 1, max: 24, optional: true },
+    minFwi: { type: "number", min: 0, optional: true },
+    minWindSpeed: { type: "number", min: 0, optional: true },
+    maxRelativeHumidity: { type: "number", min: 0, max: 100, optional: true },
+    minIsi: { type: "number", min: 0, optional: true }
+};
+
+// one entry of the optional weatherPatches section besides its polygons, see parseWeatherPatches.
+//  Each override is a value to use, or an object with an operation (equal, plus, minus, multiply, divide) and its value
+const weatherPatchSchema = {
+    startTime: { type: "time" },
+    endTime: { type: "time" },
+    temperature: { type: "operation", optional: true },
+    relativeHumidity: { type: "operation", min: 0, max: 100, optional: true },
+    windSpeed: { type: "operation", min: 0, optional: true },
+    windDirection: { type: "operation", min: 0, max: 360, optional: true }
+};
+
+// one entry of the optional windGrids section, a grid of wind direction or wind speed used between its start and end time
+const windGridSchema = {
+    type: { type: "string", choices: ["direction", "speed"] },
+    file: { type: "string" },
+    projection: { type: "string", optional: true },            // defaults to inputs.projection
+    startTime: { type: "time" },
+    endTime: { type: "time" }
+};
+
+// the optional ensemble section, which turns every scenario into count members with a jittered ignition and perturbed weather
+const ensembleSchema = {
+    count: { type: "integer", min: 1 },
+    seed: { type: "integer", optional: true },
+    ignitionRadius: { type: "number", min: 0, optional: true, default: 0 },                     // metres
+    ignitionTimeWindow: { type: "duration", unit: "minutes", min: 0, optional: true, default: luxon_1.Duration.fromObject({}) },   // +/- around ignition.time
+    noiseModel: { type: "string", choices: ["uniform", "normal"], optional: true, default: "uniform" },
+    hourlyNoise: { type: "boolean", optional: true, default: false },                          // draw new weather noise every hour instead of once per member
+    windSpeedPercent: { type: "number", min: 0, optional: true, default: 0 },
+    windDirectionDegrees: { type: "number", min: 0, max: 180, optional: true, default: 0 },
+    temperatureDegrees: { type: "number", min: 0, optional: true, default: 0 },
+    relativeHumidityPercent: { type: "number", min: 0, max: 100, optional: true, default: 0 }
+};
+
+// the W.I.S.E. GlobalStatistics the optional statistics section may ask for at the end of every timestep
+const timestepStatistics = ["DATE_TIME", "ELAPSED_TIME", "TIME_STEP_DURATION", "TEMPERATURE", "DEW_POINT", "RELATIVE_HUMIDITY",
+    "WIND_SPEED", "WIND_DIRECTION", "PRECIPITATION", "HFFMC", "HISI", "DMC", "DC", "HFWI", "BUI", "FFMC", "ISI", "FWI",
+    "TIMESTEP_AREA", "TIMESTEP_BURN_AREA", "TOTAL_AREA", "TOTAL_BURN_AREA", "AREA_GROWTH_RATE", "EXTERIOR_PERIMETER",
+    "EXTERIOR_PERIMETER_GROWTH_RATE", "ACTIVE_PERIMETER", "ACTIVE_PERIMETER_GROWTH_RATE", "TOTAL_PERIMETER",
+    "TOTAL_PERIMETER_GROWTH_RATE", "MAX_ROS", "MAX_FI", "MAX_FL", "MAX_CFB", "MAX_CFC", "MAX_SFC", "MAX_TFC",
+    "TOTAL_FUEL_CONSUMED", "CROWN_FUEL_CONSUMED", "SURFACE_FUEL_CONSUMED", "NUM_ACTIVE_VERTICES", "NUM_VERTICES",
+    "CUMULATIVE_VERTICES", "CUMULATIVE_ACTIVE_VERTICES", "NUM_ACTIVE_FRONTS", "NUM_FRONTS", "SCENARIO_NAME"];
+
+// the FBP fuel types a fuel table may use
+const fbpFuelTypes = ["C-1", "C-2", "C-3", "C-4", "C-5", "C-6", "C-7", "D-1", "D-2", "D-1/D-2", "S-1", "S-2", "S-3",
+    "O-1a", "O-1b", "M-1", "M-2", "M-1/M-2", "M-3", "M-4", "M-3/M-4", "Non-Fuel"];
+
+// one row of a fuel table. Columns named spread.[name] (or a spread object in JSON) hold the parameters of spreadType
+const fuelTableSchema = {
+    name: { type: "string" },
+    code: { type: "string", choices: fbpFuelTypes },
+    index: { type: "integer", min: 0 },                         // the value of the fuel in the fuel map
+    red: { type: "integer", min: 0, max: 255 },
+    green: { type: "integer", min: 0, max: 255 },
+    blue: { type: "integer", min: 0, max: 255 },
+    percentConifer: { type: "number", min: 0, max: 100, optional: true },
+    percentDeadFir: { type: "number", min: 0, max: 100, optional: true },
+    spreadType: { type: "string", optional: true }              // a spread parameter class of the W.I.S.E. API fuels module
+};
+
+// one entry of the optional fuelOptions section, see parseFuelOptions
+const fuelOptionSchema = {
+    fuelType: { type: "string" },                               // an FBP fuel type, or the name of a fuel in the fuel table
+    curing: { type: "number", min: 0, max: 100, optional: true },                   // percent
+    greenUp: { type: "boolean", optional: true },
+    crownBaseHeight: { type: "number", min: 0, optional: true },                    // metres
+    scenarioStartFrom: { type: "time", optional: true },        // the first day a scenario may start on to be given the option
+    scenarioStartUntil: { type: "time", optional: true }        // the last day
+};
+
+// the W.I.S.E. grid file type each fuel option is given as, and the FBP fuel types it applies to
+const fuelOptionGrids = {
+    curing: { gridType: "DEGREE_CURING", fuelTypes: ["O-1a", "O-1b"] },
+    greenUp: { gridType: "GREEN_UP", fuelTypes: ["D-1", "D-2", "D-1/D-2", "M-1", "M-2", "M-1/M-2", "M-3", "M-4", "M-3/M-4"] },
+    crownBaseHeight: { gridType: "CROWN_BASE_HEIGHT", fuelTypes: ["C-1", "C-2", "C-3", "C-4", "C-5", "C-6", "C-7", "M-1", "M-2", "M-1/M-2", "M-3", "M-4", "M-3/M-4"] }
+};
+
+// one entry of the optional fuelBreaks section besides its geometries, see parseFuelBreaks
+const fuelBreakSchema = {
+    width: { type: "number", min: 0, exclusiveMin: true, optional: true }      // metres, required for lines
+};
+
+// one entry of the optional fuelPatches section besides its polygons, see parseFuelPatches
+const fuelPatchSchema = {
+    fromFuel: { type: "string" },                               // a fuel name, or all, allCombustible or noData
+    toFuel: { type: "string" }                                  // a fuel name
+};
+
+// the fromFuel values of a fuel patch that are not fuel names, and the W.I.S.E. FromFuel they stand for
+const fuelPatchFromFuels = { all: "ALL", allCombustible: "ALL_COMBUSTIBLE", noData: "NODATA" };
+
+// sections of the simulation setup that are not described by simulationSetupSchema
+const freeformSetupSections = ["exports", "sweep", "ensemble", "ignitions", "perimeter", "weatherStations", "weatherPatches", "windGrids", "burningConditionDays", "fuelOptions", "fuelBreaks", "fuelPatches", "statistics"];
+
+// the accepted header names of the weather file columns used by this script
+const weatherColumns = {
+    date: ["HOURLY", "DATE"],
+    hour: ["HOUR"],
+    temperature: ["TEMP", "TEMPERATURE"],
+    relativeHumidity: ["RH", "RELATIVE_HUMIDITY"],
+    windDirection: ["WD", "WIND_DIRECTION", "WINDDIR"],
+    windSpeed: ["WS", "WIND_SPEED", "WINDSPEED"],
+    precipitation: ["PRECIP", "PRECIPITATION", "RAIN"]
+};
+
+// sections of the simulation setup that are set per scenario, and so can be swept
+const scenarioSetupSections = ["burningConditions", "fgm", "probabilistic", "fbp", "fmc", "fwi"];
+
+// the exit codes of the process, so a scheduler can tell how a run ended
+const exitCodes = {
+    success: 0,
+    configError: 1,             // the simulation setup, exports or inputs cannot be used, or W.I.S.E. cannot be reached
+    validationFailed: 2,        // W.I.S.E. found the job or its FGM invalid, or could not validate it
+    scenarioFailed: 3,          // at least one scenario failed
+    timeout: 4                  // the job did not complete within run.timeout
+};
 
 /*
  * *******************************************************
@@ -152,55 +554,154 @@ for (let i = 1; i <= 5; i++) {
  * *******************************************************
 */
 
-// global variable to hold all outputs based on CLI flags
-const sceneExports = {};
-// global constant of all export types
-const exportTypes = ["-FI","-FL","-ROS","-SFC","-CFC","-TFC","-CFB","-RAZ","-BG","-HROS","-FROS","-BROS","-AT","-ATMIN","-ATMAX"];
-const exportMapTypes = ["-BROS_MAP","-CBH_MAP","-CFB_MAP","-CFC_MAP","-CFL_MAP","-FI_MAP","-FL_MAP","-FMC_MAP","-FROS_MAP","-HROS_MAP",
-                        "-PC_MAP","-PDF_MAP","-RAZ_MAP","-RSS_MAP","-SFC_MAP","-TFC_MAP","-CURINGDEGREE_MAP","-DIRVECTOR_MAP",
-                        "-FUELLOAD_MAP","-GRASSPHENOLOGY_MAP","-GREENUP_MAP","-ROSVECTOR_MAP","-TREEHEIGHT_MAP"];
-
-// function to collect command line arguments, ran immediately
-(function collectExports() {
-    // read in command line arguments
-    const args = process.argv.slice(2);
-
-    // process arguments into sceneExports
-    let currentFlag = null;
+// every export that can be requested, by its type: the command line flag without the "-", or the type of an entry of the
+// exports section. statistic is the W.I.S.E. GlobalStatistics of a grid or map export, fileType the VectorFileType of a vector export
+const exportRegistry = {
+    FI: { kind: "grid", statistic: "MAX_FI" },
+    FL: { kind: "grid", statistic: "MAX_FL" },
+    ROS: { kind: "grid", statistic: "MAX_ROS" },
+    SFC: { kind: "grid", statistic: "MAX_SFC" },
+    CFC: { kind: "grid", statistic: "MAX_CFC" },
+    TFC: { kind: "grid", statistic: "MAX_TFC" },
+    CFB: { kind: "grid", statistic: "MAX_CFB" },
+    RAZ: { kind: "grid", statistic: "RAZ" },
+    BG: { kind: "grid", statistic: "BURN_GRID" },
+    HROS: { kind: "grid", statistic: "HROS" },
+    FROS: { kind: "grid", statistic: "FROS" },
+    BROS: { kind: "grid", statistic: "BROS" },
+    AT: { kind: "grid", statistic: "FIRE_ARRIVAL_TIME" },
+    ATMIN: { kind: "grid", statistic: "FIRE_ARRIVAL_TIME_MIN" },
+    ATMAX: { kind: "grid", statistic: "FIRE_ARRIVAL_TIME_MAX" },
+    BROS_MAP: { kind: "map", statistic: "BROS_MAP" },
+    CBH_MAP: { kind: "map", statistic: "CBH_MAP" },
+    CFB_MAP: { kind: "map", statistic: "CFB_MAP" },
+    CFC_MAP: { kind: "map", statistic: "CFC_MAP" },
+    CFL_MAP: { kind: "map", statistic: "CFL_MAP" },
+    FI_MAP: { kind: "map", statistic: "FI_MAP" },
+    FL_MAP: { kind: "map", statistic: "FL_MAP" },
+    FMC_MAP: { kind: "map", statistic: "FMC_MAP" },
+    FROS_MAP: { kind: "map", statistic: "FROS_MAP" },
+    HROS_MAP: { kind: "map", statistic: "HROS_MAP" },
+    PC_MAP: { kind: "map", statistic: "PC_MAP" },
+    PDF_MAP: { kind: "map", statistic: "PDF_MAP" },
+    RAZ_MAP: { kind: "map", statistic: "RAZ_MAP" },
+    RSS_MAP: { kind: "map", statistic: "RSS_MAP" },
+    SFC_MAP: { kind: "map", statistic: "SFC_MAP" },
+    TFC_MAP: { kind: "map", statistic: "TFC_MAP" },
+    CURINGDEGREE_MAP: { kind: "map", statistic: "CURINGDEGREE_MAP" },
+    DIRVECTOR_MAP: { kind: "map", statistic: "DIRVECTOR_MAP" },
+    FUELLOAD_MAP: { kind: "map", statistic: "FUEL_LOAD_MAP" },
+    GRASSPHENOLOGY_MAP: { kind: "map", statistic: "GRASSPHENOLOGY_MAP" },
+    GREENUP_MAP: { kind: "map", statistic: "GREENUP_MAP" },
+    ROSVECTOR_MAP: { kind: "map", statistic: "ROSVECTOR_MAP" },
+    TREEHEIGHT_MAP: { kind: "map", statistic: "TREE_HEIGHT_MAP" },
+    PERIM_KML: { kind: "vector", fileType: "KML", extension: ".kml" },
+    PERIM_SHP: { kind: "vector", fileType: "SHP", extension: ".shp" },
+    PERIM_GEOJSON: { kind: "vector", fileType: "GEOJSON", extension: ".geojson" }
+};
+
+// how each kind of export is given: how many times it takes after the filename, the option words and name=value
+// settings it accepts, the extension added to filenames without one, and how it is added to a scenario (see addExports)
+const exportKinds = {
+    grid: { minTimes: 1, maxTimes: 2, options: [], settings: ["interpolation", "cellSize", "clip"], extension: ".tif" },
+    map: { minTimes: 1, maxTimes: 1, options: [], settings: ["interpolation", "cellSize", "clip"], extension: ".tif" },
+    vector: { minTimes: 1, maxTimes: 2, options: ["active", "merged"], settings: [] }
+};
+
+// the interpolation methods of grid exports, by the name given with interpolation=, and their W.I.S.E. Output_GridFileInterpolation
+const exportInterpolations = {
+    closestVertex: "CLOSEST_VERTEX",
+    idw: "IDW",
+    areaWeighted: "AREA_WEIGHTING",
+    discretized: "DISCRETIZED",
+    calculate: "CALCULATE"
+};
+
+// the most exports one interval may expand to, each is a file W.I.S.E. writes for every scenario
+const maxExportSteps = 1000;
+
+// one entry of the exports section, the words of the command line flag of its type by name, see parseExports
+const exportSchema = {
+    type: { type: "string" },                                   // a key of exportRegistry
+    filename: { type: "string" },
+    time: { type: "string", optional: true },                   // or startTime and endTime, read by parseExport
+    startTime: { type: "string", optional: true },
+    endTime: { type: "string", optional: true },
+    interval: { type: "string", optional: true },
+    activeOnly: { type: "boolean", optional: true },
+    merged: { type: "boolean", optional: true },
+    interpolation: { type: "string", optional: true },
+    cellSize: { type: "number", optional: true },
+    clip: { type: "string", optional: true }                    // a buffer in metres, or a list or string of south,west,north,east
+};
+
+// the tokens an export filename may hold, and how each is filled in from the export and the name of its scenario.
+// A time range fills {time} with its end, a single time fills {start} and {end} with that time
+const exportFilenameTokens = {
+    scenario: (exp, scenarioName) => scenarioName,
+    type: exp => exp.type,
+    time: exp => (exp.endTime || exp.time).toFormat("yyyyMMdd_HHmm"),
+    start: exp => exp.time.toFormat("yyyyMMdd_HHmm"),
+    end: exp => (exp.endTime || exp.time).toFormat("yyyyMMdd_HHmm")
+};
+
+/**
+ * Collect the exports to add to every scenario from the exports section of the simulation setup and the command line,
+ * and check their filenames. Throws an error describing the first export that cannot be used.
+ * @param setup The parsed simulation setup.
+ * @param scenarios The scenarios, as returned by expandEnsemble, whose filenames must be unique.
+ * @param args The command line arguments, or the same words from elsewhere. Only the exports are read from them,
+ *          the flags of a type replace every entry of the exports section of that type.
+ * @param inputsFolder The folder the projection file of the job is read from.
+ * @returns Every export to add to each scenario, as returned by parseExport.
+ */
+function readExports(setup, scenarios, args, inputsFolder) {
+    const sceneExports = [];
+
+    // process arguments into the requested exports, each with its type and words
+    const flags = [];
     args.forEach(arg => {
-        if (arg.startsWith("-")){
-            currentFlag = arg;
-            sceneExports[currentFlag] = [];
-        } else if (currentFlag) {
-            sceneExports[currentFlag].push(arg);
+        // skip --name value options, they were read by readCliOptions
+        if (arg.startsWith("--")) {
+            flags.push(null);
+        } else if (arg.startsWith("-")){
+            flags.push({ type: arg.slice(1), args: [] });
+        } else if (flags.length > 0 && flags[flags.length - 1]) {
+            flags[flags.length - 1].args.push(arg);
         }
     });
+    const requested = flags.filter(flag => flag);
 
-    // variable to hold all file names to ensure unique file names are used
-    let filenames = [];
+    // the exports of the simulation setup, which parseExports has checked, unless a command line flag of the same type replaces them
+    const flagTypes = requested.map(flag => flag.type);
+    const listed = setup.exports.filter(exp => !flagTypes.includes(exp.type));
 
-    // validate the sceneExports
-    Object.keys(sceneExports).forEach(key => {
-        // Validate type
-        if(!exportTypes.includes(key) && !exportMapTypes.includes(key)){
-            throw Error("Unknown export type "+key.slice(1));
-        }
-        // Validate number of arguments if its an non-map export type
-        if(exportTypes.includes(key) && (sceneExports[key].length > 3 || sceneExports[key].length < 2)){
-            throw Error("Incorrect number of arguments for "+key.slice(1));
-        }
-        // Validate number of arguments if its map export type
-        else if(exportMapTypes.includes(key) && sceneExports[key].length != 2){
-            throw Error("Incorrect number of arguments for "+key.slice(1));
-        }
-        // Validate unique filename
-        if(filenames.includes(sceneExports[key][0])){
-            throw Error("The export filename \""+sceneExports[key][0]+"\" is used more than once");
-        } else {
-            filenames.push(sceneExports[key][0]);
-        }
+    // validate the requested exports
+    listed.concat(requested).forEach(exp => {
+        sceneExports.push(...parseExport(exp.type, exp.args, setup.zone));
     });
-})();
+
+    // Validate the filenames of every scenario once their tokens are filled in, and that they are unique
+    for (const scenario of scenarios) {
+        // variable to hold all file names to ensure unique file names are used
+        let filenames = [];
+        sceneExports.forEach(exp => {
+            const filename = expandExportFilename(exp, scenario.name);
+            checkExportFilename(filename, exp);
+            if(filenames.includes(filename.toLowerCase())){
+                throw Error("The export filename \""+filename+"\" is used more than once" + (scenarios.length > 1 ? " in " + scenario.name : ""));
+            } else {
+                filenames.push(filename.toLowerCase());
+            }
+        });
+    }
+
+    // clip extents are found in the projection of the grids, make sure it can be read before anything is built
+    if (sceneExports.some(exp => exp.clip)) {
+        readProjection(path.join(inputsFolder, setup.inputs.projection));
+    }
+    return sceneExports;
+}
 
 /*
  * *******************************************************
@@ -208,30 +709,26 @@ const exportMapTypes = ["-BROS_MAP","-CBH_MAP","-CFB_MAP","-CFC_MAP","-CFL_MAP",
  * *******************************************************
 */
 
-// initialize the connection settings for W.I.S.E. Builder
-index_1.globals.SocketHelper.initialize(serverConfig.builderAddress, serverConfig.builderPort);
-// turn on debug messages
-index_1.globals.WISELogger.getInstance().setLogLevel(index_1.globals.WISELogLevel.DEBUG);
-// set the default MQTT broker to use when listening for W.I.S.E. events
-index_1.client.JobManager.setDefaults({
-    host: serverConfig.mqttAddress,
-    port: serverConfig.mqttPort,
-    topic: serverConfig.mqttTopic,
-    username: serverConfig.mqttUsername,
-    password: serverConfig.mqttPassword
-});
+/**
+ * Set the W.I.S.E. Builder that jobs are sent to and the MQTT broker that runJob listens to them through.
+ * @param serverConfig The server configuration, a W.I.S.E. ServerConfiguration or an object with the same keys.
+ */
+function configureServer(serverConfig) {
+    // initialize the connection settings for W.I.S.E. Builder
+    index_1.globals.SocketHelper.initialize(serverConfig.builderAddress, serverConfig.builderPort);
+    // set the default MQTT broker to use when listening for W.I.S.E. events
+    index_1.client.JobManager.setDefaults({
+        host: serverConfig.mqttAddress,
+        port: serverConfig.mqttPort,
+        topic: serverConfig.mqttTopic,
+        username: serverConfig.mqttUsername,
+        password: serverConfig.mqttPassword
+    });
+}
 
 // uncomment this line for exceptions to be thrown when invalid values are set
 // globals.SocketMsg.inlineThrowOnError = true;
 
-// the directory of the test files
-
-// make sure the local directory has been configured
-if (localDir.includes('@JOBS@')) {
-    console.log("The job directory has not been configured. Please edit the job directory before running the example server.");
-    process.exit();
-}
-
 /*
  * *******************************************************
  * Define helper functions
@@ -257,655 +754,582 @@ function delay(t) {
  * @param node The node of the validation tree to handle.
  */
 function handleErrorNode(node) {
+    validationMessages(node).forEach(message => console.error(message));
+}
+
+/**
+ * Recursively collect the messages of the leaf nodes of the validation tree.
+ * @param node The node of the validation tree to collect the messages of.
+ * @returns A message for every invalid value below the node.
+ */
+function validationMessages(node) {
     //leaf node
     if (node.children.length == 0) {
-        console.error(`'${node.getValue()}' is invalid for '${node.propertyName}': "${node.message}"`);
+        return [`'${node.getValue()}' is invalid for '${node.propertyName}': "${node.message}"`];
     }
     //branch node
-    else {
-        node.children.forEach(child => {
-            handleErrorNode(child);
-        });
-    }
+    return [].concat(...node.children.map(child => validationMessages(child)));
 }
 
 /**
- * Creates grid exports based on command line arguments
+ * Add the exports to a scenario, each as described by its entry in exportRegistry.
  * @param prom The prometheus object
  * @param scene The scene that the exports will be added to
- * @param filepath The relative file path location within the outputs folder where the exports will be saved to (ex: "scen0/")
- * @param sceneExports The sceneExports object containing all listed exports to create
- */
-function createGridExports(prom, scene, filepath, sceneExports) {
-    Object.keys(sceneExports).forEach(key => {
-
-        // identify the type of export
-        let type;
-        if (key === "-FI") {type = index_1.globals.GlobalStatistics.MAX_FI;}
-        else if (key === "-FL") {type = index_1.globals.GlobalStatistics.MAX_FL;}
-        else if (key === "-ROS") {type = index_1.globals.GlobalStatistics.MAX_ROS;}
-        else if (key === "-SFC") {type = index_1.globals.GlobalStatistics.MAX_SFC;}
-        else if (key === "-CFC") {type = index_1.globals.GlobalStatistics.MAX_CFC;}
-        else if (key === "-TFC") {type = index_1.globals.GlobalStatistics.MAX_TFC;}
-        else if (key === "-CFB") {type = index_1.globals.GlobalStatistics.MAX_CFB;}
-        else if (key === "-RAZ") {type = index_1.globals.GlobalStatistics.RAZ;}
-        else if (key === "-BG") {type = index_1.globals.GlobalStatistics.BURN_GRID;}
-        else if (key === "-HROS") {type = index_1.globals.GlobalStatistics.HROS;}
-        else if (key === "-FROS") {type = index_1.globals.GlobalStatistics.FROS;}
-        else if (key === "-BROS") {type = index_1.globals.GlobalStatistics.BROS;}
-        else if (key === "-AT") {type = index_1.globals.GlobalStatistics.FIRE_ARRIVAL_TIME;}
-        else if (key === "-ATMIN") {type = index_1.globals.GlobalStatistics.FIRE_ARRIVAL_TIME_MIN;}
-        else if (key === "-ATMAX") {type = index_1.globals.GlobalStatistics.FIRE_ARRIVAL_TIME_MAX;}
-        else if (key === "-BROS_MAP") {type = index_1.globals.GlobalStatistics.BROS_MAP;}
-        else if (key === "-CBH_MAP") {type = index_1.globals.GlobalStatistics.CBH_MAP;}
-        else if (key === "-CFB_MAP") {type = index_1.globals.GlobalStatistics.CFB_MAP;}
-        else if (key === "-CFC_MAP") {type = index_1.globals.GlobalStatistics.CFC_MAP;}
-        else if (key === "-CFL_MAP") {type = index_1.globals.GlobalStatistics.CFL_MAP;}
-        else if (key === "-FI_MAP") {type = index_1.globals.GlobalStatistics.FI_MAP;}
-        else if (key === "-FL_MAP") {type = index_1.globals.GlobalStatistics.FL_MAP;}
-        else if (key === "-FMC_MAP") {type = index_1.globals.GlobalStatistics.FMC_MAP;}
-        else if (key === "-FROS_MAP") {type = index_1.globals.GlobalStatistics.FROS_MAP;}
-        else if (key === "-HROS_MAP") {type = index_1.globals.GlobalStatistics.HROS_MAP;}
-        else if (key === "-PC_MAP") {type = index_1.globals.GlobalStatistics.PC_MAP;}
-        else if (key === "-PDF_MAP") {type = index_1.globals.GlobalStatistics.PDF_MAP;}
-        else if (key === "-RAZ_MAP") {type = index_1.globals.GlobalStatistics.RAZ_MAP;}
-        else if (key === "-RSS_MAP") {type = index_1.globals.GlobalStatistics.RSS_MAP;}
-        else if (key === "-SFC_MAP") {type = index_1.globals.GlobalStatistics.SFC_MAP;}
-        else if (key === "-TFC_MAP") {type = index_1.globals.GlobalStatistics.TFC_MAP;}
-        else if (key === "-CURINGDEGREE_MAP") {type = index_1.globals.GlobalStatistics.CURINGDEGREE_MAP;}
-        else if (key === "-DIRVECTOR_MAP") {type = index_1.globals.GlobalStatistics.DIRVECTOR_MAP;}
-        else if (key === "-FUELLOAD_MAP") {type = index_1.globals.GlobalStatistics.FUEL_LOAD_MAP;}
-        else if (key === "-GRASSPHENOLOGY_MAP") {type = index_1.globals.GlobalStatistics.GRASSPHENOLOGY_MAP;}
-        else if (key === "-GREENUP_MAP") {type = index_1.globals.GlobalStatistics.GREENUP_MAP;}
-        else if (key === "-ROSVECTOR_MAP") {type = index_1.globals.GlobalStatistics.ROSVECTOR_MAP;}
-        else if (key === "-TREEHEIGHT_MAP") {type = index_1.globals.GlobalStatistics.TREE_HEIGHT_MAP;}
-        
-        // add .tif extension if required
-        let fullFilePath = filepath+sceneExports[key][0];
-        if(!fullFilePath.endsWith(".tif")){
-            fullFilePath = fullFilePath + ".tif";
+ * @param scenarioName The name of the scenario, its exports are saved to the folder of that name within the outputs folder
+ * @param exps The exports to create, as returned by parseExport
+ * @param metadata The metadata to write with vector exports, from the job defaults
+ * @returns What was registered with W.I.S.E. for each export, see exportFile
+ */
+function addExports(prom, scene, scenarioName, exps, metadata) {
+    return exps.map(exp => {
+        const entry = exportRegistry[exp.type];
+        const registered = exportFile(exp, scenarioName);
+        const fullFilePath = registered.file;
+
+        if (entry.kind === "vector") {
+            // a single time exports the perimeter at that time, a range every perimeter between the two
+            const vectorFile = prom.addOutputVectorFileToScenario(index_1.wise.VectorFileType[entry.fileType], fullFilePath, exp.time, exp.endTime || exp.time, scene);
+            vectorFile.multPerim = !exp.merged;
+            vectorFile.mergeContact = exp.merged;
+            vectorFile.perimActive = exp.activeOnly;
+            vectorFile.removeIslands = true;
+            vectorFile.metadata = metadata;
+            return registered;
         }
 
         // create simulation time, either single time or range.
-        let simTime;
-        if(sceneExports[key][2]) {
-            simTime = new index_1.globals.TimeRange(luxon_1.DateTime.fromISO(sceneExports[key][1]), luxon_1.DateTime.fromISO(sceneExports[key][2]));
+        const simTime = exp.endTime ? new index_1.globals.TimeRange(exp.time, exp.endTime) : exp.time;
+        const gridFile = prom.addOutputGridFileToScenario(index_1.globals.GlobalStatistics[entry.statistic], fullFilePath, simTime,
+            index_1.wise.Output_GridFileInterpolation[exp.interpolation], scene);
+        // W.I.S.E. resamples the grid to the cell size, the clip extent is cut out once the simulation is complete
+        if (exp.cellSize) {
+            gridFile.exportOptions = new index_1.wise.GridOutputOptions();
+            gridFile.exportOptions.resolution = exp.cellSize;
         }
-        else {
-            simTime = luxon_1.DateTime.fromISO(sceneExports[key][1]);
+        return registered;
+    });
+}
+
+/**
+ * Describe the file an export of a scenario is written to.
+ * @param exp The export, as returned by parseExport.
+ * @param scenarioName The name of the scenario.
+ * @returns The type, scenario, file within the outputs folder, and time or time range of the export.
+ */
+function exportFile(exp, scenarioName) {
+    return { type: exp.type, scenario: scenarioName, file: scenarioName + "/" + expandExportFilename(exp, scenarioName), time: exp.time, endTime: exp.endTime };
+}
+
+/**
+ * Parse the arguments of one export, as given after its flag on the command line:
+ * [filename] [ISO time] [ISO time (optional)] [ISO duration (optional)] [option words (vector exports only)]
+ *      [name=value settings (grid and MAP exports only)]
+ * With a duration the export is repeated at that interval from the first time to the second, each at a single
+ * time and with the time added to its filename (e.g. ros_20011016_1300.tif) unless the filename has a {time} token,
+ * at most maxExportSteps times. The filename may hold the tokens of exportFilenameTokens, which are filled in by expandExportFilename.
+ * The settings are interpolation (a key of exportInterpolations, idw if not given), cellSize in metres, and clip,
+ * either south,west,north,east in degrees or a buffer in metres around the scenario's ignitions.
+ * Throws an error if the type is unknown or the arguments do not suit its kind of export.
+ * @param type The export type, the flag without the "-".
+ * @param args The words following the flag.
+ * @param zone The zone times without an offset are read in, that of the simulation setup, UTC if not given.
+ * @returns The exports, each with its type, filename (with the extension of its kind), time, end time (or null) and options.
+ */
+function parseExport(type, args, zone) {
+    const entry = exportRegistry[type];
+    if (!entry) {
+        throw Error("Unknown export type " + type);
+    }
+    const kind = exportKinds[entry.kind];
+    if (entry.kind === "vector" && index_1.wise.VectorFileType[entry.fileType] == null) {
+        throw Error(`The ${type} export is not supported by this version of W.I.S.E.`);
+    }
+    const settings = {};
+    args.slice(1).filter(arg => arg.includes("=")).forEach(arg => {
+        const name = arg.slice(0, arg.indexOf("="));
+        if (!kind.settings.includes(name)) {
+            throw Error(`Unknown setting ${name} for ${type}` + (kind.settings.length > 0 ? `, use ${kind.settings.join(", ")}` : ""));
         }
+        settings[name] = arg.slice(arg.indexOf("=") + 1);
+    });
+    const options = args.slice(1).filter(arg => kind.options.includes(arg));
+    const times = args.slice(1).filter(arg => !kind.options.includes(arg) && !arg.includes("="));
+    // an interval is the last of the times, and needs a start and end time whatever the kind of export
+    const interval = times.length > 1 && times[times.length - 1].toUpperCase().startsWith("P") ? times.pop() : null;
+    if (args.length == 0 || (interval ? times.length != 2 : times.length < kind.minTimes || times.length > kind.maxTimes)) {
+        throw Error("Incorrect number of arguments for " + type);
+    }
+
+    // add the extension if required
+    const extension = entry.extension || kind.extension;
+    const filename = args[0].endsWith(extension) ? args[0] : args[0] + extension;
+    const unknownToken = (filename.match(/\{[^}]*\}/g) || []).find(token => !exportFilenameTokens[token.slice(1, -1)]);
+    if (unknownToken) {
+        throw Error(`The export filename "${filename}" of ${type} has the unknown token ${unknownToken}, use ${Object.keys(exportFilenameTokens).map(token => `{${token}}`).join(", ")}`);
+    }
 
-        // add the export
-        prom.addOutputGridFileToScenario(type, fullFilePath, simTime, index_1.wise.Output_GridFileInterpolation.IDW, scene);
+    const parsedTimes = times.map(time => {
+        const parsed = luxon_1.DateTime.fromISO(time, { zone: zone || luxon_1.FixedOffsetZone.utcInstance });
+        if (!parsed.isValid) {
+            throw Error(`"${time}" is not an ISO time for ${type}`);
+        }
+        return parsed;
     });
+    if (parsedTimes.length == 2 && parsedTimes[1] <= parsedTimes[0]) {
+        throw Error(`The end time of ${type} must be after its start time`);
+    }
+    const exp = {
+        type: type,
+        filename: filename,
+        time: parsedTimes[0],
+        endTime: parsedTimes[1] || null,
+        activeOnly: options.includes("active"),
+        merged: options.includes("merged"),
+        interpolation: "IDW"
+    };
+    if (settings.interpolation != null) {
+        exp.interpolation = exportInterpolations[settings.interpolation];
+        if (!exp.interpolation) {
+            throw Error(`"${settings.interpolation}" is not an interpolation for ${type}, use ${Object.keys(exportInterpolations).join(", ")}`);
+        }
+    }
+    try {
+        exp.cellSize = parseSetupValue(settings.cellSize, { type: "number", min: 0, exclusiveMin: true, optional: true, default: null });
+    } catch (e) {
+        throw Error(`The cellSize of ${type}: ${e.message}`);
+    }
+    try {
+        exp.clip = settings.clip != null ? parseClipExtent(settings.clip) : null;
+    } catch (e) {
+        throw Error(`The clip of ${type}: ${e.message}`);
+    }
+    if (!interval) {
+        return [exp];
+    }
+
+    let step;
+    try {
+        step = parseDuration(interval, "hours");
+    } catch (e) {
+        throw Error(`${e.message} for the interval of ${type}`);
+    }
+    if (!(step.as("seconds") > 0)) {
+        throw Error(`The interval of ${type} must be longer than zero`);
+    }
+    const steps = Math.floor(exp.endTime.diff(exp.time).as("seconds") / step.as("seconds")) + 1;
+    if (steps > maxExportSteps) {
+        throw Error(`The interval of ${type} gives ${steps} exports from ${args[0]}, more than the ${maxExportSteps} allowed, use a longer interval`);
+    }
+    const exps = [];
+    for (let time = exp.time; time <= exp.endTime; time = time.plus(step)) {
+        exps.push(Object.assign({}, exp, {
+            filename: filename.includes("{time}") ? filename : filename.slice(0, -extension.length) + "_{time}" + extension,
+            time: time,
+            endTime: null
+        }));
+    }
+    return exps;
+}
+
+/**
+ * Fill in the tokens of an export's filename, see exportFilenameTokens.
+ * @param exp The export, as returned by parseExport.
+ * @param scenarioName The name of the scenario the export is added to.
+ * @returns The filename of the export in the scenario's folder.
+ */
+function expandExportFilename(exp, scenarioName) {
+    return exp.filename.replace(/\{([^}]*)\}/g, (token, name) => exportFilenameTokens[name](exp, scenarioName));
+}
+
+/**
+ * Throw an error if a filename cannot be used for an export, by the rules in the header of this file.
+ * @param filename The filename with its tokens filled in.
+ * @param exp The export, as returned by parseExport.
+ */
+function checkExportFilename(filename, exp) {
+    const extension = exportRegistry[exp.type].extension || exportKinds[exportRegistry[exp.type].kind].extension;
+    const name = filename.slice(0, -extension.length);
+    const problem = name.length == 0 ? "is empty"
+        : /\s/.test(name) ? "cannot contain spaces"
+        : name.includes(".") ? `cannot contain periods, the extension must be ${extension}`
+        : /[<>:"/\\|?*]/.test(name) ? `cannot contain any of the characters <>:"/\\|?*`
+        : /[\x00-\x1f]/.test(name) ? "cannot contain control characters"
+        : /^(CON|PRN|AUX|NUL|COM[1-9]|LPT[1-9])$/i.test(name) ? "is a name reserved by Windows"
+        : filename.length > 255 ? "is longer than 255 characters"
+        : null;
+    if (problem) {
+        throw Error(`The export filename "${filename}" of ${exp.type} ${problem}`);
+    }
+}
+
+/**
+ * Parse the clip extent of a grid export.
+ * @param value Either south,west,north,east in degrees (a list or a comma separated string), or a buffer in metres.
+ * @returns The extent as { bbox: [south, west, north, east] } or { buffer: metres }.
+ */
+function parseClipExtent(value) {
+    const parts = Array.isArray(value) ? value : String(value).split(",");
+    if (parts.length == 1) {
+        return { buffer: parseSetupValue(parts[0], { type: "number", min: 0, exclusiveMin: true }) };
+    }
+    if (parts.length != 4) {
+        throw Error(`"${value}" must be south,west,north,east or a buffer in metres`);
+    }
+    const [south, west, north, east] = parts.map(parseStrictNumber);
+    if (!(south < north) || !(west < east) || south < -90 || north > 90 || west < -180 || east > 180) {
+        throw Error(`"${value}" is not a south,west,north,east box in degrees`);
+    }
+    return { bbox: [south, west, north, east] };
+}
+
+/**
+ * Cut the clip extents out of the grid exports of every scenario once the simulation is complete.
+ * Each export is replaced by the cells that overlap its extent, found in the projection of the job, written in the
+ * sample format W.I.S.E. wrote it in so integer grids stay integers. An export that
+ * W.I.S.E. did not write, as when its scenario failed, is skipped with a warning. Throws an error listing every
+ * export that could not be clipped, once the others are.
+ * @param config The configuration of the job, as returned by loadConfig.
+ * @param outputsFolder The Outputs folder of the job, holding a folder of exports per scenario.
+ */
+function clipExports(config, outputsFolder) {
+    if (!config.exports.some(exp => exp.clip)) {
+        return;
+    }
+    const errors = [];
+    const project = readProjection(path.join(config.inputsFolder, config.setup.inputs.projection));
+    for (const scenario of config.scenarios) {
+        for (const exp of config.exports.filter(exp => exp.clip)) {
+            const filePath = path.join(outputsFolder, scenario.name, expandExportFilename(exp, scenario.name));
+            if (!fs.existsSync(filePath)) {
+                console.warn(`Cannot clip ${filePath}, W.I.S.E. did not write it`);
+                continue;
+            }
+            // the corners of the box, or the ignitions of the scenario grown by the buffer
+            let points;
+            let buffer = 0;
+            if (exp.clip.bbox) {
+                const [south, west, north, east] = exp.clip.bbox;
+                points = [[south, west], [south, east], [north, west], [north, east]].map(([lat, lon]) => project(lat, lon));
+            }
+            else {
+                points = [].concat(...(scenario.ignitions || config.setup.ignitions).map(ignition => ignition.vertices))
+                    .map(vertex => project(vertex.latitude, vertex.longitude));
+                buffer = exp.clip.buffer;
+            }
+            const left = Math.min(...points.map(point => point[0])) - buffer;
+            const right = Math.max(...points.map(point => point[0])) + buffer;
+            const bottom = Math.min(...points.map(point => point[1])) - buffer;
+            const top = Math.max(...points.map(point => point[1])) + buffer;
+
+            const grid = geotiff_1.readGeoTiff(filePath);
+            const extent = geotiff_1.getGridExtent(grid);
+            if (!extent) {
+                errors.push(`Cannot clip ${filePath}, it has no pixel scale and tiepoint`);
+                continue;
+            }
+            const firstColumn = Math.max(0, Math.floor((left - extent.x) / extent.dx));
+            const lastColumn = Math.min(grid.width - 1, Math.ceil((right - extent.x) / extent.dx) - 1);
+            const firstRow = Math.max(0, Math.floor((extent.y - top) / extent.dy));
+            const lastRow = Math.min(grid.height - 1, Math.ceil((extent.y - bottom) / extent.dy) - 1);
+            if (lastColumn < firstColumn || lastRow < firstRow) {
+                errors.push(`Cannot clip ${filePath}, the clip extent does not overlap it`);
+                continue;
+            }
+            const clipped = geotiff_1.cropGrid(grid, firstColumn, firstRow, lastColumn - firstColumn + 1, lastRow - firstRow + 1);
+            geotiff_1.writeGeoTiff(filePath, clipped, clipped.data, clipped.nodata, clipped.sampleFormat);
+        }
+    }
+    if (errors.length > 0) {
+        throw Error(errors.join("\n"));
+    }
+}
+
+/**
+ * Read a projection file and get the function that projects latitudes and longitudes into it. Transverse Mercator
+ * projections are supported, given as WKT or in the ArcInfo format of the Dogrib inputs (Projection UTM, Zone 11).
+ * Throws an error if the projection is not supported.
+ * @param filePath The projection file.
+ * @returns A function of a latitude and longitude in degrees that returns the projected [x, y].
+ */
+function readProjection(filePath) {
+    const contents = fs.readFileSync(filePath, 'utf8');
+    // the semi-major axis and inverse flattening of the spheroids the ArcInfo format names
+    const spheroids = { GRS1980: [6378137, 298.257222101], WGS84: [6378137, 298.257223563], CLARKE1866: [6378206.4, 294.9786982] };
+    let a, inverseFlattening, centralMeridian, latitudeOfOrigin = 0, scaleFactor, falseEasting, falseNorthing, unit = 1;
+
+    const zone = /^\s*Zone\s+(-?\d+)/im.exec(contents);
+    if (/^\s*Projection\s+UTM\b/im.test(contents) && zone) {
+        const spheroid = (/^\s*Spheroid\s+(\w+)/im.exec(contents) || [null, "GRS1980"])[1].toUpperCase();
+        if (!spheroids[spheroid]) {
+            throw Error(`The projection ${filePath} uses the spheroid ${spheroid}, only ${Object.keys(spheroids).join(", ")} are supported`);
+        }
+        [a, inverseFlattening] = spheroids[spheroid];
+        // ArcInfo gives southern hemisphere zones as negative numbers
+        centralMeridian = Math.abs(+zone[1]) * 6 - 183;
+        scaleFactor = 0.9996;
+        falseEasting = 500000;
+        falseNorthing = +zone[1] < 0 ? 10000000 : 0;
+    }
+    else if (/PROJECTION\s*\[\s*"Transverse_Mercator"/i.test(contents)) {
+        const parameter = name => {
+            const match = new RegExp(`PARAMETER\\s*\\[\\s*"${name}"\\s*,\\s*([-+.\\dEe]+)`, "i").exec(contents);
+            return match ? +match[1] : null;
+        };
+        const spheroid = /SPHEROID\s*\[\s*"[^"]*"\s*,\s*([-+.\dEe]+)\s*,\s*([-+.\dEe]+)/i.exec(contents);
+        if (!spheroid || parameter("Central_Meridian") == null) {
+            throw Error(`The projection ${filePath} has no spheroid or central meridian`);
+        }
+        a = +spheroid[1];
+        inverseFlattening = +spheroid[2];
+        centralMeridian = parameter("Central_Meridian");
+        latitudeOfOrigin = parameter("Latitude_Of_Origin") || 0;
+        scaleFactor = parameter("Scale_Factor") || 1;
+        falseEasting = parameter("False_Easting") || 0;
+        falseNorthing = parameter("False_Northing") || 0;
+        // the last unit is the linear unit of the projected coordinates
+        const units = [...contents.matchAll(/UNIT\s*\[\s*"[^"]*"\s*,\s*([-+.\dEe]+)/gi)];
+        unit = units.length > 1 ? +units[units.length - 1][1] : 1;
+    }
+    else {
+        // name what was found, the PROJECTION of a WKT or the Projection line of the ArcInfo format
+        const found = /PROJECTION\s*\[\s*"([^"]*)"/i.exec(contents) || /^\s*Projection\s+(\w+)/im.exec(contents);
+        throw Error(`The projection ${filePath}${found ? ` is ${found[1]}, which` : ""} is not supported, clipping exports needs a UTM (with its zone) or Transverse Mercator projection`);
+    }
+
+    // the series of Snyder, Map Projections - A Working Manual, pp. 61
+    const f = 1 / inverseFlattening;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (1 - e2);
+    const meridianDistance = phi => a * ((1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256) * phi
+        - (3 * e2 / 8 + 3 * e2 * e2 / 32 + 45 * e2 * e2 * e2 / 1024) * Math.sin(2 * phi)
+        + (15 * e2 * e2 / 256 + 45 * e2 * e2 * e2 / 1024) * Math.sin(4 * phi)
+        - (35 * e2 * e2 * e2 / 3072) * Math.sin(6 * phi));
+    const toRadians = Math.PI / 180;
+    const m0 = meridianDistance(latitudeOfOrigin * toRadians);
+    return (latitude, longitude) => {
+        const phi = latitude * toRadians;
+        const n = a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+        const t = Math.tan(phi) ** 2;
+        const c = ep2 * Math.cos(phi) ** 2;
+        const A = (longitude - centralMeridian) * toRadians * Math.cos(phi);
+        const x = scaleFactor * n * (A + (1 - t + c) * A ** 3 / 6 + (5 - 18 * t + t * t + 72 * c - 58 * ep2) * A ** 5 / 120);
+        const y = scaleFactor * (meridianDistance(phi) - m0 + n * Math.tan(phi) * (A * A / 2
+            + (5 - t + 9 * c + 4 * c * c) * A ** 4 / 24 + (61 - 58 * t + t * t + 600 * c - 330 * ep2) * A ** 6 / 720));
+        return [(x + falseEasting) / unit, (y + falseNorthing) / unit];
+    };
 }
 
 /**
- * Builds fuel definitions from the Dogrib example.
+ * Set the burning conditions and the FGM, probabilistic, FBP, FMC and FWI options of a scenario.
+ * @param scen The scenario to set the options on.
+ * @param setup The simulation setup to take the options from, with the swept values of the scenario applied.
+ * @param start The time the scenario starts.
+ * @param jobZone The offset of the job, see timezoneOffset. The burning conditions are those of the days of the time
+ *          zone of the job, with their hours given in this offset. The first day of a restart from a perimeter starts
+ *          when it was observed, which may be partway through an hour.
+ */
+function setScenarioOptions(scen, setup, start, jobZone) {
+    let burnDates = getAllDatesWithoutTimeBetween(start.setZone(setup.zone), setup.simulation.endTime);
+
+    for (const burndate of burnDates) {
+        // a day listed in burningConditionDays replaces the values it gives
+        const day = Object.assign({}, setup.burningConditions, setup.burningConditionDays[burndate.toISODate()]);
+        let startTime = burndate.set({ hour: day.startHour });
+        // a restart from an observed perimeter only burns from the time the perimeter was observed
+        if (setup.perimeter && burndate === burnDates[0]) {
+            startTime = luxon_1.DateTime.max(startTime, setup.perimeter.time.setZone(setup.zone));
+        }
+        // the times of the day by the clock of the time zone, in hours from the start of the same date in the offset of
+        // the job, which differ once daylight saving time has started or ended. The start and end of the day stay
+        // where they are, so whole days are not left with an hour between them
+        const date = luxon_1.DateTime.fromObject({ year: burndate.year, month: burndate.month, day: burndate.day }, { zone: jobZone });
+        const jobHour = time => Math.min(24, Math.max(0, time.diff(date, "hours").hours));
+        const startHour = startTime.equals(burndate) ? 0 : jobHour(startTime);
+        const endHour = day.endHour == 24 ? 24 : jobHour(burndate.set({ hour: day.endHour }));
+        scen.addBurningCondition(date, startHour, endHour, day.minFwi, day.minWindSpeed, day.maxRelativeHumidity, day.minIsi);
+    }
+
+    var max_accel_time_step = setup.fgm.maxAccelerationTimeStep;
+    var dist_res = setup.fgm.distanceResolution;
+    var perim_res = setup.fgm.perimeterResolution;
+    var ros_min = setup.fgm.minimumSpreadRos;
+    var boundary_stop = setup.fgm.stopAtGridEnd;
+    var breaching = setup.fgm.breaching;
+    var dynamic_threshold = setup.fgm.dynamicSpatialThreshold;
+    var spotting = setup.fgm.spotting;
+    var retain_hidden_steps = setup.fgm.retainHiddenTimeSteps;
+    var growth_percentile_bool = setup.fgm.growthPercentileApplied;
+    var growth_percentile = setup.fgm.growthPercentile;
+
+    scen.setFgmOptions(toWiseDuration(max_accel_time_step), dist_res, perim_res, ros_min, boundary_stop, breaching, dynamic_threshold, spotting, retain_hidden_steps, growth_percentile_bool, growth_percentile);
+
+    // optionally set dx, dy, and dt
+
+    var ignition_dx = setup.probabilistic.ignitionDx;
+    var ignition_dy = setup.probabilistic.ignitionDy;
+    var ignition_dt = setup.probabilistic.ignitionDt;
+    var terrain_bool = setup.fbp.terrainEffect;
+    var wind_bool = setup.fbp.windEffect;
+    var fmc_override = setup.fmc.percentOverride;
+    var NODATA_elevation = setup.fmc.nodataElevation;
+    // the weather of more than one station is always interpolated to each location
+    var fwi_spatial_interp = setup.fwi.spatialInterpolation || setup.weatherStations.length > 1;
+    var fwi_temporal_weather = setup.fwi.fromSpatialWeather;
+    var fwi_history = setup.fwi.historyOnEffectedFwi;
+    var burning_conditions_bool = setup.fwi.burningConditionsOn;
+    var fwi_temporal_interp = setup.fwi.temporalInterpolation;
+
+    scen.setProbabilisticValues(ignition_dx, ignition_dy, toWiseDuration(ignition_dt));
+    scen.setFbpOptions(terrain_bool, wind_bool);
+    scen.setFmcOptions(fmc_override, NODATA_elevation, true, false);
+    scen.setFwiOptions(fwi_spatial_interp, fwi_temporal_weather, fwi_history, burning_conditions_bool, fwi_temporal_interp);
+}
+
+/**
+ * Convert the fuel table into W.I.S.E. fuel definitions. A percent conifer or percent dead fir uses the
+ * mixedwood spread parameters, other spread parameters use the class named by spreadType.
+ * @param fuels The fuel table, as returned by parseFuelTable.
  * @returns An array of fuel definitions.
  */
-function buildDogribLUT() {
+function buildFuelDefinitions(fuels) {
     const fuelDefinitions = new Array();
-    let fuel = new index_1.fuels.FuelDefinition("C-1 Spruce-Lichen Woodland", "C-1", 1);
-    fuel.color = new index_1.fuels.RGBColor({ red: 209, green: 255, blue: 115 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("C-2 Boreal Spruce", "C-2", 2);
-    fuel.color = new index_1.fuels.RGBColor({ red: 34, green: 102, blue: 51 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("C-3 Mature Jack or Lodgepole Pine", "C-3", 3);
-    fuel.color = new index_1.fuels.RGBColor({ red: 131, green: 199, blue: 149 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("C-4 Immature Jack or Lodgepole Pine", "C-4", 4);
-    fuel.color = new index_1.fuels.RGBColor({ red: 112, green: 168, blue: 0 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("C-5 Red and White Pine", "C-5", 5);
-    fuel.color = new index_1.fuels.RGBColor({ red: 223, green: 184, blue: 230 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("C-6 Conifer Plantation", "C-6", 6);
-    fuel.color = new index_1.fuels.RGBColor({ red: 172, green: 102, blue: 237 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("C-7 Ponderosa Pine - Douglas-Fir", "C-7", 7);
-    fuel.color = new index_1.fuels.RGBColor({ red: 112, green: 12, blue: 242 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("D-1 Leafless Aspen", "D-1", 11);
-    fuel.color = new index_1.fuels.RGBColor({ red: 196, green: 189, blue: 151 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("D-2 Green Aspen (with BUI Thresholding)", "D-2", 12);
-    fuel.color = new index_1.fuels.RGBColor({ red: 137, green: 112, blue: 68 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("D-1/D-2 Aspen", "D-1/D-2", 13);
-    fuel.color = new index_1.fuels.RGBColor({ red: 196, green: 189, blue: 151 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("S-1 Jack or Lodgepole Pine Slash", "S-1", 21);
-    fuel.color = new index_1.fuels.RGBColor({ red: 251, green: 190, blue: 185 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("S-2 White Spruce - Balsam Slash", "S-2", 22);
-    fuel.color = new index_1.fuels.RGBColor({ red: 247, green: 104, blue: 161 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("S-3 Coastal Cedar - Hemlock - Douglas-Fir Slash", "S-3", 23);
-    fuel.color = new index_1.fuels.RGBColor({ red: 174, green: 1, blue: 126 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("O-1a Matted Grass", "O-1a", 31);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 255, blue: 190 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("O-1b Standing Grass", "O-1b", 32);
-    fuel.color = new index_1.fuels.RGBColor({ red: 230, green: 230, blue: 0 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless", "M-1", 40);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless (05% Conifer)", "M-1", 405);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 5 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless (10% Conifer)", "M-1", 410);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 10 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless (15% Conifer)", "M-1", 415);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 15 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless (20% Conifer)", "M-1", 420);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 20 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless (25% Conifer)", "M-1", 425);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 25 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless (30% Conifer)", "M-1", 430);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 30 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless (35% Conifer)", "M-1", 435);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 35 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless (40% Conifer)", "M-1", 440);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 40 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless (45% Conifer)", "M-1", 445);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 45 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless (50% Conifer)", "M-1", 450);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 50 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless (55% Conifer)", "M-1", 455);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 55 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless (60% Conifer)", "M-1", 460);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 60 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless (65% Conifer)", "M-1", 465);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 65 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless (70% Conifer)", "M-1", 470);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 70 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless (75% Conifer)", "M-1", 475);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 75 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless (80% Conifer)", "M-1", 480);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 80 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless (85% Conifer)", "M-1", 485);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 85 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless (90% Conifer)", "M-1", 490);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 90 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1 Boreal Mixedwood - Leafless (95% Conifer)", "M-1", 495);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 95 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green", "M-2", 50);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green (05% Conifer)", "M-2", 505);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 5 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green (10% Conifer)", "M-2", 510);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 10 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green (15% Conifer)", "M-2", 515);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 15 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green (20% Conifer)", "M-2", 520);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 20 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green (25% Conifer)", "M-2", 525);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 25 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green (30% Conifer)", "M-2", 530);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 30 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green (35% Conifer)", "M-2", 535);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 35 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green (40% Conifer)", "M-2", 540);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 40 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green (45% Conifer)", "M-2", 545);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 45 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green (50% Conifer)", "M-2", 550);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 50 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green (55% Conifer)", "M-2", 555);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 55 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green (60% Conifer)", "M-2", 560);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 60 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green (65% Conifer)", "M-2", 565);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 65 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green (70% Conifer)", "M-2", 570);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 70 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green (75% Conifer)", "M-2", 575);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 75 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green (80% Conifer)", "M-2", 580);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 80 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green (85% Conifer)", "M-2", 585);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 85 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green (90% Conifer)", "M-2", 590);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 90 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-2 Boreal Mixedwood - Green (95% Conifer)", "M-2", 595);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 170, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 95 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood", "M-1/M-2", 60);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood (05% Conifer)", "M-1/M-2", 605);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 5 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood (10% Conifer)", "M-1/M-2", 610);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 10 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood (15% Conifer)", "M-1/M-2", 615);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 15 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood (20% Conifer)", "M-1/M-2", 620);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 20 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood (25% Conifer)", "M-1/M-2", 625);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 25 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood (30% Conifer)", "M-1/M-2", 630);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 30 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood (35% Conifer)", "M-1/M-2", 635);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 35 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood (40% Conifer)", "M-1/M-2", 640);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 40 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood (45% Conifer)", "M-1/M-2", 645);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 45 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood (50% Conifer)", "M-1/M-2", 650);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 50 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood (55% Conifer)", "M-1/M-2", 655);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 55 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood (60% Conifer)", "M-1/M-2", 660);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 60 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood (65% Conifer)", "M-1/M-2", 665);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 65 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood (70% Conifer)", "M-1/M-2", 670);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 70 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood (75% Conifer)", "M-1/M-2", 675);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 75 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood (80% Conifer)", "M-1/M-2", 680);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 80 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood (85% Conifer)", "M-1/M-2", 685);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 85 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood (90% Conifer)", "M-1/M-2", 690);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 90 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-1/M-2 Boreal Mixedwood (95% Conifer)", "M-1/M-2", 695);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 211, blue: 127 });
-    fuel.spreadParms = new index_1.fuels.MixedSpread({ pc: 95 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless", "M-3", 70);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless (05% Dead Fir)", "M-3", 705);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 5 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless (10% Dead Fir)", "M-3", 710);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 10 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless (15% Dead Fir)", "M-3", 715);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 15 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless (20% Dead Fir)", "M-3", 720);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 20 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless (25% Dead Fir)", "M-3", 725);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 25 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless (30% Dead Fir)", "M-3", 730);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 30 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless (35% Dead Fir)", "M-3", 735);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 35 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless (40% Dead Fir)", "M-3", 740);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 40 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless (45% Dead Fir)", "M-3", 745);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 45 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless (50% Dead Fir)", "M-3", 750);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 50 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless (55% Dead Fir)", "M-3", 755);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 55 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless (60% Dead Fir)", "M-3", 760);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 60 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless (65% Dead Fir)", "M-3", 765);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 65 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless (70% Dead Fir)", "M-3", 770);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 70 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless (75% Dead Fir)", "M-3", 775);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 75 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless (80% Dead Fir)", "M-3", 780);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 80 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless (85% Dead Fir)", "M-3", 785);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 85 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless (90% Dead Fir)", "M-3", 790);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 90 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3 Dead Balsam Fir Mixedwood - Leafless (95% Dead Fir)", "M-3", 795);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 95 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green", "M-4", 80);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green (05% Dead Fir)", "M-4", 805);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 5 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green (10% Dead Fir)", "M-4", 810);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 10 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green (15% Dead Fir)", "M-4", 815);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 15 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green (20% Dead Fir)", "M-4", 820);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 20 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green (25% Dead Fir)", "M-4", 825);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 25 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green (30% Dead Fir)", "M-4", 830);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 30 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green (35% Dead Fir)", "M-4", 835);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 35 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green (40% Dead Fir)", "M-4", 840);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 40 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green (45% Dead Fir)", "M-4", 845);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 45 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green (50% Dead Fir)", "M-4", 850);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 50 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green (55% Dead Fir)", "M-4", 855);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 55 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green (60% Dead Fir)", "M-4", 860);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 60 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green (65% Dead Fir)", "M-4", 865);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 65 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green (70% Dead Fir)", "M-4", 870);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 70 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green (75% Dead Fir)", "M-4", 875);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 75 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green (80% Dead Fir)", "M-4", 880);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 80 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green (85% Dead Fir)", "M-4", 885);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 85 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green (90% Dead Fir)", "M-4", 890);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 90 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-4 Dead Balsam Fir Mixedwood - Green (95% Dead Fir)", "M-4", 895);
-    fuel.color = new index_1.fuels.RGBColor({ red: 170, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 95 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood", "M-3/M-4", 90);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood (05% Dead Fir)", "M-3/M-4", 905);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 5 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood (10% Dead Fir)", "M-3/M-4", 910);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 10 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood (15% Dead Fir)", "M-3/M-4", 915);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 15 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood (20% Dead Fir)", "M-3/M-4", 920);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 20 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood (25% Dead Fir)", "M-3/M-4", 925);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 25 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood (30% Dead Fir)", "M-3/M-4", 930);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 30 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood (35% Dead Fir)", "M-3/M-4", 935);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 35 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood (40% Dead Fir)", "M-3/M-4", 940);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 40 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood (45% Dead Fir)", "M-3/M-4", 945);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 45 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood (50% Dead Fir)", "M-3/M-4", 950);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 50 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood (55% Dead Fir)", "M-3/M-4", 955);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 55 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood (60% Dead Fir)", "M-3/M-4", 960);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 60 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood (65% Dead Fir)", "M-3/M-4", 965);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 65 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood (70% Dead Fir)", "M-3/M-4", 970);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 70 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood (75% Dead Fir)", "M-3/M-4", 975);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 75 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood (80% Dead Fir)", "M-3/M-4", 980);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 80 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood (85% Dead Fir)", "M-3/M-4", 985);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 85 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood (90% Dead Fir)", "M-3/M-4", 990);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 90 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("M-3/M-4 Dead Balsam Fir Mixedwood (95% Dead Fir)", "M-3/M-4", 995);
-    fuel.color = new index_1.fuels.RGBColor({ red: 99, green: 0, blue: 0 });
-    fuel.spreadParms = new index_1.fuels.MixedDeadSpread({ pdf: 95 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("Not Available", "Non-Fuel", 100);
-    fuel.color = new index_1.fuels.RGBColor({ red: 255, green: 255, blue: 255 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("Non-fuel", "Non-Fuel", 101);
-    fuel.color = new index_1.fuels.RGBColor({ red: 130, green: 130, blue: 130 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("Water", "Non-Fuel", 102);
-    fuel.color = new index_1.fuels.RGBColor({ red: 115, green: 223, blue: 255 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("Unknown", "Non-Fuel", 103);
-    fuel.color = new index_1.fuels.RGBColor({ red: 0, green: 0, blue: 0 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("Unclassified", "Non-Fuel", 104);
-    fuel.color = new index_1.fuels.RGBColor({ red: 166, green: 166, blue: 166 });
-    fuelDefinitions.push(fuel);
-    fuel = new index_1.fuels.FuelDefinition("Vegetated Non-Fuel", "Non-Fuel", 105);
-    fuel.color = new index_1.fuels.RGBColor({ red: 204, green: 204, blue: 204 });
-    fuelDefinitions.push(fuel);
+    for (const entry of fuels) {
+        let fuel = new index_1.fuels.FuelDefinition(entry.name, entry.code, entry.index);
+        fuel.color = new index_1.fuels.RGBColor({ red: entry.red, green: entry.green, blue: entry.blue });
+        if (entry.spreadType) {
+            fuel.spreadParms = new index_1.fuels[entry.spreadType](entry.spread);
+        }
+        fuelDefinitions.push(fuel);
+    }
     return fuelDefinitions;
 }
 
+/**
+ * Write the fuel table as a W.I.S.E. lookup table (.lut), see lutContents.
+ * @param filePath The path of the .lut file to write.
+ * @param fuels The fuel table, as returned by parseFuelTable.
+ */
+function writeLutFile(filePath, fuels) {
+    fs.writeFileSync(filePath, lutContents(fuels));
+}
+
+/**
+ * Convert the fuel table to a W.I.S.E. lookup table: one line per fuel with its grid value, export value,
+ * name, fuel type, and its colour as RGB and as HSL scaled to 0-255. Mixedwood fuels are written with their
+ * percent conifer (PC) or percent dead fir (PDF) in the fuel type, e.g. "M-1 (25 PC)".
+ * @param fuels The fuel table, as returned by parseFuelTable.
+ * @returns The contents of the .lut file.
+ */
+function lutContents(fuels) {
+    const lines = ["grid_value,export_value,descriptive_name,fuel_type,r,g,b,h,s,l"];
+    for (const entry of fuels) {
+        let fuelType = entry.code;
+        if (entry.percentConifer != null) {
+            fuelType += ` (${String(entry.percentConifer).padStart(2, "0")} PC)`;
+        }
+        else if (entry.percentDeadFir != null) {
+            fuelType += ` (${String(entry.percentDeadFir).padStart(2, "0")} PDF)`;
+        }
+        // hue, saturation and lightness, each scaled to 0-255
+        const [r, g, b] = [entry.red / 255, entry.green / 255, entry.blue / 255];
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const l = (max + min) / 2;
+        const d = max - min;
+        const sat = d == 0 ? 0 : d / (1 - Math.abs(2 * l - 1));
+        let hue = 0;
+        if (d != 0) {
+            hue = max === r ? ((g - b) / d + 6) % 6 : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+        }
+        lines.push([entry.index, entry.index, entry.name, fuelType, entry.red, entry.green, entry.blue,
+            Math.round(hue / 6 * 255), Math.round(sat * 255), Math.round(l * 255)].join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+}
+
 /*
  * *******************************************************
  * Create job
  * *******************************************************
 */
 
-// an asynchronous function for creating a job and listening for status messages, ran immediately
-(async function () {
-    // fetch the default settings for some parameters from W.I.S.E. Builder
-    let jDefaults = await new index_1.defaults.JobDefaults().getDefaultsPromise();
-    index_1.globals.WISELogger.getInstance().info('Building W.I.S.E. job.');
+/**
+ * Parse a simulation setup, see the header of this file. Relative input paths are read from the test folder of the
+ * jobs directory, and times without an offset are read in the time zone of the simulation setup.
+ * Throws an error listing every bad value if the simulation setup cannot be used.
+ * @param source The simulation setup file (JSON, YAML or the legacy .txt format), or the simulation setup itself as an
+ *          object of named sections, as read from a JSON file.
+ * @param jobsFolder The jobs directory, the example directory of the W.I.S.E. server configuration if not given.
+ * @returns The file the simulation setup was read from (null for an object), the jobsFolder and the inputsFolder of
+ *          the job, and the parsed simulation setup.
+ */
+function readSetup(source, jobsFolder) {
+    jobsFolder = jobsFolder || new index_1.defaults.ServerConfiguration().exampleDirectory;
+    // make sure the local directory has been configured
+    if (jobsFolder.includes('@JOBS@')) {
+        throw Error("The job directory has not been configured. Please edit the job directory before running the example server.");
+    }
+    const file = typeof source === "string" ? source : null;
+    const inputsFolder = jobsFolder + '/test/';
+    return { file: file, jobsFolder: jobsFolder, inputsFolder: inputsFolder, setup: parseSimulationSetup(file ? loadSimulationSetup(file) : source, file, inputsFolder) };
+}
+
+/**
+ * Load the configuration of a job: its simulation setup, the scenarios to create and the exports to add to each.
+ * Everything is checked before a job is built, every value of the simulation setup (see readSetup), every weather file
+ * (see checkWeatherStations) and every export (see readExports). Throws an error describing the problems otherwise.
+ * @param source The simulation setup file, or the simulation setup itself, see readSetup.
+ * @param options Optional settings, each of which may be left out:
+ *          jobsFolder: the jobs directory, the example directory of the W.I.S.E. server configuration if not given.
+ *          exports: the exports as given on the command line, e.g. ["-BG", "bg", "2001-10-16T21:00:00"].
+ *          fillWeatherGaps: the longest gap in hours to fill in the weather files.
+ * @returns The configuration, to build the job with buildJob: the file, jobsFolder, inputsFolder and setup of
+ *          readSetup, the ignitionTime the scenarios start at (the earliest ignition), the endTime of the simulation,
+ *          the timezoneOffset W.I.S.E. is given in minutes (see timezoneOffset),
+ *          the weatherStations, the scenarios (see expandEnsemble) and the exports to add to each (see parseExport).
+ */
+function loadConfig(source, options) {
+    options = options || {};
+    const config = readSetup(source, options.jobsFolder);
+    config.ignitionTime = luxon_1.DateTime.min(...config.setup.ignitions.map(ignition => ignition.time));
+    config.endTime = config.setup.simulation.endTime;
+    // every weather station with the path of its stream file and its starting codes, see parseWeatherStations
+    config.weatherStations = config.setup.weatherStations;
+
+    // check every weather file covers the simulation before anything is built, from the earliest time an ensemble
+    // member may start at
+    const timeWindow = config.setup.ensemble ? config.setup.ensemble.ignitionTimeWindow : null;
+    const earliestStart = luxon_1.DateTime.min(...config.setup.ignitions.map(ignition => ignition.observed || !timeWindow ? ignition.time : ignition.time.minus(timeWindow)));
+    config.timezoneOffset = timezoneOffset(config.setup.timezone, earliestStart);
+    checkWeatherStations(config.weatherStations, earliestStart, config.endTime, options.fillWeatherGaps);
+
+    // the scenarios to create, one per combination of the swept parameter values and ensemble member
+    config.scenarios = expandEnsemble(expandSweep(config.setup), config.setup.ensemble, config.weatherStations);
+    config.exports = readExports(config.setup, config.scenarios, options.exports || [], config.inputsFolder);
+    return config;
+}
+
+/**
+ * Build the W.I.S.E. job of a configuration: its inputs, weather stations and streams, ignitions, layers and statistics,
+ * and every scenario with its options, layers and exports. Nothing is sent to W.I.S.E. Builder, and the files it
+ * generates are attached to the job rather than written next to the inputs.
+ * @param config The configuration, as returned by loadConfig.
+ * @param defaults The job defaults fetched from W.I.S.E. Builder, whose metadata is written with vector exports, or null.
+ * @returns The W.I.S.E. job, to start with runJob.
+ */
+function buildJob(config, defaults) {
+    const simulationSetup = config.setup;
+    const ignitionTime = config.ignitionTime;
+    const weatherStations = config.weatherStations;
 
     // set this to the location of the test files folder.
     let prom = new index_1.wise.WISE();
 
     // add the projection and elevation files as attachments
-    let projContents = fs.readFileSync(localDir + '/test/' + stringArray[4]);
-    let elevContents = fs.readFileSync(localDir + '/test/' + stringArray[3]);
-    let projAttachment = prom.addAttachment(stringArray[4], projContents);
-    let elevAttachment = prom.addAttachment(stringArray[3], elevContents);
+    let projContents = fs.readFileSync(config.inputsFolder + simulationSetup.inputs.projection);
+    let elevContents = fs.readFileSync(config.inputsFolder + simulationSetup.inputs.elevation);
+    let projAttachment = prom.addAttachment(simulationSetup.inputs.projection, projContents);
+    let elevAttachment = prom.addAttachment(simulationSetup.inputs.elevation, elevContents);
     if (!projAttachment || !elevAttachment) {
         throw Error("Cannot add attachment");
     }
@@ -914,83 +1338,116 @@ function buildDogribLUT() {
 
     // add the rest of the files as paths to locations on disk
 
-    prom.setFuelmapFile(localDir + '/test/' + stringArray[1]);
-    prom.setLutFile(localDir + '/test/' + stringArray[2]);
-    prom.setTimezoneByValue(25); //hard coded to CDT, see example_timezone.js for an example getting the IDs
-    let ws = prom.addWeatherStation(weatherStationHeight, weatherStationLatLong);
-    
-    var hffmc_value = parseFloat(stringArray[13]);
-    var hffmc_time = parseFloat(stringArray[14]);
-    var ffmc_start = parseFloat(stringArray[15]);
-    var dmc_start = parseFloat(stringArray[16]);
-    var dc_start = parseFloat(stringArray[17]);
-    var start_precip = parseFloat(stringArray[18]);
-    
-    let b3Yaha = ws.addWeatherStream(localDir + '/test/' + stringArray[5], hffmc_value, hffmc_time, index_1.wise.HFFMCMethod.LAWSON, ffmc_start, dmc_start, dc_start, start_precip, weatherStartTime, weatherEndTime);
+    prom.setFuelmapFile(config.inputsFolder + simulationSetup.inputs.fuelMap);
+    if (simulationSetup.fuels && simulationSetup.inputs.fuelTableMode === "lut") {
+        // the lookup table generated from the fuel table is sent with the job, the inputs are left as they are
+        let lutName = path.basename(simulationSetup.inputs.fuelTable).replace(/(\.[^./\\]*)?$/, ".lut");
+        prom.setLutFile('' + prom.addAttachment(lutName, lutContents(simulationSetup.fuels)));
+    }
+    else if (simulationSetup.fuels) {
+        prom.setLutDefinition(buildFuelDefinitions(simulationSetup.fuels));
+    }
+    else {
+        prom.setLutFile(config.inputsFolder + simulationSetup.inputs.fuelLookupTable);
+    }
+    // W.I.S.E. uses one offset for the whole job, that of the time zone when the simulation starts, see timezoneOffset
+    const offset = config.timezoneOffset;
+    const jobZone = luxon_1.FixedOffsetZone.instance(offset);
+    prom.setTimezoneByOffset(index_1.globals.Duration.createTime(Math.floor(Math.abs(offset) / 60), Math.abs(offset) % 60, 0, offset < 0));
+    let stations = weatherStations.map(station => prom.addWeatherStation(station.height, station.location));
+
+    // add a stream of a weather file to a station with the station's starting codes from the simulation setup
+    const addStream = (index, file) => {
+        const station = weatherStations[index];
+        return stations[index].addWeatherStream(file, station.hffmcValue, station.hffmcHour, index_1.wise.HFFMCMethod.LAWSON, station.startingFfmc,
+            station.startingDmc, station.startingDc, station.startingPrecipitation, station.startTime, station.endTime);
+    };
+
+    // the shared weather streams and ignition, only added if a scenario uses them as ensemble members add their own
+    let b3Yaha = config.scenarios.some(scenario => !scenario.weather) ? weatherStations.map((station, index) => addStream(index, station.filled
+        ? '' + prom.addAttachment(filledWeatherName(station), station.filled) : station.file)) : [];
 
     // create the ignition points
-    let ig3 = prom.addPointIgnition(ignitionLatLong, ignitionTime);
+    let ig3 = config.scenarios.some(scenario => !scenario.ignitions) ? simulationSetup.ignitions.map(ignition => addIgnition(prom, ignition)) : [];
 
-    // emit some statistics at the end of timesteps
-    prom.timestepSettings.addStatistic(index_1.globals.GlobalStatistics.TOTAL_BURN_AREA);
-    prom.timestepSettings.addStatistic(index_1.globals.GlobalStatistics.DATE_TIME);
-    prom.timestepSettings.addStatistic(index_1.globals.GlobalStatistics.SCENARIO_NAME);
+    // the weather patches and wind grids, shared by every scenario
+    let weatherPatches = simulationSetup.weatherPatches.map(patch => addWeatherPatch(prom, patch, jobZone));
+    let windGrids = simulationSetup.windGrids.map(grid => addWindGrid(prom, grid, jobZone));
 
-    // create a scenario
-    let scen1 = prom.addScenario(ignitionTime, simulationEndTime);
-    scen1.setName('scen0');
-    let burnDates = getAllDatesWithoutTimeBetween(ignitionTime,simulationEndTime);
+    // the fuel breaks and fuel patches, each referenced from every scenario it applies to
+    let fuelBreaks = simulationSetup.fuelBreaks.map(fuelBreak => addFuelBreak(prom, fuelBreak));
+    let fuelPatches = simulationSetup.fuelPatches.map(patch => addFuelPatch(prom, patch));
 
-    var fwi_min = parseFloat(stringArray[19]);
-    var windspeed_min = parseFloat(stringArray[20]);
-    var humid_max = parseFloat(stringArray[21]);
-    var isi_min = parseFloat(stringArray[22]);
+    // the grids of the fuel options, by their contents so scenarios with the same options share them
+    let fuelOptionGridFiles = {};
 
-    for (const burndate of burnDates){
-        scen1.addBurningCondition(luxon_1.DateTime.fromISO(burndate), 0, 24, fwi_min, windspeed_min, humid_max, isi_min);
+    // emit the statistics of the simulation setup at the end of timesteps
+    for (const statistic of simulationSetup.statistics) {
+        prom.timestepSettings.addStatistic(index_1.globals.GlobalStatistics[statistic]);
     }
 
-    var max_accel_time_step = parseFloat(stringArray[23]);
-    var dist_res = parseFloat(stringArray[24]);
-    var perim_res = parseFloat(stringArray[25]);
-    var ros_min = parseFloat(stringArray[26]);
-    var boundary_stop = Boolean(stringArray[27]);
-    var breaching = Boolean(stringArray[28]);
-    var dynamic_threshold = Boolean(stringArray[29]);
-    var spotting = Boolean(stringArray[30]);
-    var retain_hidden_steps = Boolean(stringArray[31]);
-    var growth_percentile_bool = Boolean(stringArray[32]);
-    var growth_percentile = parseFloat(stringArray[33]);
+    // create a scenario for every combination of the swept parameters and ensemble member, each with its own export folder
+    for (const scenario of config.scenarios) {
+        let scen1 = prom.addScenario(scenario.ignitionTime || ignitionTime, config.endTime);
+        scen1.setName(scenario.name);
+        setScenarioOptions(scen1, scenario.setup, scenario.ignitionTime || ignitionTime, jobZone);
+
+        for (const ignition of scenario.ignitions ? scenario.ignitions.map(ignition => addIgnition(prom, ignition)) : ig3) {
+            scen1.addIgnitionReference(ignition);
+        }
+        // perturbed weather is attached to the job rather than written to the jobs folder
+        let streams = scenario.weather
+            ? scenario.weather.map((contents, index) => addStream(index, '' + prom.addAttachment(`${scenario.name}_weather${index}.txt`, contents)))
+            : b3Yaha;
+        for (const stream of streams) {
+            scen1.addWeatherStreamReference(stream);
+        }
+        // the weather of the first station is used where W.I.S.E. needs a single stream
+        if (streams.length > 1) {
+            scen1.makeStreamPrimary(streams[0]);
+        }
+        // the layers are applied in the order they are listed: weather patches, wind grids, fuel patches, then fuel options
+        let layer = 0;
+        weatherPatches.forEach(patch => scen1.addWeatherPatchReference(patch, layer++));
+        windGrids.forEach(grid => scen1.addWeatherGridReference(grid, layer++));
+        fuelPatches.forEach((patch, index) => {
+            if (appliesToScenario(simulationSetup.fuelPatches[index], scenario)) {
+                scen1.addFuelPatchReference(patch, layer++);
+            }
+        });
+        addFuelOptionGrids(config, prom, scenario, fuelOptionGridFiles).forEach(grid => scen1.addGridFileReference(grid, layer++));
+        fuelBreaks.forEach((fuelBreak, index) => {
+            if (appliesToScenario(simulationSetup.fuelBreaks[index], scenario)) {
+                scen1.addFuelBreakReference(fuelBreak);
+            }
+        });
 
-    scen1.setFgmOptions(index_1.globals.Duration.createTime(0, max_accel_time_step, 0, false), dist_res, perim_res, ros_min, boundary_stop, breaching, dynamic_threshold, spotting, retain_hidden_steps, growth_percentile_bool, growth_percentile);
+        // add the exports to the scenario's folder
+        addExports(prom, scen1, scenario.name, config.exports, defaults ? defaults.metadataDefaults : null);
+    }
+    return prom;
+}
 
-    // optionally set dx, dy, and dt
+/**
+ * Check a job, send it to W.I.S.E. Builder, and follow it through the MQTT broker until it is complete (see
+ * configureServer). The job is started by rerunning it once W.I.S.E. has validated its FGM.
+ * @param prom The job, as returned by buildJob.
+ * @param handlers Functions called as the job progresses, each of which may be left out:
+ *          submitted(jobName): W.I.S.E. Builder created the job, in the folder of that name in the jobs directory.
+ *          validation(args), statistics(args), scenarioComplete(args): called with the arguments of the
+ *              validationReceived, statisticsReceived and scenarioComplete events of the job manager.
+ * @param options Optional settings, each of which may be left out:
+ *          listen: false to return once the job is submitted, rather than follow it.
+ *          scenarios: the number of scenarios in the job, which is complete once they all are.
+ *          timeout: a luxon Duration, the job is given up on if it has not completed this long after it was submitted.
+ * @returns A promise of one of exitCodes: success once the job is complete (or submitted, without listen),
+ *          validationFailed if the job or its FGM is not valid, scenarioFailed once the job is complete with a
+ *          scenario that failed, or timeout.
+ */
+async function runJob(prom, handlers, options) {
+    handlers = handlers || {};
+    options = Object.assign({ listen: true, scenarios: Infinity }, options);
 
-    var ignition_dx = parseFloat(stringArray[34]);
-    var ignition_dy = parseFloat(stringArray[35]);
-    var ignition_dt = textToCoords(stringArray[36]);
-    var terrain_bool = Boolean(stringArray[37]);
-    var wind_bool = Boolean(stringArray[38]);
-    var fmc_override = parseFloat(stringArray[39]);
-    var NODATA_elevation = parseFloat(stringArray[40]);
-    var fwi_spatial_interp = Boolean(stringArray[41]);
-    var fwi_temporal_weather = Boolean(stringArray[42]);
-    var fwi_history = Boolean(stringArray[43]);
-    var burning_conditions_bool = Boolean(stringArray[44]);
-    var fwi_temporal_interp = Boolean(stringArray[45]);
-
-    scen1.setProbabilisticValues(ignition_dx, ignition_dy, index_1.globals.Duration.createTime(0, ignition_dt[0], ignition_dt[1], false));
-    scen1.setFbpOptions(terrain_bool, wind_bool);
-    scen1.setFmcOptions(fmc_override, NODATA_elevation, true, false);
-    scen1.setFwiOptions(fwi_spatial_interp, fwi_temporal_weather, fwi_history, burning_conditions_bool, fwi_temporal_interp);
-
-    scen1.addIgnitionReference(ig3);
-    scen1.addWeatherStreamReference(b3Yaha);
-    
-    // create sceneExports
-    let filepath = "scen0/";
-    createGridExports(prom, scen1, filepath, sceneExports);
-    
     // test to see if all required parameters have been set
     let errors = prom.checkValid();
     if (errors.length > 0) {
@@ -998,135 +1455,2467 @@ function buildDogribLUT() {
         errors.forEach(node => {
             handleErrorNode(node);
         });
+        return exitCodes.validationFailed;
     }
-    else {
-        // assume we will always have a backend that is capable of using validation now, as the versioning is no longer compatible with server
-
-        let wrapper = null;
-        wrapper = await prom.validateJobPromise();
-        if (serverConfig.mqttUsername) {
-            // trim the name of the newly started job
-            let jobName = wrapper.name.replace(/^\s+|\s+$/g, '');
-
-            // a manager for listening for status messages
-            let manager = new index_1.client.JobManager(jobName);
-
-            // start the job manager
-            await manager.start();
-
-            // if possible the job will first be validated, catch the validation response
-            manager.on('validationReceived', (args) => {
-                // the FGM could not be validated. It's possible that the W.I.S.E. version used doesn't support validation
-                if (!args.validation.success) {
-                    // this probably means that the W.I.S.E. Manager and W.I.S.E. versions are different, the job may be able to be started without validation
-                    // at this point in time but we'll just exit and consider this an unexpected setup
-                    args.manager.dispose(); // close the connection that is listening for status updates
-                    console.log("Validation could not be run, check your W.I.S.E. version");
-                }
-                // errors were found in the FGM
-                else if (!args.validation.valid) {
-                    args.manager.dispose(); // close the connection that is listening for status updates
-                    console.log("The submitted FGM is not valid");
-                    // just dump the error list, let the user sort through it
-                    console.log(args.validation.error_list);
-                }
-                // the FGM is valid, start it running
-                else {
-                    console.log("FGM valid, starting job");
-                    // add a delay, shouldn't be needed but it's here so the user can see the process happening
-                    delay(1000)
-                        .then(() => {
-                        // use rerun to start the job. Rerun can be used on any job that is in
-                        // the finished job list in W.I.S.E. Manager.
-                        args.manager.broadcastJobRerun(jobName);
-                    });
-                }
-            });
 
-            // when the W.I.S.E. job triggers that it is complete, shut down the listener
-            manager.on('simulationComplete', (args) => {
-                args.manager.dispose(); // close the connection that is listening for status updates
-                if (args.hasOwnProperty("time") && args.time != null) {
-                    console.log(`Simulation complete at ${args.time.toISOString()}.`);
-                }
-                else {
-                    console.log("Simulation complete.");
-                }
-            });
+    // assume we will always have a backend that is capable of using validation now, as the versioning is no longer compatible with server
+    let wrapper = await prom.validateJobPromise();
+    // trim the name of the newly started job
+    let jobName = wrapper.name.replace(/^\s+|\s+$/g, '');
+    if (handlers.submitted) {
+        handlers.submitted(jobName);
+    }
+    if (!options.listen) {
+        return exitCodes.success;
+    }
 
-            // catch scenario failure
-            manager.on('scenarioComplete', (args) => {
-                if (!args.success) {
-                    if (args.hasOwnProperty("time") && args.time != null) {
-                        console.log(`At ${args.time.toISOString()} a scenario failed: ${args.errorMessage}`);
-                    }
-                    else {
-                        console.log(`A scenario failed: ${args.errorMessage}`);
-                    }
-                }
-            });
+    // a manager for listening for status messages
+    let manager = new index_1.client.JobManager(jobName);
 
-            // listen for statistics at the end of timesteps
-            manager.on('statisticsReceived', (args) => {
-                if (args.hasOwnProperty("time") && args.time != null) {
-                    console.log(`Received statistics at ${args.time.toISOString()}`);
-                    for (const stat of args.statistics) {
-                        console.log("    Statistic " + stat.key + " with value " + stat.value);
-                    }
-                }
-                else {
-                    for (const stat of args.statistics) {
-                        console.log("Received statistic " + stat.key + " with value " + stat.value);
-                    }
-                }
-            });
+    // stop listening once the job has ended, only the first call has any effect
+    let ended = false;
+    let timer = null;
+    let finish;
+    const finished = new Promise(resolve => finish = resolve);
+    const end = code => {
+        if (ended) {
+            return;
         }
+        ended = true;
+        clearTimeout(timer);
+        manager.dispose(); // close the connection that is listening for status updates
+        finish(code);
+    };
+
+    // give up on the job once the timeout has passed since it was submitted
+    if (options.timeout) {
+        timer = setTimeout(() => {
+            console.error(`The job did not complete within ${options.timeout.toHuman()}`);
+            end(exitCodes.timeout);
+        }, options.timeout.as("milliseconds"));
     }
-})().then(x => console.log("Job created, waiting for results."));
-//# sourceMappingURL=example_job.js.map
 
+    // the scenarios that have completed and failed so far, the job is complete once every scenario is
+    let completedScenarios = 0;
+    let failedScenarios = 0;
 
-function readStringArrayFromFile(filePath) {
+    // start the job manager, the timeout must not outlive it if it cannot connect
     try {
-        // Read the contents of the file synchronously
-        const contents = fs.readFileSync(filePath, 'utf8');
-        
-        // Split the contents into an array of strings (assuming each line is a separate string)
-        const stringArray = contents.split('\n').map(line => line.trim()); // Remove leading/trailing whitespaces
-
-        return stringArray;
-    } catch (error) {
-        console.error("Error occurred while reading the file:", error.message);
-        return []; // Return an empty array in case of error
+        await manager.start();
+    } catch (e) {
+        ended = true;
+        clearTimeout(timer);
+        throw e;
     }
-}
 
-function textToCoords(textVariable) {
-    // Split the text variable into two parts based on the comma
-    let parts = textVariable.split(',');
+    // if possible the job will first be validated, catch the validation response
+    manager.on('validationReceived', (args) => {
+        if (handlers.validation) {
+            handlers.validation(args);
+        }
+        // the FGM could not be validated. It's possible that the W.I.S.E. version used doesn't support validation
+        if (!args.validation.success) {
+            // this probably means that the W.I.S.E. Manager and W.I.S.E. versions are different, the job may be able to be started without validation
+            // at this point in time but we'll just exit and consider this an unexpected setup
+            console.log("Validation could not be run, check your W.I.S.E. version");
+            end(exitCodes.validationFailed);
+        }
+        // errors were found in the FGM
+        else if (!args.validation.valid) {
+            console.log("The submitted FGM is not valid");
+            // just dump the error list, let the user sort through it
+            console.log(args.validation.error_list);
+            end(exitCodes.validationFailed);
+        }
+        // the FGM is valid, start it running
+        else {
+            console.log("FGM valid, starting job");
+            // add a delay, shouldn't be needed but it's here so the user can see the process happening
+            delay(1000)
+                .then(() => {
+                // use rerun to start the job. Rerun can be used on any job that is in
+                // the finished job list in W.I.S.E. Manager.
+                args.manager.broadcastJobRerun(jobName);
+            });
+        }
+    });
+
+    // when the W.I.S.E. job triggers that it is complete, shut down the listener
+    const completeSimulation = () => end(failedScenarios > 0 ? exitCodes.scenarioFailed : exitCodes.success);
+    manager.on('simulationComplete', (args) => {
+        if (args.hasOwnProperty("time") && args.time != null) {
+            console.log(`Simulation complete at ${args.time.toISOString()}.`);
+        }
+        else {
+            console.log("Simulation complete.");
+        }
+        completeSimulation();
+    });
+
+    // catch scenario failure, the simulation is also complete once every scenario is
+    manager.on('scenarioComplete', (args) => {
+        completedScenarios++;
+        if (!args.success) {
+            failedScenarios++;
+            if (args.hasOwnProperty("time") && args.time != null) {
+                console.log(`At ${args.time.toISOString()} a scenario failed: ${args.errorMessage}`);
+            }
+            else {
+                console.log(`A scenario failed: ${args.errorMessage}`);
+            }
+        }
+        if (handlers.scenarioComplete) {
+            handlers.scenarioComplete(args);
+        }
+        if (completedScenarios == options.scenarios) {
+            console.log(`All ${completedScenarios} scenario(s) complete, ${failedScenarios} failed.`);
+            completeSimulation();
+        }
+    });
 
-    // Convert each part to a float and return as an array
-    return parts.map(parseFloat);
+    // listen for statistics at the end of timesteps
+    manager.on('statisticsReceived', (args) => {
+        if (handlers.statistics) {
+            handlers.statistics(args);
+        }
+        if (args.hasOwnProperty("time") && args.time != null) {
+            console.log(`Received statistics at ${args.time.toISOString()}`);
+            for (const stat of args.statistics) {
+                console.log("    Statistic " + stat.key + " with value " + stat.value);
+            }
+        }
+        else {
+            for (const stat of args.statistics) {
+                console.log("Received statistic " + stat.key + " with value " + stat.value);
+            }
+        }
+    });
+    return finished;
 }
 
-function getAllDatesWithoutTimeBetween(start, end) {
-    // Array to store all the dates
-    const dates = [];
+/**
+ * Build and run the job of the command line arguments, see the header of this file, and exit with one of exitCodes.
+ * @param args The command line arguments, without the node executable and script name.
+ */
+async function runCommandLine(args) {
+    // options given as --name value on the command line, these are not exports
+    const cliOptions = readCliOptions(args);
+    const serverConfig = new index_1.defaults.ServerConfiguration();
+    let config;
+    try {
+        // --builder [host:port], --mqtt [host:port], --mqtt-topic [topic] and --jobs [folder] replace the server configuration, e.g. to run against mock_wise.js
+        applyServerOptions(serverConfig, cliOptions);
+        const simulationSetupFile = cliOptions["--config"] || defaultSetupFiles.find(file => fs.existsSync(file)) || defaultSetupFiles[0];
 
-    // Copy the start date to avoid modifying the original date
-    let currentDate = new Date(start);
+        // --write-lut [file] writes the fuel table as a W.I.S.E. lookup table and stops without building the job
+        if (cliOptions["--write-lut"]) {
+            const simulationSetup = readSetup(simulationSetupFile, serverConfig.exampleDirectory).setup;
+            if (!simulationSetup.fuels || cliOptions["--write-lut"] === true) {
+                throw Error("--write-lut needs a file to write and a fuel table in inputs.fuelTable");
+            }
+            writeLutFile(cliOptions["--write-lut"], simulationSetup.fuels);
+            console.log(`Wrote the fuel table ${simulationSetup.inputs.fuelTable} to ${cliOptions["--write-lut"]}`);
+            process.exit(exitCodes.success);
+        }
 
-    // Loop until currentDate is less than or equal to end date
-    while (currentDate <= end) {
-        // Format the current date to only include the date component
-        const formattedDate = currentDate.toISOString().split('T')[0];
+        // gaps of up to --fill-weather-gaps hours are filled in the weather files
+        config = loadConfig(simulationSetupFile, { jobsFolder: serverConfig.exampleDirectory, exports: args, fillWeatherGaps: cliOptions["--fill-weather-gaps"] });
+    } catch (e) {
+        console.error(e.message);
+        process.exit(exitCodes.configError);
+    }
 
-        // Add the formatted date to the array
-        dates.push(formattedDate);
+    // with --dry-run [file] the job is built and checked without contacting W.I.S.E. Builder, then written to the file,
+    // by default the simulation setup file with the extension .job.json
+    const dryRunFile = cliOptions["--dry-run"] === true ? config.file.replace(/(\.[^./\\]*)?$/, ".job.json") : cliOptions["--dry-run"];
+    // with --wait or run.wait the process stays until the job is complete, see Running in the header of this file
+    const waitForJob = !dryRunFile && (config.setup.run.wait || cliOptions["--wait"] === true);
+    // the folder to collect the results of the job into once it is complete, if any
+    const resultsFolder = typeof cliOptions["--results"] === "string" ? cliOptions["--results"] : config.setup.run.results;
 
-        // Increment the currentDate by one day
-        currentDate.setDate(currentDate.getDate() + 1);
+    // when waiting for the job, listen even without MQTT credentials in case the broker allows anonymous connections
+    const listen = !!serverConfig.mqttUsername || waitForJob;
+    // the exports are clipped once the job is complete, which is only known when following it
+    const clipped = config.exports.filter(exp => exp.clip).map(exp => `-${exp.type}`);
+    if (!dryRunFile && !listen && clipped.length > 0) {
+        console.error(`The exports ${clipped.join(", ")} are clipped once the job is complete, which needs --wait, run.wait or an MQTT username to follow the job to the end`);
+        process.exit(exitCodes.configError);
     }
 
-    return dates;
-}
\ No newline at end of file
+    // a dry run never connects to W.I.S.E. Builder or the MQTT broker
+    if (!dryRunFile) {
+        configureServer(serverConfig);
+    }
+    // turn on debug messages
+    index_1.globals.WISELogger.getInstance().setLogLevel(index_1.globals.WISELogLevel.DEBUG);
+
+    // fetch the default settings for some parameters from W.I.S.E. Builder, a dry run goes without
+    let jDefaults = dryRunFile ? null : await new index_1.defaults.JobDefaults().getDefaultsPromise();
+    index_1.globals.WISELogger.getInstance().info('Building W.I.S.E. job.');
+    let prom = buildJob(config, jDefaults);
+
+    if (dryRunFile) {
+        const messages = [].concat(...prom.checkValid().map(node => validationMessages(node)));
+        messages.forEach(message => console.error(message));
+        writeJobDefinition(config, dryRunFile, messages);
+        console.log(`Wrote the job definition to ${dryRunFile}` + (messages.length > 0 ? ", the job is not valid" : ""));
+        process.exit(messages.length > 0 ? exitCodes.validationFailed : exitCodes.success);
+    }
+
+    if (!listen && resultsFolder) {
+        console.warn(`The results will not be collected into ${resultsFolder}, the job is only followed to the end with --wait, run.wait or an MQTT username`);
+    }
+    let jobFolder = null;
+    // the statistics received so far by scenario, written to each scenario's export folder as they arrive
+    let statistics = {};
+    // a statistics file that cannot be written is reported once, the job is still followed
+    let statisticsError = null;
+    let code = await runJob(prom, {
+        submitted: jobName => {
+            jobFolder = path.join(config.jobsFolder, jobName);
+            // record which parameter values each scenario was run with next to its outputs
+            writeScenarioManifest(path.join(jobFolder, "Outputs", "scenarios.json"), config.scenarios);
+            console.log(waitForJob ? "Job created, waiting for it to complete." : "Job created, waiting for results.");
+        },
+        statistics: args => {
+            try {
+                recordStatistics(path.join(jobFolder, "Outputs"), args, statistics);
+            } catch (e) {
+                if (!statisticsError) {
+                    statisticsError = e;
+                    console.error(`Cannot record the statistics: ${e.message}`);
+                }
+            }
+        }
+    }, { listen: listen, scenarios: config.scenarios.length, timeout: waitForJob ? config.setup.run.timeout : null });
+
+    if (Object.keys(statistics).length > 0) {
+        try {
+            writeStatistics(path.join(jobFolder, "Outputs"), statistics);
+        } catch (e) {
+            console.error(`Cannot write the statistics: ${e.message}`);
+        }
+    }
+
+    // clip the exports and collect the results of a complete job
+    if (listen && (code == exitCodes.success || code == exitCodes.scenarioFailed)) {
+        try {
+            clipExports(config, path.join(jobFolder, "Outputs"));
+        } catch (e) {
+            // the exports are still collected, as W.I.S.E. wrote them
+            console.error(e.message);
+            code = exitCodes.configError;
+        }
+        if (resultsFolder) {
+            collectResults(config, jobFolder, resultsFolder, config.setup.run.moveResults);
+        }
+    }
+    // when waiting for the job the process exits with the code, otherwise it is kept for when the process ends by itself
+    if (waitForJob) {
+        process.exit(code);
+    }
+    process.exitCode = code;
+}
+
+/**
+ * Copy, or move, the results of a complete job into a results folder: every export registered with W.I.S.E., the
+ * statistics files and scenarios.json written by this script, and the FGM that was submitted. The files keep their
+ * place within the Outputs folder (e.g. scen0/ros.tif) and the FGM goes to the top of the results folder.
+ * A manifest.json lists every file with its type, scenario, time or time range and SHA-256 checksum, and any
+ * export W.I.S.E. did not write.
+ * @param config The configuration the job was built from, as returned by loadConfig.
+ * @param jobFolder The folder of the job in the jobs directory.
+ * @param resultsFolder The folder to collect the results into, created if needed.
+ * @param move True to move the files rather than copy them.
+ */
+function collectResults(config, jobFolder, resultsFolder, move) {
+    const outputsFolder = path.join(jobFolder, "Outputs");
+    // every export added to a scenario, see addExports
+    const registered = [].concat(...config.scenarios.map(scenario => config.exports.map(exp => exportFile(exp, scenario.name))));
+    const manifest = { job: path.basename(jobFolder), collected: new Date().toISOString(), files: [], missing: [] };
+
+    const collect = (source, target, entry) => {
+        const targetPath = path.join(resultsFolder, target);
+        fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+        fs.copyFileSync(source, targetPath);
+        if (move) {
+            fs.unlinkSync(source);
+        }
+        manifest.files.push(Object.assign({ file: target.split(path.sep).join("/") }, entry, { sha256: fileSha256(targetPath) }));
+    };
+
+    for (const exp of registered) {
+        const entry = { type: exp.type, scenario: exp.scenario };
+        if (exp.endTime) {
+            entry.startTime = exp.time.toISO();
+            entry.endTime = exp.endTime.toISO();
+        }
+        else {
+            entry.time = exp.time.toISO();
+        }
+        // a shapefile comes with files of the same name holding its attributes, index and projection
+        const source = path.join(outputsFolder, exp.file);
+        const base = path.basename(source, path.extname(source));
+        const files = fs.existsSync(path.dirname(source))
+            ? fs.readdirSync(path.dirname(source)).filter(file => file === path.basename(source) || (path.extname(source) === ".shp" && path.basename(file, path.extname(file)) === base))
+            : [];
+        if (!files.includes(path.basename(source))) {
+            console.warn(`Cannot collect ${source}, W.I.S.E. did not write it`);
+            manifest.missing.push(Object.assign({ file: exp.file }, entry));
+            continue;
+        }
+        files.forEach(file => collect(path.join(path.dirname(source), file), path.join(path.dirname(exp.file), file), entry));
+    }
+
+    for (const scenario of config.scenarios) {
+        for (const file of ["statistics.csv", "statistics.json"]) {
+            if (fs.existsSync(path.join(outputsFolder, scenario.name, file))) {
+                collect(path.join(outputsFolder, scenario.name, file), path.join(scenario.name, file), { type: "statistics", scenario: scenario.name });
+            }
+        }
+    }
+    if (fs.existsSync(path.join(outputsFolder, "scenarios.json"))) {
+        collect(path.join(outputsFolder, "scenarios.json"), "scenarios.json", { type: "scenarios" });
+    }
+    fs.readdirSync(jobFolder).filter(file => /^job\.fgm[jb]?$/i.test(file)).forEach(file => {
+        collect(path.join(jobFolder, file), file, { type: "fgm" });
+    });
+
+    fs.writeFileSync(path.join(resultsFolder, "manifest.json"), JSON.stringify(manifest, null, 4));
+    console.log(`${move ? "Moved" : "Copied"} ${manifest.files.length} result file(s) to ${resultsFolder}`);
+}
+
+/**
+ * Get the SHA-256 checksum of a file, read a piece at a time so large grids are never held in memory whole.
+ * @param filePath The path of the file.
+ * @returns The checksum as hexadecimal.
+ */
+function fileSha256(filePath) {
+    const hash = crypto.createHash("sha256");
+    const buffer = Buffer.alloc(1024 * 1024);
+    const fd = fs.openSync(filePath, "r");
+    try {
+        let bytes;
+        while ((bytes = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+            hash.update(buffer.subarray(0, bytes));
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+    return hash.digest("hex");
+}
+
+//# sourceMappingURL=example_job.js.map
+
+
+function readStringArrayFromFile(filePath) {
+    try {
+        // Read the contents of the file synchronously
+        const contents = fs.readFileSync(filePath, 'utf8');
+        
+        // Split the contents into an array of strings (assuming each line is a separate string)
+        const stringArray = contents.split('\n').map(line => line.trim()); // Remove leading/trailing whitespaces
+
+        return stringArray;
+    } catch (error) {
+        throw Error(`Cannot read ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Collect the --name value options from the command line arguments.
+ * @param args The command line arguments, without the node executable and script name.
+ * @returns An object mapping each option name (including the leading --) to its value.
+ */
+function readCliOptions(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith("--")) {
+            options[args[i]] = (i + 1 < args.length && !args[i + 1].startsWith("-")) ? args[++i] : true;
+        }
+    }
+    return options;
+}
+
+/**
+ * Replace the addresses of W.I.S.E. Builder and the MQTT broker, the MQTT topic and the jobs directory of the server
+ * configuration with those given on the command line. Throws an error if an address is not given as host:port.
+ * @param config The server configuration to change.
+ * @param options The --name value options from the command line, see readCliOptions.
+ */
+function applyServerOptions(config, options) {
+    const readAddress = option => {
+        const match = /^(.+):(\d+)$/.exec(String(options[option]));
+        if (!match) {
+            throw Error(`${option} must be given as host:port`);
+        }
+        return [match[1], Number(match[2])];
+    };
+    if (options["--builder"] != null) {
+        [config.builderAddress, config.builderPort] = readAddress("--builder");
+    }
+    if (options["--mqtt"] != null) {
+        [config.mqttAddress, config.mqttPort] = readAddress("--mqtt");
+    }
+    if (options["--mqtt-topic"] === true || options["--jobs"] === true) {
+        throw Error(`${options["--jobs"] === true ? "--jobs" : "--mqtt-topic"} must be given a value`);
+    }
+    if (options["--mqtt-topic"] != null) {
+        config.mqttTopic = options["--mqtt-topic"];
+    }
+    if (options["--jobs"] != null) {
+        config.exampleDirectory = options["--jobs"];
+    }
+}
+
+/**
+ * Load the simulation setup from a JSON or YAML file with named sections, or from
+ * the legacy positional SimulationDictionary.txt.
+ * @param filePath The path to the simulation setup file. The format is chosen from the extension.
+ * @returns The simulation setup with one object per section and an array of exports.
+ */
+function loadSimulationSetup(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    let setup;
+    if (extension === ".json") {
+        setup = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+    else if (extension === ".yaml" || extension === ".yml") {
+        setup = parseYaml(fs.readFileSync(filePath, 'utf8'));
+    }
+    else {
+        setup = {};
+        const lines = readStringArrayFromFile(filePath);
+        legacySetupLayout.forEach(([section, key], index) => {
+            setup[section] = setup[section] || {};
+            setup[section][key] = lines[index];
+        });
+        const times = [setup.ignition.time, setup.simulation.endTime, setup.weather.startTime, setup.weather.endTime];
+        if (!setup.simulation.timezone && !times.some(time => time != null && givesOffset(String(time)))) {
+            setup.simulation.timezone = legacyTimezone;
+        }
+    }
+
+    // make sure every section exists so a missing one is reported by the value that is missing from it
+    for (const [section] of legacySetupLayout) {
+        setup[section] = setup[section] || {};
+    }
+    return setup;
+}
+
+/**
+ * Parse a YAML document. YAML support is optional and needs either the yaml or the js-yaml package to be installed.
+ * @param contents The text of the YAML document.
+ */
+function parseYaml(contents) {
+    try {
+        return require("yaml").parse(contents);
+    } catch (e) {
+        if (e.code !== "MODULE_NOT_FOUND") {
+            throw e;
+        }
+    }
+    try {
+        return require("js-yaml").load(contents);
+    } catch (e) {
+        if (e.code !== "MODULE_NOT_FOUND") {
+            throw e;
+        }
+    }
+    throw Error("Reading a YAML simulation setup requires the yaml or js-yaml package, use a JSON file or install one of them");
+}
+
+/**
+ * Parse and check every value of the simulation setup against simulationSetupSchema. If any value
+ * is bad, an error listing every problem at once is thrown before W.I.S.E. Builder is contacted.
+ * @param setup The simulation setup as returned by loadSimulationSetup.
+ * @param name The file the simulation setup was read from, for the error, or null.
+ * @param inputsFolder The folder relative input paths are read from.
+ * @returns The simulation setup with every value converted to its type, and the zone its times are read in.
+ */
+function parseSimulationSetup(setup, name, inputsFolder) {
+    const errors = [];
+    const parsed = {};
+
+    // times without an offset are read in the time zone of the job. Without one the setup is refused, its times are
+    // only read in UTC to report any other bad value with them
+    parsed.timezone = resolveTimezone(setup, errors);
+    parsed.zone = parsed.timezone || luxon_1.FixedOffsetZone.utcInstance;
+    // what the parse functions read input files and times with
+    const context = { inputsFolder: inputsFolder, zone: parsed.zone };
+
+    Object.keys(setup).forEach(section => {
+        if (!simulationSetupSchema[section] && !freeformSetupSections.includes(section)) {
+            errors.push(`${section}: unknown section`);
+        }
+    });
+    freeformSetupSections.forEach(section => {
+        parsed[section] = setup[section];
+    });
+
+    Object.keys(simulationSetupSchema).forEach(section => {
+        parsed[section] = parseSection(section, setup[section] || {}, simulationSetupSchema[section], errors, parsed.zone);
+    });
+
+    parsed.sweep = parseSweep(setup.sweep, errors, parsed.zone);
+    parsed.ensemble = setup.ensemble ? parseSection("ensemble", setup.ensemble, ensembleSchema, errors, parsed.zone) : null;
+
+    // the point ignition of the ignition section comes first, followed by the ignitions section
+    parsed.ignitions = parseIgnitions(setup.ignitions, errors, context);
+    if (parsed.ignition.location) {
+        if (!parsed.ignition.time) {
+            errors.push("ignition.time: is required when ignition.location is given");
+        }
+        else {
+            parsed.ignitions.unshift({ type: "point", vertices: [parsed.ignition.location], time: parsed.ignition.time });
+        }
+    }
+
+    // an observed perimeter restarts the fire from its polygons at the time it was observed
+    parsed.perimeter = parsePerimeter(setup.perimeter, errors, context);
+    if (parsed.perimeter) {
+        parsed.ignitions.forEach((ignition, index) => {
+            if (ignition.time < parsed.perimeter.time) {
+                errors.push(`perimeter.time: ignition ${index} starts at ${ignition.time.toISO()}, before the perimeter was observed`);
+            }
+        });
+        parsed.ignitions.unshift(...parsed.perimeter.ignitions);
+    }
+    else if (parsed.ignitions.length == 0 && !errors.some(error => error.startsWith("ignitions") || error.startsWith("perimeter"))) {
+        errors.push("ignition.location: is required unless the ignitions section lists at least one ignition or a perimeter is given");
+    }
+
+    // checks that need more than one value, only made if the values themselves are good
+    parsed.ignitions.forEach((ignition, index) => {
+        if (parsed.simulation.endTime && parsed.simulation.endTime <= ignition.time) {
+            errors.push(`simulation.endTime: must be after the time of ignition ${index} (${ignition.time.toISO()})`);
+        }
+    });
+    // an ensemble member may move the ignitions by up to ignitionTimeWindow either way, observed perimeters stay put
+    const timeWindow = parsed.ensemble && parsed.ensemble.ignitionTimeWindow;
+    if (timeWindow && timeWindow.as("minutes") > 0) {
+        parsed.ignitions.forEach((ignition, index) => {
+            if (ignition.observed) {
+                return;
+            }
+            const latest = ignition.time.plus(timeWindow);
+            const earliest = ignition.time.minus(timeWindow);
+            if (parsed.simulation.endTime && parsed.simulation.endTime > ignition.time && parsed.simulation.endTime <= latest) {
+                errors.push(`ensemble.ignitionTimeWindow: ignition ${index} may start as late as ${latest.toISO()}, when the simulation has ended`);
+            }
+            if (parsed.perimeter && ignition.time >= parsed.perimeter.time && earliest < parsed.perimeter.time) {
+                errors.push(`ensemble.ignitionTimeWindow: ignition ${index} may start as early as ${earliest.toISO()}, before the perimeter was observed`);
+            }
+        });
+    }
+    parsed.weatherStations = parseWeatherStations(setup, parsed, errors, context);
+    parsed.fuels = null;
+    if (parsed.inputs.fuelTable && parsed.inputs.fuelLookupTable) {
+        errors.push("inputs.fuelTable: give either inputs.fuelTable or inputs.fuelLookupTable, not both");
+    }
+    else if (parsed.inputs.fuelTable) {
+        parsed.fuels = parseFuelTable(parsed.inputs.fuelTable, parsed.inputs.fuelTableMode, errors, context);
+    }
+    else if ((setup.inputs || {}).fuelLookupTable == null) {
+        errors.push("inputs.fuelLookupTable: is required unless inputs.fuelTable is given");
+    }
+
+    parsed.fuelOptions = parseFuelOptions(setup.fuelOptions, parsed.fuels, parsed.inputs.fuelMap, errors, context);
+    parsed.fuelBreaks = parseFuelBreaks(setup.fuelBreaks, errors, context);
+    // the fuel names of a lookup table are only needed to check the fuel patches against
+    let fuels = parsed.fuels || [];
+    if (!parsed.fuels && parsed.inputs.fuelLookupTable && setup.fuelPatches != null) {
+        try {
+            fuels = readLutFuels(inputsFolder + parsed.inputs.fuelLookupTable);
+        } catch (e) {
+            errors.push(`inputs.fuelLookupTable: ${e.message}`);
+        }
+    }
+    parsed.fuelPatches = parseFuelPatches(setup.fuelPatches, fuels, errors, context);
+
+    parsed.burningConditionDays = parseBurningConditionDays(setup.burningConditionDays, parsed.burningConditions, errors, context);
+    if (parsed.burningConditions.startHour >= parsed.burningConditions.endHour) {
+        errors.push("burningConditions.endHour: must be after burningConditions.startHour");
+    }
+    parsed.weatherPatches = parseWeatherPatches(setup.weatherPatches, errors, context);
+    parsed.exports = parseExports(setup.exports, errors, context);
+    parsed.windGrids = parseWindGrids(setup.windGrids, parsed.inputs.projection, errors, context);
+    parsed.statistics = parseStatistics(setup.statistics, errors);
+
+    if (errors.length > 0) {
+        throw Error(`The simulation setup${name ? " in " + name : ""} has ${errors.length} bad value(s):\n` + errors.map(error => "    " + error).join("\n"));
+    }
+    return parsed;
+}
+
+/**
+ * Find the time zone of the job from simulation.timezone, an IANA name such as America/Edmonton, or else from the
+ * offsets of the ignition, weather and end times (e.g. 2001-10-16T13:00:00-06:00). With a name, every offset that is
+ * given must be the zone's offset at that time, so times either side of a daylight saving change can be given with
+ * their own offsets. Without a name, every offset that is given must be the same.
+ * @param setup The simulation setup as returned by loadSimulationSetup.
+ * @param errors The list to add a message to for every time that disagrees with the time zone.
+ * @returns The luxon zone, or null if the simulation setup gives neither a name nor an offset, which is an error.
+ */
+function resolveTimezone(setup, errors) {
+    // the times that fix the time zone, by their name in the simulation setup
+    const times = {};
+    const add = (name, entry, key) => {
+        if (entry != null && typeof entry === "object" && entry[key] != null) {
+            times[name + "." + key] = String(entry[key]);
+        }
+    };
+    add("ignition", setup.ignition, "time");
+    add("simulation", setup.simulation, "endTime");
+    add("weather", setup.weather, "startTime");
+    add("weather", setup.weather, "endTime");
+    add("perimeter", setup.perimeter, "time");
+    (Array.isArray(setup.ignitions) ? setup.ignitions : []).forEach((entry, index) => add(`ignitions[${index}]`, entry, "time"));
+    (Array.isArray(setup.weatherStations) ? setup.weatherStations : []).forEach((entry, index) => {
+        add(`weatherStations[${index}]`, entry, "startTime");
+        add(`weatherStations[${index}]`, entry, "endTime");
+    });
+
+    const offsets = {};
+    Object.keys(times).forEach(name => {
+        const time = luxon_1.DateTime.fromISO(times[name], { setZone: true });
+        if (time.isValid && givesOffset(times[name])) {
+            offsets[name] = time;
+        }
+    });
+    const names = Object.keys(offsets);
+
+    const timezone = (setup.simulation || {}).timezone;
+    if (timezone != null && timezone !== "") {
+        if (!luxon_1.IANAZone.isValidZone(String(timezone))) {
+            errors.push(`simulation.timezone: "${timezone}" is not an IANA time zone name, such as America/Edmonton`);
+            return null;
+        }
+        const zone = luxon_1.IANAZone.create(String(timezone));
+        names.forEach(name => {
+            const zoned = offsets[name].setZone(zone);
+            if (zoned.offset !== offsets[name].offset) {
+                errors.push(`${name}: the offset ${offsets[name].toFormat("ZZ")} is not the offset of ${timezone} at that time (${zoned.toFormat("ZZ")})`);
+            }
+        });
+        return zone;
+    }
+    if (names.length == 0) {
+        errors.push("simulation.timezone: is required unless the ignition, weather or end times give their offset, " +
+            "e.g. America/Edmonton or 2001-10-16T13:00:00-06:00");
+        return null;
+    }
+    names.forEach(name => {
+        if (offsets[name].offset !== offsets[names[0]].offset) {
+            errors.push(`${name}: the offset ${offsets[name].toFormat("ZZ")} is not the offset ${offsets[names[0]].toFormat("ZZ")} of ${names[0]}, ` +
+                "give simulation.timezone if the times are either side of a daylight saving change");
+        }
+    });
+    return luxon_1.FixedOffsetZone.instance(offsets[names[0]].offset);
+}
+
+/**
+ * Get whether an ISO 8601 time gives its offset, as Z or e.g. -06:00, rather than being read in the job's time zone.
+ * @param time The time as given in the simulation setup.
+ */
+function givesOffset(time) {
+    return /T[^Zz+-]*([Zz]|[+-]\d{2}(:?\d{2})?)$/.test(time);
+}
+
+/**
+ * Find the offset from UTC that W.I.S.E. runs a job in. W.I.S.E. gives a whole job a single offset, that of the time
+ * zone when the simulation starts. Times keep the offset of the time zone at that time, so they are the same instants
+ * in W.I.S.E., and the clock times W.I.S.E. reads are moved to this offset where the time zone changes it, see
+ * setScenarioOptions, addWeatherPatch and addWindGrid.
+ * @param zone The time zone of the job, as returned by resolveTimezone.
+ * @param start The earliest time a scenario starts at.
+ * @returns The offset in minutes, e.g. -360 for UTC-06:00.
+ */
+function timezoneOffset(zone, start) {
+    return start.setZone(zone).offset;
+}
+
+
+/**
+ * Parse the ignitions section of the simulation setup. Each entry is either a file of point, line and
+ * polygon geometries (GeoJSON or KML), or a single inline geometry given as a type and its vertices.
+ *      { "file": "ignition_point_20011016_1300.kml", "time": "2001-10-16T13:00:00" }
+ *      { "type": "point", "location": [51.65, -115.36], "time": "2001-10-16T13:00:00" }
+ *      { "type": "line" or "polygon", "vertices": [[51.65, -115.36], [51.66, -115.37], ...], "time": "2001-10-16T16:00:00" }
+ * Inline coordinates are latitude,longitude pairs. A feature in a file may carry its own time, as a "time"
+ * property in GeoJSON or a TimeStamp in KML, which replaces the time of the entry.
+ * @param entries The ignitions section as given in the simulation setup, may be undefined.
+ * @param errors The list to add a message to for every bad entry.
+ * @param context The inputsFolder and zone of the simulation setup, see parseSimulationSetup.
+ * @returns The ignitions, each with its type (point, line or polygon), its vertices as W.I.S.E. LatLons and its start time.
+ */
+function parseIgnitions(entries, errors, context) {
+    const ignitions = [];
+    if (entries == null) {
+        return ignitions;
+    }
+    if (!Array.isArray(entries)) {
+        errors.push("ignitions: must be a list");
+        return ignitions;
+    }
+    entries.forEach((entry, index) => {
+        const name = `ignitions[${index}]`;
+        try {
+            ignitions.push(...parseGeometryEntry(entry, name, true, context).map(geometry => {
+                if (!geometry.time) {
+                    throw Error(`${name}.time: is required`);
+                }
+                return { type: geometry.type, vertices: geometry.vertices, time: geometry.time };
+            }));
+        } catch (e) {
+            errors.push(e.message);
+        }
+    });
+    return ignitions;
+}
+
+/**
+ * Parse the perimeter section of the simulation setup, an observed fire perimeter to restart the simulation from.
+ *      { "file": "perimeter_20011016_1300.kml", "time": "2001-10-16T13:00:00" }
+ * The time is required. A time the file gives its polygons, as a "time" property in GeoJSON or a TimeStamp in KML,
+ * must be the same time, so the file and the simulation setup cannot disagree on when the fire was observed.
+ * @param entry The perimeter section as given in the simulation setup, may be undefined.
+ * @param errors The list to add a message to if the perimeter cannot be used.
+ * @param context The inputsFolder and zone of the simulation setup, see parseSimulationSetup.
+ * @returns The observation time and the polygons of the perimeter as ignitions, or null if there is no perimeter.
+ */
+function parsePerimeter(entry, errors, context) {
+    if (entry == null) {
+        return null;
+    }
+    try {
+        if (entry.time == null) {
+            throw Error("perimeter.time: is required");
+        }
+        const geometries = parseGeometryEntry(entry, "perimeter", true, context);
+        const time = parseSetupValue(entry.time, { type: "time" }, context.zone);
+        geometries.forEach(geometry => {
+            if (geometry.type !== "polygon") {
+                throw Error(`perimeter.file: holds a ${geometry.type}, a perimeter must only hold polygons`);
+            }
+            // a time in the file, such as a KML TimeStamp, must be the time the perimeter is given as observed at
+            if (+geometry.time !== +time) {
+                throw Error(`perimeter.file: a polygon is observed at ${geometry.time.toISO()}, not at perimeter.time (${time.toISO()})`);
+            }
+        });
+        // the perimeter is where the fire was observed, so it is never moved by an ensemble
+        return {
+            time: time,
+            ignitions: geometries.map(geometry => ({ type: "polygon", vertices: geometry.vertices, time: time, observed: true }))
+        };
+    } catch (e) {
+        errors.push(e.message);
+        return null;
+    }
+}
+
+/**
+ * Parse the weather stations of the simulation setup. The station of the weather section, with its stream file
+ * in inputs.weather, is the first station if its location is given. The weatherStations section lists more:
+ *      { "location": [51.65, -115.36], "height": 10, "file": "weather_b3yaha.txt", "startingFfmc": 89 }
+ * Every key of weatherStationSchema other than location and file defaults to the weather section, with height
+ * taken from weather.stationHeight. Relative file paths are taken from the test folder of the jobs directory.
+ * @param setup The simulation setup as returned by loadSimulationSetup.
+ * @param parsed The simulation setup with its schema sections parsed.
+ * @param errors The list to add a message to for every bad or missing value.
+ * @param context The inputsFolder and zone of the simulation setup, see parseSimulationSetup.
+ * @returns The stations, each with every key of weatherStationSchema.
+ */
+function parseWeatherStations(setup, parsed, errors, context) {
+    const weather = setup.weather || {};
+    const entries = setup.weatherStations;
+    // where each station key is given for the station of the weather section
+    const setupKey = key => key === "file" ? ["inputs", "weather"] : ["weather", { location: "stationLocation", height: "stationHeight" }[key] || key];
+    const stations = [];
+    const addStation = (station, name) => {
+        if (station.startTime && station.endTime && station.endTime < station.startTime) {
+            errors.push(`${name}.endTime: must not be before ${name}.startTime`);
+        }
+        if (station.file) {
+            station.file = toInputPath(station.file, context.inputsFolder);
+        }
+        stations.push(station);
+    };
+
+    if (weather.stationLocation != null || entries == null) {
+        const station = {};
+        Object.keys(weatherStationSchema).forEach(key => {
+            const [section, sectionKey] = setupKey(key);
+            station[key] = parsed[section][sectionKey];
+            if ((setup[section] || {})[sectionKey] == null) {
+                errors.push(`${section}.${sectionKey}: is required` + (key === "location" ? " unless the weatherStations section lists at least one station" : ""));
+            }
+        });
+        addStation(station, "weather");
+    }
+
+    if (entries != null && !Array.isArray(entries)) {
+        errors.push("weatherStations: must be a list");
+    }
+    else if (entries != null) {
+        entries.forEach((entry, index) => {
+            const name = `weatherStations[${index}]`;
+            if (entry == null || typeof entry !== "object") {
+                errors.push(`${name}: must be an object`);
+                return;
+            }
+            // a key given in the weather section is optional here, a bad one is only reported for the weather section
+            const fields = {};
+            Object.keys(weatherStationSchema).forEach(key => {
+                const [section, sectionKey] = setupKey(key);
+                fields[key] = section === "weather" && key !== "location" && weather[sectionKey] != null
+                    ? Object.assign({}, weatherStationSchema[key], { optional: true, default: parsed.weather[sectionKey] })
+                    : weatherStationSchema[key];
+            });
+            addStation(parseSection(name, entry, fields, errors, context.zone), name);
+        });
+    }
+    return stations;
+}
+
+/**
+ * Read the rows of a CSV table with a header line. A value in double quotes may hold commas, line breaks and quotes
+ * written twice (""), as spreadsheets write them. Other values are trimmed, and blank lines and empty cells are left out.
+ * Throws an error naming the line of a quote that is not closed, or of text between a closing quote and the next comma.
+ * @param contents The text of the table.
+ * @returns One object per line after the header, with each value under the name of its column in the header line
+ *          ("column 3" for a column the header does not name).
+ */
+function readCsv(contents) {
+    const records = [];
+    let record = [];
+    let value = "";
+    let quoted = null;      // the line the quoted value being read started on, or null outside quotes
+    let closed = false;     // the value was quoted and its closing quote has been read
+    let line = 1;
+    const endValue = () => {
+        record.push(closed ? value : value.trim());
+        value = "";
+        closed = false;
+    };
+    for (let i = 0; i < contents.length; i++) {
+        const char = contents[i];
+        if (quoted != null) {
+            if (char === '"' && contents[i + 1] === '"') {
+                value += '"';
+                i++;
+            }
+            else if (char === '"') {
+                quoted = null;
+                closed = true;
+            }
+            else {
+                line += char === "\n" ? 1 : 0;
+                value += char;
+            }
+        }
+        else if (char === "," || char === "\n" || char === "\r") {
+            endValue();
+            if (char !== ",") {
+                // a blank line holds a single empty value
+                if (record.length > 1 || record[0] !== "") {
+                    records.push(record);
+                }
+                record = [];
+                if (char === "\r" && contents[i + 1] === "\n") {
+                    i++;
+                }
+                line++;
+            }
+        }
+        else if (closed && char.trim() !== "") {
+            throw Error(`line ${line} has ${char} after the closing quote of a value`);
+        }
+        else if (char === '"' && value.trim() === "" && !closed) {
+            quoted = line;
+            value = "";
+        }
+        else if (!closed) {
+            value += char;
+        }
+    }
+    if (quoted != null) {
+        throw Error(`line ${quoted} has a quote that is not closed`);
+    }
+    endValue();
+    if (record.length > 1 || record[0] !== "") {
+        records.push(record);
+    }
+
+    const header = records.length > 0 ? records[0] : [];
+    return records.slice(1).map(values => {
+        const row = {};
+        values.forEach((value, column) => {
+            if (value !== "") {
+                row[header[column] || `column ${column + 1}`] = value;
+            }
+        });
+        return row;
+    });
+}
+
+/**
+ * Read and check a fuel table, which defines the fuels of the fuel map. It is a CSV file with a header line naming
+ * the keys of fuelTableSchema, or a JSON list of objects with those keys (see dogrib_fuel_table.csv):
+ *      name,code,index,red,green,blue,percentConifer,percentDeadFir
+ *      M-1 Boreal Mixedwood - Leafless (25% Conifer),M-1,425,255,211,127,25,
+ * A percent conifer is only allowed for M-1 and M-2 fuels and a percent dead fir for M-3 and M-4 fuels, and they use
+ * the MixedSpread and MixedDeadSpread parameters unless spreadType names another class.
+ * @param file The fuel table file, relative to the test folder of the jobs directory.
+ * @param mode How the table is used, "definitions" or "lut". A lookup table cannot hold other spread parameters.
+ * @param errors The list to add a message to for every bad row.
+ * @param context The inputsFolder and zone of the simulation setup, see parseSimulationSetup.
+ * @returns The fuels, each with every key of fuelTableSchema and the spread parameters to construct spreadType with.
+ */
+function parseFuelTable(file, mode, errors, context) {
+    const filePath = path.resolve(context.inputsFolder, file);
+    let rows;
+    let name;
+    try {
+        const contents = fs.readFileSync(filePath, 'utf8');
+        if (path.extname(filePath).toLowerCase() === ".json") {
+            rows = JSON.parse(contents);
+            if (!Array.isArray(rows)) {
+                throw Error("must hold a list of fuels");
+            }
+            name = index => `inputs.fuelTable[${index}]`;
+        }
+        else {
+            rows = readCsv(contents);
+            name = index => `inputs.fuelTable line ${index + 2}`;
+        }
+    } catch (e) {
+        errors.push(`inputs.fuelTable: ${filePath} ${e.message}`);
+        return null;
+    }
+    if (rows.length == 0) {
+        errors.push(`inputs.fuelTable: ${filePath} holds no fuels`);
+        return null;
+    }
+
+    const fuels = [];
+    const indices = {};
+    rows.forEach((row, index) => {
+        if (row == null || typeof row !== "object") {
+            errors.push(`${name(index)}: must be an object`);
+            return;
+        }
+        // the spread parameters, given as a spread object or as spread.[name] columns
+        const values = {};
+        const spread = Object.assign({}, typeof row.spread === "object" ? row.spread : {});
+        Object.keys(row).forEach(key => {
+            if (key.startsWith("spread.")) {
+                const value = row[key];
+                spread[key.slice(7)] = typeof value === "string" && /^[-+.\d]/.test(value) && Number.isFinite(Number(value)) ? Number(value) : value;
+            }
+            else if (key !== "spread") {
+                values[key] = row[key];
+            }
+        });
+        const fuel = parseSection(name(index), values, fuelTableSchema, errors, context.zone);
+        if (fuel.index != null) {
+            if (indices[fuel.index] != null) {
+                errors.push(`${name(index)}.index: ${fuel.index} is also used by ${name(indices[fuel.index])}`);
+            }
+            indices[fuel.index] = index;
+        }
+        if (fuel.percentConifer != null && !["M-1", "M-2", "M-1/M-2"].includes(fuel.code)) {
+            errors.push(`${name(index)}.percentConifer: is only used by M-1 and M-2 fuels`);
+        }
+        if (fuel.percentDeadFir != null && !["M-3", "M-4", "M-3/M-4"].includes(fuel.code)) {
+            errors.push(`${name(index)}.percentDeadFir: is only used by M-3 and M-4 fuels`);
+        }
+        if (fuel.percentConifer != null) {
+            fuel.spreadType = fuel.spreadType || "MixedSpread";
+            spread.pc = fuel.percentConifer;
+        }
+        else if (fuel.percentDeadFir != null) {
+            fuel.spreadType = fuel.spreadType || "MixedDeadSpread";
+            spread.pdf = fuel.percentDeadFir;
+        }
+        if (fuel.spreadType == null && Object.keys(spread).length > 0) {
+            errors.push(`${name(index)}.spreadType: is required to use spread parameters`);
+        }
+        else if (fuel.spreadType != null && typeof index_1.fuels[fuel.spreadType] !== "function") {
+            errors.push(`${name(index)}.spreadType: "${fuel.spreadType}" is not a spread parameter class of the W.I.S.E. API`);
+        }
+        else if (mode === "lut" && fuel.spreadType != null && !["MixedSpread", "MixedDeadSpread"].includes(fuel.spreadType)) {
+            errors.push(`${name(index)}.spreadType: a lookup table can only hold a percent conifer or dead fir, use inputs.fuelTableMode "definitions"`);
+        }
+        fuel.spread = spread;
+        fuels.push(fuel);
+    });
+    return fuels;
+}
+
+/**
+ * Parse the fuelBreaks section of the simulation setup, lines and polygons that fire cannot cross, such as roads,
+ * rivers or a planned treatment. Each entry is a file of lines and polygons (GeoJSON or KML) or an inline line or
+ * polygon, as for the ignitions section. Lines need a width, which a feature's "width" property replaces:
+ *      { "file": "access_gravel_road.kml", "width": 10 }
+ *      { "type": "line", "vertices": [[51.65, -115.36], [51.66, -115.37]], "width": 30, "scenarios": ["scen1"] }
+ * An entry may list the scenarios it applies to by name, otherwise it applies to every scenario.
+ * @param entries The fuelBreaks section as given in the simulation setup, may be undefined.
+ * @param errors The list to add a message to for every bad entry.
+ * @param context The inputsFolder and zone of the simulation setup, see parseSimulationSetup.
+ * @returns One fuel break per line or polygon, with its type, vertices, width and scenario names.
+ */
+function parseFuelBreaks(entries, errors, context) {
+    return parseLayerEntries("fuelBreaks", entries, fuelBreakSchema, errors, (name, geometry, values) => {
+        if (geometry.type === "point") {
+            throw Error(`${name}: holds a point, a fuel break must be a line or polygon`);
+        }
+        let width = values.width;
+        if (geometry.properties.width != null) {
+            try {
+                width = parseSetupValue(geometry.properties.width, fuelBreakSchema.width);
+            } catch (e) {
+                throw Error(`${name}.file: the width of a feature ${e.message}`);
+            }
+        }
+        if (geometry.type === "line" && width == null) {
+            throw Error(`${name}.width: is required for lines`);
+        }
+        return { type: geometry.type, vertices: geometry.vertices, width: width };
+    }, context);
+}
+
+/**
+ * Parse the fuelPatches section of the simulation setup, polygons inside which one fuel is replaced by another.
+ * The polygons are a file or an inline polygon, as for the ignitions section. fromFuel is the name of a fuel, or
+ * all, allCombustible or noData, and toFuel is the name of a fuel:
+ *      { "file": "treatment.geojson", "fromFuel": "C-2 Boreal Spruce", "toFuel": "D-1 Leafless Aspen" }
+ * An entry may list the scenarios it applies to by name, otherwise it applies to every scenario.
+ * @param entries The fuelPatches section as given in the simulation setup, may be undefined.
+ * @param fuels The fuels of the fuel table or lookup table, to check the names against. Not checked if empty.
+ * @param errors The list to add a message to for every bad entry.
+ * @param context The inputsFolder and zone of the simulation setup, see parseSimulationSetup.
+ * @returns One fuel patch per polygon, with its vertices, fuels and scenario names.
+ */
+function parseFuelPatches(entries, fuels, errors, context) {
+    const names = fuels.map(fuel => fuel.name);
+    return parseLayerEntries("fuelPatches", entries, fuelPatchSchema, errors, (name, geometry, values) => {
+        if (geometry.type !== "polygon") {
+            throw Error(`${name}: holds a ${geometry.type}, a fuel patch must only hold polygons`);
+        }
+        if (names.length > 0 && !fuelPatchFromFuels[values.fromFuel] && !names.includes(values.fromFuel)) {
+            throw Error(`${name}.fromFuel: "${values.fromFuel}" is neither the name of a fuel nor one of ${Object.keys(fuelPatchFromFuels).join(", ")}`);
+        }
+        if (names.length > 0 && !names.includes(values.toFuel)) {
+            throw Error(`${name}.toFuel: "${values.toFuel}" is not the name of a fuel`);
+        }
+        return { vertices: geometry.vertices, fromFuel: values.fromFuel, toFuel: values.toFuel };
+    }, context);
+}
+
+/**
+ * Parse a list of geometry entries that are added to scenarios as layers, such as fuel breaks and fuel patches.
+ * @param section The name of the section, for messages.
+ * @param entries The section as given in the simulation setup, may be undefined.
+ * @param fields The schema entry of every key of an entry, other than its geometry and scenarios.
+ * @param errors The list to add a message to for every bad entry.
+ * @param toLayer Called with the entry's name, each of its geometries and its parsed values. Returns the layer,
+ *          or throws an error if the geometry cannot be used.
+ * @param context The inputsFolder and zone of the simulation setup, see parseSimulationSetup.
+ * @returns The layers of every entry, each with the scenario names of its entry, or null for every scenario.
+ */
+function parseLayerEntries(section, entries, fields, errors, toLayer, context) {
+    const layers = [];
+    if (entries == null) {
+        return layers;
+    }
+    if (!Array.isArray(entries)) {
+        errors.push(`${section}: must be a list`);
+        return layers;
+    }
+    entries.forEach((entry, index) => {
+        const name = `${section}[${index}]`;
+        try {
+            const geometries = parseGeometryEntry(entry, name, false, context);
+            const values = Object.assign({}, entry);
+            ["file", "type", "location", "vertices", "scenarios"].forEach(key => delete values[key]);
+            const entryErrors = [];
+            const parsed = parseSection(name, values, fields, entryErrors, context.zone);
+            if (entryErrors.length > 0) {
+                errors.push(...entryErrors);
+                return;
+            }
+            const scenarios = parseScenarioNames(entry.scenarios, name);
+            geometries.forEach(geometry => layers.push(Object.assign(toLayer(name, geometry, parsed), { scenarios: scenarios })));
+        } catch (e) {
+            errors.push(e.message);
+        }
+    });
+    return layers;
+}
+
+/**
+ * Parse the scenarios an entry of the simulation setup applies to.
+ * Throws an error, prefixed with the name of the entry, if it is not a list of names.
+ * @param scenarios The scenarios as given in the simulation setup, may be undefined.
+ * @param name The name of the entry, for messages.
+ * @returns The scenario names, or null if the entry applies to every scenario.
+ */
+function parseScenarioNames(scenarios, name) {
+    if (scenarios == null) {
+        return null;
+    }
+    if (!Array.isArray(scenarios) || scenarios.length == 0) {
+        throw Error(`${name}.scenarios: must be a list of scenario names`);
+    }
+    return scenarios.map(String);
+}
+
+/**
+ * Get whether an entry of the simulation setup that may list scenarios applies to a scenario.
+ * @param entry The parsed entry, with its scenario names or null for every scenario.
+ * @param scenario The scenario.
+ */
+function appliesToScenario(entry, scenario) {
+    return !entry.scenarios || entry.scenarios.includes(scenario.name);
+}
+
+/**
+ * Parse the fuelOptions section of the simulation setup, the seasonal state of the fuels: the percent curing of grass,
+ * whether deciduous and mixedwood fuels have greened up, and the crown base height. Each entry applies to the fuels
+ * of one FBP fuel type, or one fuel of the fuel table by name, and optionally only to the scenarios that start on a
+ * day from its scenarioStartFrom to its scenarioStartUntil, or to the scenarios it lists by name (scen0, scen1, ...):
+ *      { "fuelType": "O-1a", "curing": 60, "scenarioStartFrom": "2001-04-01", "scenarioStartUntil": "2001-05-31" }
+ *      { "fuelType": "M-1/M-2", "greenUp": true, "scenarios": ["scen1"] }
+ * The dates only choose scenarios: an option holds from the start to the end of each scenario it applies to, W.I.S.E.
+ * is not given a time for it. When more than one entry sets an option for a fuel, the last one listed is used.
+ * The options are built on the grid of the fuel map, which must be an ASCII grid (.asc), see fuelOptionGrid.
+ * @param entries The fuelOptions section as given in the simulation setup, may be undefined.
+ * @param fuels The fuel table, as returned by parseFuelTable, or null if the job uses a lookup table file.
+ * @param fuelMap The fuel map file of the inputs section.
+ * @param errors The list to add a message to for every bad entry.
+ * @param context The inputsFolder and zone of the simulation setup, see parseSimulationSetup.
+ * @returns The fuel options, each with every key of fuelOptionSchema and the scenario names, or null for every scenario.
+ */
+function parseFuelOptions(entries, fuels, fuelMap, errors, context) {
+    const options = [];
+    if (entries == null) {
+        return options;
+    }
+    if (!Array.isArray(entries)) {
+        errors.push("fuelOptions: must be a list");
+        return options;
+    }
+    if (entries.length > 0 && fuelMap != null && path.extname(fuelMap).toLowerCase() !== ".asc") {
+        errors.push(`fuelOptions: need the fuel map as an ASCII grid (.asc), inputs.fuelMap ${fuelMap} is not one`);
+    }
+    entries.forEach((entry, index) => {
+        const name = `fuelOptions[${index}]`;
+        if (entry == null || typeof entry !== "object") {
+            errors.push(`${name}: must be an object`);
+            return;
+        }
+        const values = Object.assign({}, entry);
+        delete values.scenarios;
+        const option = parseSection(name, values, fuelOptionSchema, errors, context.zone);
+        try {
+            option.scenarios = parseScenarioNames(entry.scenarios, name);
+        } catch (e) {
+            errors.push(e.message);
+        }
+        if (option.fuelType == null) {
+            return;
+        }
+        // the FBP fuel types the entry applies to, by fuel type or by the name of a fuel in the fuel table
+        const fuel = (fuels || []).find(fuel => fuel.name === option.fuelType);
+        const code = fuel ? fuel.code : option.fuelType;
+        if (!fuel && !fbpFuelTypes.includes(code)) {
+            errors.push(`${name}.fuelType: "${code}" is neither an FBP fuel type nor the name of a fuel in the fuel table`);
+            return;
+        }
+        const keys = Object.keys(fuelOptionGrids).filter(key => option[key] != null);
+        if (!Object.keys(fuelOptionGrids).some(key => entry[key] != null)) {
+            errors.push(`${name}: must set at least one of ${Object.keys(fuelOptionGrids).join(", ")}`);
+        }
+        keys.forEach(key => {
+            if (!fuelOptionGrids[key].fuelTypes.includes(code)) {
+                errors.push(`${name}.${key}: does not apply to ${code} fuels, only to ${fuelOptionGrids[key].fuelTypes.join(", ")}`);
+            }
+        });
+        if (option.scenarioStartFrom && option.scenarioStartUntil && option.scenarioStartUntil < option.scenarioStartFrom) {
+            errors.push(`${name}.scenarioStartUntil: must not be before ${name}.scenarioStartFrom`);
+        }
+        options.push(option);
+    });
+    return options;
+}
+
+/**
+ * Add the fuel options of a scenario to the job as W.I.S.E. grid files. Each option is attached to the job as an ASCII
+ * grid on the grid of the fuel map, holding its value in the cells of the fuels it applies to and no data elsewhere.
+ * @param config The configuration of the job, as returned by loadConfig.
+ * @param prom The W.I.S.E. job.
+ * @param scenario The scenario, with its name and, for ensemble members, its start time.
+ * @param gridFiles The grid files added so far, by their contents. New grid files are added to it.
+ * @returns The W.I.S.E. grid files of the scenario's fuel options, to reference from the scenario.
+ */
+function addFuelOptionGrids(config, prom, scenario, gridFiles) {
+    const options = scenarioFuelOptions(config, scenario);
+    const grids = [];
+    Object.keys(fuelOptionGrids).forEach(key => {
+        // the value of the option for each fuel type or fuel name, the last entry listed wins
+        const values = {};
+        options.filter(option => option[key] != null).forEach(option => values[option.fuelType] = +option[key]);
+        if (Object.keys(values).length == 0) {
+            return;
+        }
+        const id = key + JSON.stringify(values);
+        if (!gridFiles[id]) {
+            const attachment = prom.addAttachment(`fuel_option_${Object.keys(gridFiles).length}_${key}.asc`, fuelOptionGrid(config, values));
+            gridFiles[id] = prom.addGridFile('' + attachment, config.inputsFolder + config.setup.inputs.projection, index_1.wise.GridFileType[fuelOptionGrids[key].gridType]);
+        }
+        grids.push(gridFiles[id]);
+    });
+    return grids;
+}
+
+/**
+ * Find the entries of the fuelOptions section that apply to a scenario: those for the scenario whose
+ * scenarioStartFrom to scenarioStartUntil days hold the start of the scenario.
+ * @param config The configuration of the job, as returned by loadConfig.
+ * @param scenario The scenario, as returned by expandEnsemble.
+ * @returns The entries, as returned by parseFuelOptions, in the order they are listed.
+ */
+function scenarioFuelOptions(config, scenario) {
+    const start = scenario.ignitionTime || config.ignitionTime;
+    return config.setup.fuelOptions.filter(option => appliesToScenario(option, scenario) &&
+        (!option.scenarioStartFrom || start >= option.scenarioStartFrom.startOf("day")) &&
+        (!option.scenarioStartUntil || start <= option.scenarioStartUntil.endOf("day")));
+}
+
+/**
+ * Read the fuels of a W.I.S.E. lookup table file: grid_value,export_value,descriptive_name,fuel_type,r,g,b,h,s,l
+ * @param filePath The path of the lookup table file.
+ * @returns The fuels, each with its index, name and FBP fuel type. Throws an error naming the file if it cannot be read.
+ */
+function readLutFuels(filePath) {
+    return readStringArrayFromFile(filePath).slice(1)
+        .map(line => line.split(","))
+        .filter(columns => columns.length >= 4)
+        .map(columns => ({ index: +columns[0], name: columns[2], code: columns[3].replace(/\s*\(.*\)$/, "") }));
+}
+
+/**
+ * Build an ASCII grid on the grid of the fuel map, holding a value in the cells of the given fuels.
+ * The fuels of the fuel map are found from the fuel table, or from the lookup table file.
+ * @param config The configuration of the job, as returned by loadConfig.
+ * @param values The value of each fuel, by FBP fuel type or by fuel name. Fuels by name take precedence.
+ * @returns The contents of the grid file.
+ */
+function fuelOptionGrid(config, values) {
+    const NODATA = -9999;
+    // the value of each fuel map index
+    let fuels = config.setup.fuels || readLutFuels(config.inputsFolder + config.setup.inputs.fuelLookupTable);
+    const byIndex = {};
+    fuels.forEach(fuel => {
+        const value = values[fuel.name] != null ? values[fuel.name] : values[fuel.code];
+        if (value != null) {
+            byIndex[fuel.index] = value;
+        }
+    });
+
+    const fuelMap = config.inputsFolder + config.setup.inputs.fuelMap;
+    const lines = fs.readFileSync(fuelMap, 'utf8').split(/\r?\n/);
+    // the header lines start with a keyword, the rows with a number
+    let rows = lines.findIndex(line => /^\s*[-+.\d]/.test(line));
+    if (rows < 0) {
+        throw Error(`The fuel map ${fuelMap} holds no rows`);
+    }
+    const header = lines.slice(0, rows).filter(line => !/^\s*nodata_value\b/i.test(line));
+    const fuelNodata = (lines.slice(0, rows).find(line => /^\s*nodata_value\b/i.test(line)) || "").trim().split(/\s+/)[1];
+    const output = header.concat(["NODATA_value " + NODATA]);
+    for (; rows < lines.length; rows++) {
+        if (lines[rows].trim().length > 0) {
+            output.push(lines[rows].trim().split(/\s+/).map(cell => cell !== fuelNodata && byIndex[+cell] != null ? byIndex[+cell] : NODATA).join(" "));
+        }
+    }
+    return output.join("\n") + "\n";
+}
+
+/**
+ * Parse the burningConditionDays section of the simulation setup, which sets the burning condition of single days.
+ * It is either a list of rows or a CSV file with a header line naming the keys of burningConditionDaySchema:
+ *      [{ "date": "2001-10-16", "startHour": 10, "endHour": 20, "minFwi": 12 }, ...]
+ *      { "file": "burning_conditions.csv" }
+ * A key that is not given, or an empty cell, takes its value from burningConditions.
+ * @param table The burningConditionDays section as given in the simulation setup, may be undefined.
+ * @param defaults The parsed burningConditions section.
+ * @param errors The list to add a message to for every bad row.
+ * @param context The inputsFolder and zone of the simulation setup, see parseSimulationSetup.
+ * @returns The values given for each day, keyed by the ISO date in the time zone of the job.
+ */
+function parseBurningConditionDays(table, defaults, errors, context) {
+    const days = {};
+    if (table == null) {
+        return days;
+    }
+    let rows = table;
+    let name = index => `burningConditionDays[${index}]`;
+    if (!Array.isArray(table) && typeof table === "object" && table.file != null) {
+        const filePath = path.resolve(context.inputsFolder, String(table.file));
+        try {
+            rows = readCsv(fs.readFileSync(filePath, 'utf8'));
+        } catch (e) {
+            errors.push(`burningConditionDays.file: ${e.message}`);
+            return days;
+        }
+        name = index => `burningConditionDays.file line ${index + 2}`;
+    }
+    else if (!Array.isArray(table)) {
+        errors.push("burningConditionDays: must be a list or an object with a file");
+        return days;
+    }
+
+    rows.forEach((row, index) => {
+        if (row == null || typeof row !== "object") {
+            errors.push(`${name(index)}: must be an object`);
+            return;
+        }
+        const parsed = parseSection(name(index), row, burningConditionDaySchema, errors, context.zone);
+        if (!parsed.date) {
+            return;
+        }
+        const date = parsed.date.toISODate();
+        if (days[date]) {
+            errors.push(`${name(index)}.date: ${date} is listed more than once`);
+        }
+        delete parsed.date;
+        Object.keys(parsed).forEach(key => parsed[key] == null && delete parsed[key]);
+        const hours = Object.assign({}, defaults, parsed);
+        if (hours.startHour >= hours.endHour) {
+            errors.push(`${name(index)}.endHour: ${hours.endHour} must be after the start hour ${hours.startHour}`);
+        }
+        days[date] = parsed;
+    });
+    return days;
+}
+
+/**
+ * Parse the weatherPatches section of the simulation setup, which overrides the weather inside polygons between
+ * a start and end time. The polygons are a file or an inline polygon, as for the ignitions section:
+ *      { "file": "weather_patch_wd270.kml", "startTime": "2001-10-16T13:00:00", "endTime": "2001-10-16T21:00:00", "windDirection": 270 }
+ *      { "type": "polygon", "vertices": [...], "startTime": ..., "endTime": ..., "windSpeed": { "operation": "plus", "value": 10 } }
+ * @param entries The weatherPatches section as given in the simulation setup, may be undefined.
+ * @param errors The list to add a message to for every bad entry.
+ * @param context The inputsFolder and zone of the simulation setup, see parseSimulationSetup.
+ * @returns One patch per polygon, with its vertices, times and the overrides that were given.
+ */
+function parseWeatherPatches(entries, errors, context) {
+    const patches = [];
+    if (entries == null) {
+        return patches;
+    }
+    if (!Array.isArray(entries)) {
+        errors.push("weatherPatches: must be a list");
+        return patches;
+    }
+    entries.forEach((entry, index) => {
+        const name = `weatherPatches[${index}]`;
+        try {
+            const geometries = parseGeometryEntry(entry, name, false, context);
+            geometries.forEach(geometry => {
+                if (geometry.type !== "polygon") {
+                    throw Error(`${name}: holds a ${geometry.type}, a weather patch must only hold polygons`);
+                }
+            });
+            const values = Object.assign({}, entry);
+            ["file", "type", "location", "vertices"].forEach(key => delete values[key]);
+            const patch = parseSection(name, values, weatherPatchSchema, errors, context.zone);
+            if (!Object.keys(weatherPatchSchema).some(key => weatherPatchSchema[key].type === "operation" && values[key] != null)) {
+                throw Error(`${name}: must override at least one of temperature, relativeHumidity, windSpeed or windDirection`);
+            }
+            if (patch.startTime && patch.endTime && patch.endTime <= patch.startTime) {
+                throw Error(`${name}.endTime: must be after ${name}.startTime`);
+            }
+            geometries.forEach(geometry => patches.push(Object.assign({ vertices: geometry.vertices }, patch)));
+        } catch (e) {
+            errors.push(e.message);
+        }
+    });
+    return patches;
+}
+
+/**
+ * Parse the windGrids section of the simulation setup, grids of wind direction or wind speed such as the output
+ * of a downscaling model. Relative file paths are taken from the test folder of the jobs directory.
+ *      { "type": "direction", "file": "wind_direction.asc", "startTime": "2001-10-16T13:00:00", "endTime": "2001-10-16T21:00:00" }
+ * @param entries The windGrids section as given in the simulation setup, may be undefined.
+ * @param projection The projection file of the inputs section, used for grids that do not give their own.
+ * @param errors The list to add a message to for every bad entry.
+ * @param context The inputsFolder and zone of the simulation setup, see parseSimulationSetup.
+ * @returns The grids, each with every key of windGridSchema and the paths of its files.
+ */
+function parseWindGrids(entries, projection, errors, context) {
+    const grids = [];
+    if (entries == null) {
+        return grids;
+    }
+    if (!Array.isArray(entries)) {
+        errors.push("windGrids: must be a list");
+        return grids;
+    }
+    entries.forEach((entry, index) => {
+        const name = `windGrids[${index}]`;
+        if (entry == null || typeof entry !== "object") {
+            errors.push(`${name}: must be an object`);
+            return;
+        }
+        const grid = parseSection(name, entry, windGridSchema, errors, context.zone);
+        if (grid.startTime && grid.endTime && grid.endTime <= grid.startTime) {
+            errors.push(`${name}.endTime: must be after ${name}.startTime`);
+        }
+        if (grid.file) {
+            grid.file = toInputPath(grid.file, context.inputsFolder);
+        }
+        grid.projection = toInputPath(grid.projection || projection, context.inputsFolder);
+        grids.push(grid);
+    });
+    return grids;
+}
+
+/**
+ * Parse the exports section of the simulation setup, the exports to add to every scenario. Each entry gives the words
+ * of the command line flag of its type by name, see exportSchema, and is checked with parseExport.
+ *      { "type": "ROS", "filename": "ros_{scenario}", "startTime": "2001-10-16T14:00:00", "endTime": "2001-10-16T21:00:00", "interval": "PT1H" }
+ * @param entries The exports section as given in the simulation setup, may be undefined.
+ * @param errors The list to add a message to for every bad entry.
+ * @param context The inputsFolder and zone of the simulation setup, see parseSimulationSetup.
+ * @returns The exports, each with its type and the words of its command line flag as args.
+ */
+function parseExports(entries, errors, context) {
+    const exps = [];
+    if (entries == null) {
+        return exps;
+    }
+    if (!Array.isArray(entries)) {
+        errors.push("exports: must be a list");
+        return exps;
+    }
+    entries.forEach((entry, index) => {
+        const name = `exports[${index}]`;
+        if (entry == null || typeof entry !== "object") {
+            errors.push(`${name}: must be an object`);
+            return;
+        }
+        const count = errors.length;
+        const exp = parseSection(name, entry, exportSchema, errors, context.zone);
+        if (errors.length > count) {
+            return;
+        }
+        const args = [exp.filename, exp.time || exp.startTime, exp.endTime, exp.interval].filter(value => value != null)
+            .concat(exp.activeOnly ? ["active"] : [], exp.merged ? ["merged"] : [])
+            .concat(["interpolation", "cellSize", "clip"].filter(key => exp[key] != null).map(key => `${key}=${exp[key]}`));
+        try {
+            parseExport(exp.type, args, context.zone);
+        } catch (e) {
+            errors.push(`${name}: ${e.message}`);
+            return;
+        }
+        exps.push({ type: exp.type, args: args });
+    });
+    return exps;
+}
+
+/**
+ * Get the path W.I.S.E. reads an input file from. Relative paths are taken from the test folder of the jobs directory.
+ * @param file The file as given in the simulation setup.
+ * @param inputsFolder The test folder of the jobs directory.
+ */
+function toInputPath(file, inputsFolder) {
+    return path.isAbsolute(file) ? file : inputsFolder + file;
+}
+
+/**
+ * Parse one geometry entry of the simulation setup: either a file of geometries or an inline point, line or polygon.
+ * Relative file paths are taken from the test folder of the jobs directory, like the other inputs.
+ * Throws an error, prefixed with the name and key that is bad, if the entry cannot be used.
+ * @param entry The entry as given in the simulation setup.
+ * @param name The name of the entry, for messages.
+ * @param timed True if the entry has a time, which may be replaced by the time of each feature in a file.
+ * @param context The inputsFolder and zone of the simulation setup, see parseSimulationSetup.
+ * @returns The geometries of the entry, each with its type, vertices, properties and (if timed) time.
+ */
+function parseGeometryEntry(entry, name, timed, context) {
+    if (entry == null || typeof entry !== "object") {
+        throw Error(`${name}: must be an object`);
+    }
+    const parseTime = (value, key) => {
+        try {
+            return parseSetupValue(value, { type: "time", optional: true }, context.zone);
+        } catch (e) {
+            throw Error(`${name}.${key}: ${e.message}`);
+        }
+    };
+    const time = timed ? parseTime(entry.time, "time") : undefined;
+
+    if (entry.file != null) {
+        const filePath = path.resolve(context.inputsFolder, String(entry.file));
+        let geometries;
+        try {
+            geometries = readGeometries(filePath);
+        } catch (e) {
+            throw Error(`${name}.file: ${e.message}`);
+        }
+        if (geometries.length == 0) {
+            throw Error(`${name}.file: ${filePath} holds no point, line or polygon geometries`);
+        }
+        return geometries.map(geometry => Object.assign(geometry, {
+            time: timed && geometry.properties.time != null ? parseTime(geometry.properties.time, "file") : time
+        }));
+    }
+
+    const minimumVertices = { point: 1, line: 2, polygon: 3 };
+    if (!minimumVertices[entry.type]) {
+        throw Error(`${name}.type: "${entry.type}" must be one of ${Object.keys(minimumVertices).join(", ")}, or give a file`);
+    }
+    let vertices;
+    try {
+        vertices = entry.type === "point" ? [parseSetupValue(entry.location, { type: "latlon" })]
+            : (Array.isArray(entry.vertices) ? entry.vertices : []).map(vertex => parseSetupValue(vertex, { type: "latlon" }));
+    } catch (e) {
+        throw Error(`${name}.${entry.type === "point" ? "location" : "vertices"}: ${e.message}`);
+    }
+    if (vertices.length < minimumVertices[entry.type]) {
+        throw Error(`${name}.vertices: a ${entry.type} needs at least ${minimumVertices[entry.type]} vertices`);
+    }
+    return [{ type: entry.type, vertices: vertices, properties: {}, time: time }];
+}
+
+/**
+ * Read the point, line and polygon geometries of a GeoJSON or KML file. Multi-part geometries are split into
+ * their parts, and only the outer ring of a polygon is used.
+ * @param filePath The path of the file, .kml for KML and anything else for GeoJSON.
+ * @returns The geometries, each with its type (point, line or polygon), its vertices as W.I.S.E. LatLons,
+ *          and the properties of its feature (for KML, the name and the time of a TimeStamp).
+ */
+function readGeometries(filePath) {
+    const contents = fs.readFileSync(filePath, 'utf8');
+    const geometries = [];
+    const add = (type, vertices, properties) => {
+        // W.I.S.E. does not need polygons to be closed
+        if (type === "polygon" && vertices.length > 1 && vertices[0].latitude === vertices[vertices.length - 1].latitude &&
+            vertices[0].longitude === vertices[vertices.length - 1].longitude) {
+            vertices = vertices.slice(0, -1);
+        }
+        geometries.push({ type: type, vertices: vertices, properties: properties || {} });
+    };
+
+    if (path.extname(filePath).toLowerCase() === ".kml") {
+        // coordinates are longitude,latitude[,altitude] tuples separated by whitespace
+        const toVertices = text => text.trim().split(/\s+/).map(tuple => {
+            const parts = tuple.split(",").map(Number);
+            return new index_1.globals.LatLon(parts[1], parts[0]);
+        });
+        const placemarks = contents.match(/<Placemark[\s\S]*?<\/Placemark>/g) || [];
+        placemarks.forEach(placemark => {
+            const properties = {};
+            const nameMatch = placemark.match(/<name>([\s\S]*?)<\/name>/);
+            const whenMatch = placemark.match(/<TimeStamp>\s*<when>([\s\S]*?)<\/when>/);
+            if (nameMatch) {
+                properties.name = nameMatch[1].trim();
+            }
+            if (whenMatch) {
+                properties.time = whenMatch[1].trim();
+            }
+            const shapes = placemark.match(/<(Point|LineString|Polygon)\b[\s\S]*?<\/\1>/g) || [];
+            shapes.forEach(shape => {
+                const type = shape.startsWith("<Point") ? "point" : shape.startsWith("<LineString") ? "line" : "polygon";
+                const ring = type === "polygon" ? (shape.match(/<outerBoundaryIs>[\s\S]*?<\/outerBoundaryIs>/) || [shape])[0] : shape;
+                const coordinates = ring.match(/<coordinates>([\s\S]*?)<\/coordinates>/);
+                if (coordinates) {
+                    add(type, toVertices(coordinates[1]), properties);
+                }
+            });
+        });
+        return geometries;
+    }
+
+    // GeoJSON positions are [longitude, latitude(, altitude)]
+    const toVertices = positions => positions.map(position => new index_1.globals.LatLon(position[1], position[0]));
+    const addGeometry = (geometry, properties) => {
+        if (!geometry) {
+            return;
+        }
+        switch (geometry.type) {
+            case "Point": add("point", toVertices([geometry.coordinates]), properties); break;
+            case "MultiPoint": geometry.coordinates.forEach(point => add("point", toVertices([point]), properties)); break;
+            case "LineString": add("line", toVertices(geometry.coordinates), properties); break;
+            case "MultiLineString": geometry.coordinates.forEach(line => add("line", toVertices(line), properties)); break;
+            case "Polygon": add("polygon", toVertices(geometry.coordinates[0]), properties); break;
+            case "MultiPolygon": geometry.coordinates.forEach(polygon => add("polygon", toVertices(polygon[0]), properties)); break;
+            case "GeometryCollection": geometry.geometries.forEach(part => addGeometry(part, properties)); break;
+        }
+    };
+    const json = JSON.parse(contents);
+    if (json.type === "FeatureCollection") {
+        json.features.forEach(feature => addGeometry(feature.geometry, feature.properties));
+    }
+    else if (json.type === "Feature") {
+        addGeometry(json.geometry, json.properties);
+    }
+    else {
+        addGeometry(json, {});
+    }
+    return geometries;
+}
+
+/**
+ * Add an ignition to the job with the W.I.S.E. call for its type.
+ * @param prom The W.I.S.E. job.
+ * @param ignition The ignition, as returned by parseIgnitions.
+ * @returns The W.I.S.E. ignition, to reference from scenarios.
+ */
+function addIgnition(prom, ignition) {
+    switch (ignition.type) {
+        case "point": return prom.addPointIgnition(ignition.vertices[0], ignition.time);
+        case "line": return prom.addLineIgnition(ignition.vertices, ignition.time);
+        case "polygon": return prom.addPolygonIgnition(ignition.vertices, ignition.time);
+    }
+}
+
+/**
+ * Add a weather patch to the job, overriding the weather inside its polygon between its start and end time.
+ * @param prom The W.I.S.E. job.
+ * @param patch The patch, as returned by parseWeatherPatches.
+ * @param jobZone The offset of the job, that the dates and times of day are given in, see timezoneOffset.
+ * @returns The W.I.S.E. weather patch, to reference from scenarios.
+ */
+function addWeatherPatch(prom, patch, jobZone) {
+    const start = patch.startTime.setZone(jobZone);
+    const end = patch.endTime.setZone(jobZone);
+    let wpatch = prom.addPolygonWeatherPatch(patch.vertices, start, start.toFormat("HH:mm:ss"), end, end.toFormat("HH:mm:ss"));
+    const setters = {
+        temperature: "setTemperatureOperation",
+        relativeHumidity: "setRhOperation",
+        windSpeed: "setWindSpeedOperation",
+        windDirection: "setWindDirOperation"
+    };
+    Object.keys(setters).forEach(key => {
+        if (patch[key]) {
+            wpatch[setters[key]](index_1.wise.WeatherPatchOperation[patch[key].operation.toUpperCase()], patch[key].value);
+        }
+    });
+    return wpatch;
+}
+
+/**
+ * Add a fuel break to the job.
+ * @param prom The W.I.S.E. job.
+ * @param fuelBreak The fuel break, as returned by parseFuelBreaks.
+ * @returns The W.I.S.E. fuel break, to reference from scenarios.
+ */
+function addFuelBreak(prom, fuelBreak) {
+    if (fuelBreak.type === "line") {
+        return prom.addPolylineFuelBreak(fuelBreak.vertices, fuelBreak.width);
+    }
+    return prom.addPolygonFuelBreak(fuelBreak.vertices);
+}
+
+/**
+ * Add a fuel patch to the job.
+ * @param prom The W.I.S.E. job.
+ * @param patch The fuel patch, as returned by parseFuelPatches.
+ * @returns The W.I.S.E. fuel patch, to reference from scenarios.
+ */
+function addFuelPatch(prom, patch) {
+    const fromFuel = fuelPatchFromFuels[patch.fromFuel] ? index_1.wise.FromFuel[fuelPatchFromFuels[patch.fromFuel]] : patch.fromFuel;
+    return prom.addPolygonFuelPatch(patch.vertices, fromFuel, patch.toFuel);
+}
+
+/**
+ * Add a wind direction or wind speed grid to the job, used between its start and end time.
+ * @param prom The W.I.S.E. job.
+ * @param grid The grid, as returned by parseWindGrids.
+ * @param jobZone The offset of the job, that the dates and times of day are given in, see timezoneOffset.
+ * @returns The W.I.S.E. weather grid, to reference from scenarios.
+ */
+function addWindGrid(prom, grid, jobZone) {
+    const start = grid.startTime.setZone(jobZone);
+    const end = grid.endTime.setZone(jobZone);
+    let wgrid;
+    if (grid.type === "direction") {
+        wgrid = prom.addDirectionWeatherGrid(start, start.toFormat("HH:mm:ss"), end, end.toFormat("HH:mm:ss"));
+    }
+    else {
+        wgrid = prom.addSpeedWeatherGrid(start, start.toFormat("HH:mm:ss"), end, end.toFormat("HH:mm:ss"));
+    }
+    wgrid.setDefaultValuesFile(grid.file, grid.projection);
+    return wgrid;
+}
+
+/**
+ * Parse the values of one section of the simulation setup with the schema entries of its keys.
+ * @param section The name of the section, for error messages.
+ * @param values The section as given in the simulation setup.
+ * @param fields The schema entry of every key of the section.
+ * @param errors The list to add a message to for every bad or unknown value.
+ * @param zone The zone times without an offset are read in.
+ * @returns The section with every value converted to its type.
+ */
+function parseSection(section, values, fields, errors, zone) {
+    const parsed = {};
+    Object.keys(values).forEach(key => {
+        if (!fields[key]) {
+            errors.push(`${section}.${key}: unknown setting`);
+        }
+    });
+    Object.keys(fields).forEach(key => {
+        try {
+            parsed[key] = parseSetupValue(values[key], fields[key], zone);
+        } catch (e) {
+            errors.push(`${section}.${key}: ${e.message}`);
+        }
+    });
+    return parsed;
+}
+
+/**
+ * Parse the sweep section of the simulation setup. Each key names a scenario setting as section.key
+ * and holds the list of values to run it with. The values are parsed with the setting's schema entry.
+ * @param sweep The sweep section as given in the simulation setup, may be undefined.
+ * @param errors The list to add a message to for every bad entry.
+ * @param zone The zone times without an offset are read in.
+ * @returns A list of the swept settings, each with its section, key, the values as given and the parsed values.
+ */
+function parseSweep(sweep, errors, zone) {
+    const parsed = [];
+    Object.keys(sweep || {}).forEach(name => {
+        const [section, key] = name.split(".");
+        const field = scenarioSetupSections.includes(section) ? simulationSetupSchema[section][key] : undefined;
+        if (!field) {
+            errors.push(`sweep.${name}: not a scenario setting, must be one of the ${scenarioSetupSections.join(", ")} settings written as section.key`);
+            return;
+        }
+        if (!Array.isArray(sweep[name]) || sweep[name].length == 0) {
+            errors.push(`sweep.${name}: must be a list of at least one value`);
+            return;
+        }
+        const values = [];
+        sweep[name].forEach((value, index) => {
+            try {
+                values.push(parseSetupValue(value, field, zone));
+            } catch (e) {
+                errors.push(`sweep.${name}[${index}]: ${e.message}`);
+            }
+        });
+        parsed.push({ section: section, key: key, given: sweep[name], values: values });
+    });
+    return parsed;
+}
+
+/**
+ * Expand the swept settings into one scenario per combination of their values (the Cartesian product).
+ * Without a sweep there is a single scenario named scen0.
+ * @param setup The parsed simulation setup.
+ * @returns A list of scenarios, each with a unique name, the simulation setup with its values applied,
+ *          and the swept values for the manifest.
+ */
+function expandSweep(setup) {
+    let combinations = [[]];
+    setup.sweep.forEach((swept, sweptIndex) => {
+        const expanded = [];
+        combinations.forEach(combination => {
+            swept.values.forEach((value, valueIndex) => expanded.push(combination.concat([[sweptIndex, valueIndex]])));
+        });
+        combinations = expanded;
+    });
+
+    return combinations.map((combination, index) => {
+        const scenarioSetup = Object.assign({}, setup);
+        const values = {};
+        scenarioSetupSections.forEach(section => {
+            scenarioSetup[section] = Object.assign({}, setup[section]);
+        });
+        combination.forEach(([sweptIndex, valueIndex]) => {
+            const swept = setup.sweep[sweptIndex];
+            scenarioSetup[swept.section][swept.key] = swept.values[valueIndex];
+            // durations and times are recorded as they were given, everything else by its parsed value
+            const value = swept.values[valueIndex];
+            values[swept.section + "." + swept.key] = typeof value === "object" ? swept.given[valueIndex] : value;
+        });
+        return { name: "scen" + index, setup: scenarioSetup, values: values };
+    });
+}
+
+/**
+ * Turn every scenario into the members of a Monte Carlo ensemble. Each member has its ignitions moved by a
+ * random offset within ignitionRadius and a random time within ignitionTimeWindow, and, if any weather noise is
+ * configured, its own copy of the weather file with perturbed wind speed, wind direction, temperature and RH.
+ * All sampling uses one random number generator seeded from the ensemble seed, so a run can be reproduced.
+ * The weather of every station is perturbed with the same noise, row by row, so the stations stay consistent.
+ * @param scenarios The scenarios returned by expandSweep.
+ * @param ensemble The parsed ensemble section of the simulation setup, or null for no ensemble.
+ * @param stations The weather stations, as returned by parseWeatherStations, whose files are perturbed.
+ * @returns The ensemble members, renamed scen0, scen1, ..., or the scenarios unchanged if there is no ensemble.
+ */
+function expandEnsemble(scenarios, ensemble, stations) {
+    if (!ensemble) {
+        return scenarios;
+    }
+    let seed = ensemble.seed;
+    if (seed == null) {
+        seed = Math.floor(Math.random() * 2147483647);
+        console.log(`No ensemble seed was given, using ${seed}`);
+    }
+    const random = createRandom(seed);
+    const noise = ensemble.noiseModel === "normal" ? () => randomNormal(random) : () => 2 * random() - 1;
+    const perturbWeather = ensemble.windSpeedPercent > 0 || ensemble.windDirectionDegrees > 0 || ensemble.temperatureDegrees > 0 || ensemble.relativeHumidityPercent > 0;
+    const weather = perturbWeather ? stations.map(station => readWeatherFile(station.file, station.filled)) : null;
+    const noiseRows = weather && ensemble.hourlyNoise ? Math.max(...weather.map(file => file.rows.length)) : 1;
+    const windowMinutes = ensemble.ignitionTimeWindow.as("minutes");
+
+    const members = [];
+    scenarios.forEach(scenario => {
+        for (let member = 0; member < ensemble.count; member++) {
+            // a uniformly distributed offset in the circle around the ignitions, every ignition is moved by the same offset
+            const distance = ensemble.ignitionRadius * Math.sqrt(random());
+            const bearing = 2 * Math.PI * random();
+            const north = distance * Math.cos(bearing);
+            const east = distance * Math.sin(bearing);
+            const minutes = Math.round(windowMinutes * (2 * random() - 1));
+            const ignitions = scenario.setup.ignitions.map(ignition => ignition.observed ? ignition : {
+                type: ignition.type,
+                vertices: ignition.vertices.map(vertex => offsetLatLon(vertex, north, east)),
+                time: ignition.time.plus({ minutes: minutes })
+            });
+
+            const offsets = [];
+            for (let row = 0; weather && row < noiseRows; row++) {
+                offsets.push({
+                    windSpeed: 1 + noise() * ensemble.windSpeedPercent / 100,
+                    windDirection: noise() * ensemble.windDirectionDegrees,
+                    temperature: noise() * ensemble.temperatureDegrees,
+                    relativeHumidity: noise() * ensemble.relativeHumidityPercent
+                });
+            }
+
+            const values = Object.assign({}, scenario.values, {
+                "ensemble.seed": seed,
+                "ensemble.member": member,
+                "ignition.offsetNorth": Math.round(north * 10) / 10,
+                "ignition.offsetEast": Math.round(east * 10) / 10,
+                "ignition.timeOffsetMinutes": minutes
+            });
+            members.push({
+                name: "scen" + members.length,
+                setup: scenario.setup,
+                values: values,
+                ignitions: ignitions,
+                ignitionTime: luxon_1.DateTime.min(...ignitions.map(ignition => ignition.time)),
+                weather: weather ? weather.map(file => perturbWeatherFile(file, offsets)) : undefined
+            });
+        }
+    });
+    return members;
+}
+
+/**
+ * Write a copy of a weather file with noise added to the wind speed, wind direction, temperature and RH columns.
+ * @param weather The weather file as returned by readWeatherFile.
+ * @param offsets The wind speed factor and the wind direction, temperature and RH offsets, one set per row,
+ *          or a single set for every row.
+ * @returns The text of the perturbed weather file.
+ */
+function perturbWeatherFile(weather, offsets) {
+    const rows = weather.rows.map((row, rowIndex) => {
+        const offset = offsets[Math.min(rowIndex, offsets.length - 1)];
+        row = row.slice();
+        const perturb = (column, change) => {
+            const index = weather.columns[column];
+            row[index] = change(parseFloat(row[index])).toFixed(1);
+        };
+        perturb("windSpeed", value => Math.max(0, value * offset.windSpeed));
+        perturb("windDirection", value => ((value + offset.windDirection) % 360 + 360) % 360);
+        perturb("temperature", value => value + offset.temperature);
+        perturb("relativeHumidity", value => Math.min(100, Math.max(0, value + offset.relativeHumidity)));
+        return row;
+    });
+    return [weather.header].concat(rows).map(row => row.join(",")).join("\n") + "\n";
+}
+
+/**
+ * Check the weather file of every station: its columns and values, that its records are hourly and in order, and
+ * that it covers the simulation and the station's start and end dates. Gaps of up to maxGapHours missing hours are
+ * interpolated into a copy of the file, which the station then uses. The copy is kept in memory in station.filled, and
+ * only written when the job is built, as an attachment named after the file with _filled (see filledWeatherName).
+ * A summary of every file is printed. If any file cannot be used an error listing every problem is thrown.
+ * @param stations The weather stations, as returned by parseWeatherStations.
+ * @param start The time the simulation starts.
+ * @param end The time the simulation ends.
+ * @param maxGapHours The number of missing hours to fill, as given on the command line. No gaps are filled if undefined.
+ */
+function checkWeatherStations(stations, start, end, maxGapHours) {
+    let maxGap = 0;
+    if (maxGapHours != null) {
+        try {
+            maxGap = parseSetupValue(maxGapHours, { type: "integer", min: 1 });
+        } catch (e) {
+            throw Error(`--fill-weather-gaps: ${e.message}`);
+        }
+    }
+    const problems = [];
+    stations.forEach(station => {
+        const report = checkWeatherFile(station, start, end, maxGap);
+        if (report.errors.length > 0) {
+            problems.push(`The weather file ${station.file} has ${report.errors.length} problem(s):`);
+            report.errors.forEach(error => problems.push("    " + error));
+            return;
+        }
+        console.log(`The weather file ${station.file} ${report.summary}`);
+        report.notes.forEach(note => console.log("    " + note));
+        if (report.filled) {
+            station.filled = report.filled;
+            console.log(`    the filled weather is attached to the job as ${filledWeatherName(station)}`);
+        }
+    });
+    if (problems.length > 0) {
+        throw Error(problems.join("\n"));
+    }
+}
+
+/**
+ * Get the name of the attachment holding the filled weather of a station, see checkWeatherStations.
+ * @param station The weather station, as returned by parseWeatherStations.
+ */
+function filledWeatherName(station) {
+    const parsedPath = path.parse(station.file);
+    return parsedPath.name + "_filled" + parsedPath.ext;
+}
+
+/**
+ * Check one station's weather file, see checkWeatherStations. The times of the records are compared with the
+ * simulation times at the offset in effect when the simulation starts.
+ * @param station The weather station, as returned by parseWeatherStations.
+ * @param start The time the simulation starts.
+ * @param end The time the simulation ends.
+ * @param maxGap The most missing hours to fill, 0 to fill none.
+ * @returns A summary of the file, notes on any gaps that were filled, the errors found, and the text of the filled
+ *          file if any gap was filled.
+ */
+function checkWeatherFile(station, start, end, maxGap) {
+    const report = { summary: "", notes: [], errors: [], filled: null };
+    let weather;
+    try {
+        weather = readWeatherFile(station.file);
+    } catch (e) {
+        report.errors.push(e.message);
+        return report;
+    }
+    const valueColumns = ["temperature", "relativeHumidity", "windDirection", "windSpeed", "precipitation"];
+    const format = time => time.toFormat("yyyy-MM-dd HH:mm");
+    const records = [];
+    weather.rows.forEach((row, index) => {
+        const line = index + 2;
+        const time = parseWeatherTime(row[weather.columns.date], row[weather.columns.hour]);
+        if (!time) {
+            report.errors.push(`line ${line}: "${row[weather.columns.date]}" hour "${row[weather.columns.hour]}" is not a date and hour`);
+            return;
+        }
+        valueColumns.forEach(column => {
+            try {
+                parseStrictNumber(row[weather.columns[column]]);
+            } catch (e) {
+                report.errors.push(`line ${line}: ${weather.header[weather.columns[column]]} ${e.message}`);
+            }
+        });
+        records.push({ time: time, row: row, line: line });
+    });
+    if (report.errors.length > 0) {
+        return report;
+    }
+    if (records.length == 0) {
+        report.errors.push("has no records");
+        return report;
+    }
+
+    // the records must be hourly and in order, gaps are filled if they are short enough
+    const rows = [records[0].row];
+    for (let i = 1; i < records.length; i++) {
+        const previous = records[i - 1];
+        const hours = records[i].time.diff(previous.time, "hours").hours;
+        if (hours <= 0) {
+            report.errors.push(`line ${records[i].line}: ${format(records[i].time)} is not after the record before it (${format(previous.time)})`);
+        }
+        else if (hours > 1) {
+            const missing = hours - 1;
+            if (missing > maxGap) {
+                report.errors.push(`line ${records[i].line}: ${missing} hour(s) are missing after ${format(previous.time)}` +
+                    (maxGap > 0 ? `, more than the ${maxGap} that --fill-weather-gaps fills` : ", use --fill-weather-gaps to fill them"));
+            }
+            else {
+                for (let hour = 1; hour <= missing; hour++) {
+                    rows.push(interpolateWeatherRow(weather, previous.row, records[i].row, previous.time.plus({ hours: hour }), hour / hours));
+                }
+                report.notes.push(`${missing} missing hour(s) after ${format(previous.time)} were filled by interpolation`);
+            }
+        }
+        rows.push(records[i].row);
+    }
+
+    // the file must cover the simulation and the start and end dates the station was given
+    const first = records[0].time;
+    const last = records[records.length - 1].time;
+    // the weather is in the offset in effect when the simulation starts, see resolveTimezone
+    const offset = luxon_1.FixedOffsetZone.instance(start.offset);
+    const asWritten = time => time.setZone(offset).setZone("utc", { keepLocalTime: true });
+    if (first > asWritten(start).startOf("hour")) {
+        report.errors.push(`starts at ${format(first)}, after the simulation starts at ${format(asWritten(start))}`);
+    }
+    if (last < asWritten(end).startOf("hour")) {
+        report.errors.push(`ends at ${format(last)}, before the simulation ends at ${format(asWritten(end))}`);
+    }
+    const day = time => asWritten(time).toFormat("yyyy-MM-dd");
+    if (day(station.startTime) < first.toFormat("yyyy-MM-dd") || day(station.startTime) > last.toFormat("yyyy-MM-dd")) {
+        report.errors.push(`does not hold the weather start date ${day(station.startTime)}`);
+    }
+    if (day(station.endTime) < first.toFormat("yyyy-MM-dd") || day(station.endTime) > last.toFormat("yyyy-MM-dd")) {
+        report.errors.push(`does not hold the weather end date ${day(station.endTime)}`);
+    }
+
+    report.summary = `has ${records.length} hourly records from ${format(first)} to ${format(last)}`;
+    if (rows.length > records.length) {
+        report.filled = [weather.header].concat(rows).map(row => row.join(",")).join("\n") + "\n";
+    }
+    return report;
+}
+
+/**
+ * Get the time of a weather record from its date (dd/mm/yyyy or yyyy-mm-dd) and hour (0 to 23).
+ * @param date The date as written in the weather file.
+ * @param hour The hour as written in the weather file.
+ * @returns The time, in UTC so that every hour exists, or null if the date or hour cannot be read.
+ */
+function parseWeatherTime(date, hour) {
+    const parts = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(date) || /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(date);
+    if (!parts || !/^\d{1,2}$/.test(hour) || +hour > 23) {
+        return null;
+    }
+    const [day, month, year] = parts[1].length == 4 ? [parts[3], parts[2], parts[1]] : [parts[1], parts[2], parts[3]];
+    const time = luxon_1.DateTime.fromObject({ year: +year, month: +month, day: +day, hour: +hour }, { zone: "utc" });
+    return time.isValid ? time : null;
+}
+
+/**
+ * Interpolate a weather record between two records. Wind direction takes the shorter way around the compass,
+ * and no precipitation is added.
+ * @param weather The weather file as returned by readWeatherFile.
+ * @param before The record before the gap.
+ * @param after The record after the gap.
+ * @param time The time of the new record.
+ * @param fraction How far the new record is from before (0) to after (1).
+ * @returns The new record, with its date written in the format of before.
+ */
+function interpolateWeatherRow(weather, before, after, time, fraction) {
+    const row = before.slice();
+    const columns = weather.columns;
+    row[columns.date] = time.toFormat(before[columns.date].includes("-") ? "yyyy-MM-dd" : "dd/MM/yyyy");
+    row[columns.hour] = String(time.hour);
+    before.forEach((value, index) => {
+        if (index === columns.date || index === columns.hour) {
+            return;
+        }
+        const start = parseFloat(value);
+        const change = parseFloat(after[index]) - start;
+        if (index === columns.precipitation) {
+            row[index] = "0.0";
+        }
+        else if (index === columns.windDirection) {
+            row[index] = ((start + (((change % 360) + 540) % 360 - 180) * fraction + 360) % 360).toFixed(1);
+        }
+        else if (Number.isFinite(start) && Number.isFinite(change)) {
+            row[index] = (start + change * fraction).toFixed(1);
+        }
+    });
+    return row;
+}
+
+/**
+ * Read a W.I.S.E. weather file: a comma separated header line followed by one line per record.
+ * @param filePath The path of the weather file, also named in errors.
+ * @param contents The text of the file if it is already read, such as filled weather, otherwise it is read from filePath.
+ * @returns The header, the rows split into their values, and the index of each column named in weatherColumns.
+ */
+function readWeatherFile(filePath, contents) {
+    const lines = (contents != null ? contents : fs.readFileSync(filePath, 'utf8')).split(/\r?\n/).filter(line => line.trim().length > 0);
+    if (lines.length == 0) {
+        throw Error(`The weather file ${filePath} is empty`);
+    }
+    const split = line => line.split(",").map(value => value.trim());
+    const header = split(lines[0]);
+    const columns = {};
+    Object.keys(weatherColumns).forEach(column => {
+        columns[column] = header.findIndex(name => weatherColumns[column].includes(name.toUpperCase()));
+        if (columns[column] < 0) {
+            throw Error(`The weather file ${filePath} has no ${weatherColumns[column][0]} column`);
+        }
+    });
+    return { header: header, rows: lines.slice(1).map(split), columns: columns };
+}
+
+/**
+ * Move a location by a distance north and east.
+ * @param location The W.I.S.E. LatLon to move from.
+ * @param north The distance to move north in metres, negative for south.
+ * @param east The distance to move east in metres, negative for west.
+ * @returns A new W.I.S.E. LatLon.
+ */
+function offsetLatLon(location, north, east) {
+    const metresPerDegree = 111320;
+    return new index_1.globals.LatLon(location.latitude + north / metresPerDegree,
+        location.longitude + east / (metresPerDegree * Math.cos(location.latitude * Math.PI / 180)));
+}
+
+/**
+ * Create a seeded pseudo random number generator (mulberry32).
+ * @param seed The integer seed.
+ * @returns A function returning the next number in [0, 1) each time it is called.
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Draw a standard normally distributed number using the Box-Muller transform.
+ * @param random A function returning uniformly distributed numbers in [0, 1).
+ */
+function randomNormal(random) {
+    return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Parse the statistics section of the simulation setup, a list of the W.I.S.E. statistics to receive at the end of
+ * every timestep, such as ["TOTAL_BURN_AREA", "ACTIVE_PERIMETER", "MAX_ROS"]. See timestepStatistics for the names.
+ * @param entries The statistics section as given in the simulation setup, may be undefined.
+ * @param errors The list to add a message to for every bad entry.
+ * @returns The names of the statistics, always with DATE_TIME and SCENARIO_NAME to know where each value belongs.
+ *          Without a statistics section only TOTAL_BURN_AREA is received.
+ */
+function parseStatistics(entries, errors) {
+    if (entries == null) {
+        entries = ["TOTAL_BURN_AREA"];
+    }
+    if (!Array.isArray(entries)) {
+        errors.push("statistics: must be a list of statistic names");
+        return [];
+    }
+    const names = [];
+    entries.forEach((entry, index) => {
+        const name = String(entry).toUpperCase();
+        if (!timestepStatistics.includes(name)) {
+            errors.push(`statistics[${index}]: "${entry}" is not a timestep statistic, use one of ${timestepStatistics.join(", ")}`);
+        }
+        else if (!names.includes(name)) {
+            names.push(name);
+        }
+    });
+    return names.concat(["DATE_TIME", "SCENARIO_NAME"].filter(name => !names.includes(name)));
+}
+
+/**
+ * Record the statistics of one timestep of a scenario, as a row of the statistics.csv file in its export folder.
+ * The timesteps are kept in received for writeStatistics, which writes them to statistics.json once the job has ended.
+ * @param outputsFolder The Outputs folder of the job, holding a folder of exports per scenario.
+ * @param args The arguments of the statisticsReceived event, with its time and statistics.
+ * @param received The timesteps received so far by scenario name, the new timestep is added to it.
+ */
+function recordStatistics(outputsFolder, args, received) {
+    const row = { received: args.time != null ? args.time.toISOString() : "" };
+    for (const stat of args.statistics) {
+        row[stat.key] = stat.value;
+    }
+    const scenarioStat = args.statistics.find(stat => String(stat.key).toUpperCase().endsWith("SCENARIO_NAME"));
+    const scenario = scenarioStat ? String(scenarioStat.value) : "job";
+    // the columns are those of the first timestep of the scenario. The row is kept before the file is written, so
+    // statistics.json still holds it if statistics.csv cannot be written
+    const first = !received[scenario];
+    if (first) {
+        received[scenario] = { columns: Object.keys(row), rows: [] };
+    }
+    received[scenario].rows.push(row);
+
+    const folder = path.join(outputsFolder, scenario);
+    fs.mkdirSync(folder, { recursive: true });
+    const csvValue = value => /[",\r\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value == null ? "" : value);
+    if (first) {
+        fs.writeFileSync(path.join(folder, "statistics.csv"), received[scenario].columns.map(csvValue).join(",") + "\n");
+    }
+    fs.appendFileSync(path.join(folder, "statistics.csv"), received[scenario].columns.map(column => csvValue(row[column])).join(",") + "\n");
+}
+
+/**
+ * Write every timestep of each scenario to the statistics.json file in its export folder.
+ * @param outputsFolder The Outputs folder of the job, holding a folder of exports per scenario.
+ * @param received The timesteps by scenario name, as recorded by recordStatistics.
+ */
+function writeStatistics(outputsFolder, received) {
+    for (const scenario of Object.keys(received)) {
+        const folder = path.join(outputsFolder, scenario);
+        fs.mkdirSync(folder, { recursive: true });
+        fs.writeFileSync(path.join(folder, "statistics.json"), JSON.stringify(received[scenario].rows, null, 4));
+    }
+}
+
+/**
+ * Write the job as it would be given to W.I.S.E. Builder, to review and diff job setups without running them: the
+ * inputs, weather stations, layers, exports and statistics of the job, and the start and end time, swept values,
+ * ignitions, weather streams, options, layers and export files of every scenario, followed by the problems
+ * prom.checkValid found. Times are written as ISO times and vertices by their latitude and longitude.
+ * @param config The configuration the job was built from, as returned by loadConfig.
+ * @param filePath The file to write the job definition to, its folder is created if needed.
+ * @param validationErrors The messages of the invalid values of the job, see validationMessages.
+ */
+function writeJobDefinition(config, filePath, validationErrors) {
+    const simulationSetup = config.setup;
+    const layerIndices = (entries, scenario) => entries.map((entry, index) => index).filter(index => appliesToScenario(entries[index], scenario));
+    const definition = {
+        setup: config.file,
+        timezone: simulationSetup.timezone ? simulationSetup.timezone.name : null,
+        inputs: simulationSetup.inputs,
+        weatherStations: config.weatherStations,
+        weatherPatches: simulationSetup.weatherPatches,
+        windGrids: simulationSetup.windGrids,
+        fuelBreaks: simulationSetup.fuelBreaks,
+        fuelPatches: simulationSetup.fuelPatches,
+        exports: config.exports,
+        statistics: simulationSetup.statistics,
+        scenarios: config.scenarios.map(scenario => ({
+            name: scenario.name,
+            startTime: scenario.ignitionTime || config.ignitionTime,
+            endTime: config.endTime,
+            values: scenario.values,
+            ignitions: scenario.ignitions || simulationSetup.ignitions,
+            // the stream file of each station, ensemble members with weather noise have perturbed copies attached to the job
+            weather: config.weatherStations.map((station, index) => scenario.weather ? `${scenario.name}_weather${index}.txt (perturbed from ${station.file})`
+                : station.filled ? `${filledWeatherName(station)} (${station.file} with its gaps filled)` : station.file),
+            options: scenarioSetupSections.concat(["burningConditionDays"]).reduce((options, section) => Object.assign(options, { [section]: scenario.setup[section] }), {}),
+            // the fuel breaks and fuel patches by their index in those of the job
+            fuelBreaks: layerIndices(simulationSetup.fuelBreaks, scenario),
+            fuelPatches: layerIndices(simulationSetup.fuelPatches, scenario),
+            fuelOptions: scenarioFuelOptions(config, scenario),
+            exports: config.exports.map(exp => exportFile(exp, scenario.name)).map(exp => ({ type: exp.type, file: exp.file, time: exp.time, endTime: exp.endTime }))
+        })),
+        valid: validationErrors.length == 0,
+        errors: validationErrors
+    };
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(definition, null, 4));
+}
+
+/**
+ * Write the manifest of the swept parameter values and ensemble samples used by each scenario.
+ * @param filePath The file to write the manifest to, its folder is created if needed.
+ * @param scenarios The scenarios returned by expandSweep.
+ */
+function writeScenarioManifest(filePath, scenarios) {
+    const manifest = {};
+    scenarios.forEach(scenario => {
+        manifest[scenario.name] = scenario.values;
+    });
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(manifest, null, 4));
+}
+
+/**
+ * Convert a single simulation setup value to the type described by its schema entry.
+ * Throws an error describing the problem if the value cannot be converted or is out of range.
+ * @param value The value from the simulation setup, either a string or an already typed JSON/YAML value.
+ * @param field The schema entry for the value.
+ * @param zone The zone a time without an offset is read in, and any other time is converted to, UTC if not given.
+ */
+function parseSetupValue(value, field, zone) {
+    if (value == null || value === "") {
+        if (field.optional) {
+            return field.default;
+        }
+        throw Error("is required");
+    }
+
+    let parsed;
+    switch (field.type) {
+        case "string":
+            parsed = String(value);
+            if (field.choices && !field.choices.includes(parsed)) {
+                throw Error(`"${value}" must be one of ${field.choices.join(", ")}`);
+            }
+            break;
+        case "boolean":
+            if (value === true || value === false) {
+                parsed = value;
+            }
+            else if (typeof value === "string" && /^(true|false)$/i.test(value)) {
+                parsed = value.toLowerCase() === "true";
+            }
+            else {
+                throw Error(`"${value}" is not true or false`);
+            }
+            break;
+        case "number":
+        case "integer":
+            parsed = parseStrictNumber(value);
+            if (field.type === "integer" && !Number.isInteger(parsed)) {
+                throw Error(`"${value}" is not a whole number`);
+            }
+            checkRange(parsed, field, value);
+            break;
+        case "time":
+            parsed = luxon_1.DateTime.fromISO(String(value), { zone: zone || luxon_1.FixedOffsetZone.utcInstance });
+            if (!parsed.isValid) {
+                throw Error(`"${value}" is not an ISO 8601 time (${parsed.invalidExplanation || parsed.invalidReason})`);
+            }
+            break;
+        case "duration":
+            parsed = parseDuration(value, field.unit);
+            checkRange(parsed.as(field.unit), field, value);
+            break;
+        case "operation": {
+            // a bare value replaces the weather, otherwise the operation is applied to it
+            const operations = ["equal", "plus", "minus", "multiply", "divide"];
+            const operation = typeof value === "object" ? String(value.operation).toLowerCase() : "equal";
+            if (!operations.includes(operation)) {
+                throw Error(`"${value.operation}" must be one of ${operations.join(", ")}`);
+            }
+            const number = parseStrictNumber(typeof value === "object" ? value.value : value);
+            if (operation === "equal") {
+                checkRange(number, field, value);
+            }
+            parsed = { operation: operation, value: number };
+            break;
+        }
+        case "latlon": {
+            const coords = (Array.isArray(value) ? value : String(value).split(',')).map(parseStrictNumber);
+            if (coords.length != 2) {
+                throw Error(`"${value}" is not a latitude,longitude pair`);
+            }
+            checkRange(coords[0], { min: -90, max: 90 }, value);
+            checkRange(coords[1], { min: -180, max: 180 }, value);
+            parsed = new index_1.globals.LatLon(coords[0], coords[1]);
+            break;
+        }
+        default:
+            throw Error(`has an unknown type ${field.type}`);
+    }
+    return parsed;
+}
+
+/**
+ * Convert a value to a number, failing for anything that is not entirely a decimal number (unlike parseFloat).
+ * @param value A number, or a string holding one.
+ */
+function parseStrictNumber(value) {
+    if (typeof value === "number" && Number.isFinite(value)) {
+        return value;
+    }
+    if (typeof value === "string" && /^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/.test(value)) {
+        return parseFloat(value);
+    }
+    throw Error(`"${value}" is not a number`);
+}
+
+/**
+ * Parse a duration given as an ISO 8601 duration (PT4M), a number in the given unit, or the legacy "minutes,seconds" form.
+ * @param value The duration to parse.
+ * @param unit The luxon unit of a duration given as a plain number.
+ * @returns A luxon Duration.
+ */
+function parseDuration(value, unit) {
+    if (typeof value === "string" && value.trim().toUpperCase().startsWith("P")) {
+        const duration = luxon_1.Duration.fromISO(value.trim().toUpperCase());
+        if (!duration.isValid) {
+            throw Error(`"${value}" is not an ISO 8601 duration`);
+        }
+        return duration;
+    }
+    if (typeof value === "string" && value.includes(",")) {
+        const parts = value.split(",").map(parseStrictNumber);
+        if (parts.length != 2) {
+            throw Error(`"${value}" is not a minutes,seconds pair`);
+        }
+        return luxon_1.Duration.fromObject({ minutes: parts[0], seconds: parts[1] });
+    }
+    return luxon_1.Duration.fromObject({ [unit]: parseStrictNumber(value) });
+}
+
+/**
+ * Throw an error if a number is outside the range given by the min and max of a schema entry.
+ * @param number The number to check.
+ * @param field The schema entry, min and max are optional and inclusive unless exclusiveMin/exclusiveMax is set.
+ * @param value The value as it was given, for the error message.
+ */
+function checkRange(number, field, value) {
+    if (field.min != null && (number < field.min || (field.exclusiveMin && number == field.min))) {
+        throw Error(`"${value}" must be ${field.exclusiveMin ? "greater than" : "at least"} ${field.min}`);
+    }
+    if (field.max != null && (number > field.max || (field.exclusiveMax && number == field.max))) {
+        throw Error(`"${value}" must be ${field.exclusiveMax ? "less than" : "at most"} ${field.max}`);
+    }
+}
+
+/**
+ * Convert a luxon Duration to a W.I.S.E. Duration.
+ * @param duration The luxon Duration to convert.
+ */
+function toWiseDuration(duration) {
+    const parts = duration.shiftTo("hours", "minutes", "seconds").toObject();
+    return index_1.globals.Duration.createTime(parts.hours, parts.minutes, Math.round(parts.seconds), false);
+}
+
+/**
+ * Get the start of every day from the day of start to the day of end, in the time zone of the job.
+ * @param start The first time.
+ * @param end The last time.
+ */
+function getAllDatesWithoutTimeBetween(start, end) {
+    // Array to store all the dates
+    const dates = [];
+
+    // days are counted in the job's time zone, not UTC, so a date does not shift when the offset crosses midnight UTC
+    for (let currentDate = start.startOf("day"); currentDate <= end; currentDate = currentDate.plus({ days: 1 })) {
+        dates.push(currentDate);
+    }
+
+    return dates;
+}
+
+exports.exitCodes = exitCodes;
+exports.exportRegistry = exportRegistry;
+exports.loadConfig = loadConfig;
+exports.parseExport = parseExport;
+exports.expandSweep = expandSweep;
+exports.expandEnsemble = expandEnsemble;
+exports.checkWeatherStations = checkWeatherStations;
+exports.buildJob = buildJob;
+exports.addExports = addExports;
+exports.runJob = runJob;
+exports.configureServer = configureServer;
+exports.clipExports = clipExports;
+exports.readProjection = readProjection;
+exports.collectResults = collectResults;
+exports.writeJobDefinition = writeJobDefinition;
+exports.writeScenarioManifest = writeScenarioManifest;
+exports.recordStatistics = recordStatistics;
+exports.writeStatistics = writeStatistics;
+
+if (require.main === module) {
+    // W.I.S.E. Builder or the MQTT broker cannot be reached, or the job cannot be built or written
+    runCommandLine(process.argv.slice(2)).catch(e => {
+        console.error(e.message);
+        process.exit(exitCodes.configError);
+    });
+}
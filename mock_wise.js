@@ -0,0 +1,521 @@
+/**
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+"use strict";
+/**
+ * A stand-in for W.I.S.E. Builder and the MQTT broker of W.I.S.E. Manager, to run job_fromc_sharp.js without W.I.S.E.
+ * It plays a script of validation results, statistics and scenario results for every job it is given.
+ *
+ * Example Usage:
+ * node mock_wise.js failing_scenario.json --builder-port 32479 --mqtt-port 1883 --jobs C:/jobs
+ * node job_fromc_sharp.js --wait --builder 127.0.0.1:32479 --mqtt 127.0.0.1:1883 --jobs C:/jobs -BG bg 2001-10-16T21:00:00
+ *
+ * Command Line Input Expectations:
+ * - The optional first argument is a JSON file of the script to play, its keys are those of defaultScript.
+ * - Options:
+ *      --builder-port [port]: The port to accept W.I.S.E. Builder connections on, defaults to 32479.
+ *      --mqtt-port [port]: The port of the MQTT broker, defaults to 1883.
+ *      --topic [topic]: The MQTT topic the messages are published under, defaults to wise.
+ *      --jobs [folder]: The jobs directory the job folders are created in, defaults to C:/jobs.
+ *
+ * W.I.S.E. Builder:
+ * - Commands are read one per line. STARTUP is answered with READY, and GETDEFAULTS with the defaults of the script
+ *      as JSON before the connection is closed. SHUTDOWN closes the connection.
+ * - A job is sent as BEGINDATA, its data and ENDDATA, followed by the command that starts or validates it. It is
+ *      answered with COMPLETE and the name of the new job on the next line. The folder of the job is created in the
+ *      jobs directory with the data in job.fgmj and an empty Outputs folder.
+ *
+ * MQTT broker:
+ * - An MQTT 3.1.1 broker without retained messages, wills or persistent sessions, which delivers every message at QoS 0.
+ *      Any username and password is accepted.
+ * - The first time a client subscribes after a job was submitted the script is played for that job, each message
+ *      published to [topic]/[job name]/manager/[type] with a JSON payload, see mqttMessages:
+ *      validate: the validation of the script. The job then waits to be rerun, by any message a client publishes that
+ *          names the job, unless the validation is null, when it runs right away, or the job is not valid.
+ *      statistics: timesteps messages for each scenario in turn, with the statistics of the script, SCENARIO_NAME and DATE_TIME.
+ *      status: ScenarioCompleted, or ScenarioFailed for the scenarios of failedScenarios, after the statistics of each
+ *          scenario, then Complete.
+ *
+ * Versions:
+ * - Neither protocol was recorded from W.I.S.E. Builder 1.0.6-beta.5 and W.I.S.E. Manager 0.6.beta.5, the versions
+ *      Program.cs starts, or checked against the W.I.S.E. JS API. They are what job_fromc_sharp.js needs of a job's
+ *      progress, so a job that runs against the mock checks the script, not that W.I.S.E. will accept it.
+ *      test/mock_wise.test.js pins the bytes the mock sends and accepts.
+ */
+
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+
+// what the mock answers and publishes for the keys a script leaves out
+const defaultScript = {
+    defaults: {},                                                   // the job defaults sent for GETDEFAULTS
+    validation: { success: true, valid: true, error_list: [] },     // the validation of the FGM, null to run without one
+    scenarios: ["scen0"],                                           // the names of the scenarios of the job
+    failedScenarios: {},                                            // the error message of each scenario that fails, by name
+    timesteps: 3,                                                   // the statistics messages of each scenario
+    statistics: ["TOTAL_BURN_AREA"],                                // the statistics of each timestep, besides SCENARIO_NAME and DATE_TIME
+    startTime: "2001-10-16T13:00:00-05:00",                         // the time of the first timestep, the others follow an hour apart
+    simulationComplete: true,                                       // false to end without the Complete status
+    delay: 20                                                       // the milliseconds between messages
+};
+
+// the messages published for a job, each as the type at the end of its topic and its payload
+const mqttMessages = {
+    validation: validation => ({ type: "validate", payload: validation }),
+    statistics: (time, statistics) => ({ type: "statistics", payload: { time: time, statistics: statistics } }),
+    scenarioComplete: (scenario, time, error) => ({
+        type: "status",
+        payload: error == null ? { status: "ScenarioCompleted", message: scenario, time: time } : { status: "ScenarioFailed", message: `${scenario}: ${error}`, time: time }
+    }),
+    simulationComplete: time => ({ type: "status", payload: { status: "Complete", time: time } })
+};
+
+/**
+ * Collect the positional arguments and --name value options from the command line arguments.
+ * @param args The command line arguments, without the node executable and script name.
+ */
+function readArguments(args) {
+    const parsed = { positional: [], options: {} };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith("--")) {
+            parsed.options[args[i]] = (i + 1 < args.length && !args[i + 1].startsWith("--")) ? args[++i] : true;
+        }
+        else {
+            parsed.positional.push(args[i]);
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Start a server and wait for it to listen.
+ * @param server The server to start.
+ * @param port The port to listen on, 0 for any free port.
+ * @returns The port the server listens on.
+ */
+function listen(server, port) {
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, "127.0.0.1", () => {
+            server.removeListener("error", reject);
+            resolve(server.address().port);
+        });
+    });
+}
+
+/**
+ * Start the stand-in for W.I.S.E. Builder and the MQTT broker.
+ * @param options The script to play (see defaultScript), the builderPort and mqttPort to listen on (any free port if
+ *          not given), the MQTT topic (wise if not given), the jobsFolder to create the job folders in, and a log
+ *          function for what the mock receives and sends.
+ * @returns The mock, with the ports it listens on, the jobs it was given, the messages clients published, and close
+ *          to stop it.
+ */
+async function startMockWise(options) {
+    if (!options.jobsFolder) {
+        throw Error("The mock needs a jobs folder to create the job folders in");
+    }
+    const mock = {
+        script: Object.assign({}, defaultScript, options.script),
+        topic: options.topic || "wise",
+        jobsFolder: options.jobsFolder,
+        log: options.log || (() => { }),
+        jobs: [],
+        published: [],
+        clients: new Set(),
+        sockets: new Set(),
+        timers: new Set()
+    };
+    const accept = serve => socket => {
+        mock.sockets.add(socket);
+        socket.on("close", () => mock.sockets.delete(socket));
+        socket.on("error", () => socket.destroy());
+        serve(mock, socket);
+    };
+    const builder = net.createServer(accept(acceptBuilder));
+    const broker = net.createServer(accept(acceptMqtt));
+    mock.builderPort = await listen(builder, options.builderPort || 0);
+    mock.mqttPort = await listen(broker, options.mqttPort || 0);
+
+    mock.close = () => {
+        mock.timers.forEach(timer => clearTimeout(timer));
+        mock.sockets.forEach(socket => socket.destroy());
+        return Promise.all([builder, broker].map(server => new Promise(resolve => server.close(() => resolve()))));
+    };
+    return mock;
+}
+
+/**
+ * Serve a connection to W.I.S.E. Builder, see the header of this file.
+ * @param mock The mock, as returned by startMockWise.
+ * @param socket The connection.
+ */
+function acceptBuilder(mock, socket) {
+    let buffer = Buffer.alloc(0);
+    let reading = false;        // true between BEGINDATA and ENDDATA
+    let data = null;            // the data of the last job, until its command is received
+
+    socket.on("data", chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length > 0) {
+            if (reading) {
+                // the data may be binary, so only ENDDATA at the start of a line ends it
+                let end = buffer.indexOf("ENDDATA");
+                while (end > 0 && buffer[end - 1] !== 0x0a) {
+                    end = buffer.indexOf("ENDDATA", end + 1);
+                }
+                const lineEnd = end < 0 ? -1 : buffer.indexOf("\n", end);
+                if (lineEnd < 0) {
+                    return;
+                }
+                data = buffer.subarray(0, end);
+                buffer = buffer.subarray(lineEnd + 1);
+                reading = false;
+                continue;
+            }
+            const lineEnd = buffer.indexOf("\n");
+            if (lineEnd < 0) {
+                return;
+            }
+            const command = buffer.subarray(0, lineEnd).toString().trim();
+            buffer = buffer.subarray(lineEnd + 1);
+            if (command.length == 0) {
+                continue;
+            }
+            mock.log(`Builder received ${command}`);
+            if (command === "STARTUP") {
+                socket.write("READY\n");
+            }
+            else if (command === "GETDEFAULTS") {
+                socket.end(JSON.stringify(mock.script.defaults) + "\n");
+            }
+            else if (command === "BEGINDATA") {
+                reading = true;
+            }
+            else if (command === "SHUTDOWN") {
+                socket.end();
+            }
+            else if (data) {
+                const name = submitJob(mock, data, command);
+                data = null;
+                socket.write(`COMPLETE\n${name}\n`);
+            }
+            else {
+                socket.write(`ERROR\nUnknown command ${command}\n`);
+            }
+        }
+    });
+}
+
+/**
+ * Create the folder of a job submitted to W.I.S.E. Builder, named job_ and the time it was submitted.
+ * @param mock The mock, as returned by startMockWise.
+ * @param data The data of the job, as it was sent.
+ * @param command The command the job was sent with.
+ * @returns The name of the job.
+ */
+function submitJob(mock, data, command) {
+    const now = new Date();
+    const stamp = [now.getFullYear(), now.getMonth() + 1, now.getDate(), now.getHours(), now.getMinutes(), now.getSeconds()]
+        .map(value => String(value).padStart(2, "0")).join("") + String(now.getMilliseconds()).padStart(3, "0");
+    let name = "job_" + stamp;
+    for (let index = 1; mock.jobs.some(job => job.name === name); index++) {
+        name = `job_${stamp}_${index}`;
+    }
+    fs.mkdirSync(path.join(mock.jobsFolder, name, "Outputs"), { recursive: true });
+    fs.writeFileSync(path.join(mock.jobsFolder, name, "job.fgmj"), data);
+    mock.jobs.push({ name: name, command: command, data: data, played: false, awaitingRerun: false });
+    mock.log(`Created ${name}`);
+    return name;
+}
+
+/**
+ * Read an MQTT control packet from the start of a buffer.
+ * @param buffer The bytes received so far.
+ * @returns The packet type, flags, body and length in bytes, or null if the whole packet has not been received.
+ */
+function readPacket(buffer) {
+    let length = 0;
+    let offset = 1;
+    for (let multiplier = 1; ; multiplier *= 128) {
+        if (offset >= buffer.length) {
+            return null;
+        }
+        const byte = buffer[offset++];
+        length += (byte & 0x7f) * multiplier;
+        if (!(byte & 0x80)) {
+            break;
+        }
+    }
+    if (buffer.length < offset + length) {
+        return null;
+    }
+    return { type: buffer[0] >> 4, flags: buffer[0] & 0x0f, body: buffer.subarray(offset, offset + length), length: offset + length };
+}
+
+/**
+ * Send an MQTT control packet.
+ * @param socket The connection to send it on.
+ * @param type The packet type.
+ * @param flags The flags of the fixed header.
+ * @param body The variable header and payload.
+ */
+function writePacket(socket, type, flags, body) {
+    const header = [(type << 4) | flags];
+    let length = body.length;
+    do {
+        const byte = length % 128;
+        length = Math.floor(length / 128);
+        header.push(length > 0 ? byte | 0x80 : byte);
+    } while (length > 0);
+    socket.write(Buffer.concat([Buffer.from(header), body]));
+}
+
+/**
+ * Encode a string as MQTT does, prefixed by its length.
+ * @param text The string.
+ */
+function mqttString(text) {
+    const bytes = Buffer.from(text);
+    return Buffer.concat([Buffer.from([bytes.length >> 8, bytes.length & 0xff]), bytes]);
+}
+
+/**
+ * Get whether a topic matches a subscription, which may hold the + and # wildcards.
+ * @param filter The topic filter of the subscription.
+ * @param topic The topic of a message.
+ */
+function topicMatches(filter, topic) {
+    const filterLevels = filter.split("/");
+    const topicLevels = topic.split("/");
+    for (let i = 0; i < filterLevels.length; i++) {
+        if (filterLevels[i] === "#") {
+            return true;
+        }
+        if (i >= topicLevels.length || (filterLevels[i] !== "+" && filterLevels[i] !== topicLevels[i])) {
+            return false;
+        }
+    }
+    return filterLevels.length == topicLevels.length;
+}
+
+/**
+ * Serve a connection to the MQTT broker.
+ * @param mock The mock, as returned by startMockWise.
+ * @param socket The connection.
+ */
+function acceptMqtt(mock, socket) {
+    const client = { socket: socket, id: null, subscriptions: [] };
+    mock.clients.add(client);
+    let buffer = Buffer.alloc(0);
+
+    socket.on("close", () => mock.clients.delete(client));
+    socket.on("data", chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        let packet;
+        while ((packet = readPacket(buffer)) != null) {
+            buffer = buffer.subarray(packet.length);
+            handlePacket(mock, client, packet);
+        }
+    });
+}
+
+/**
+ * Handle an MQTT control packet sent by a client.
+ * @param mock The mock, as returned by startMockWise.
+ * @param client The client that sent it.
+ * @param packet The packet, as returned by readPacket.
+ */
+function handlePacket(mock, client, packet) {
+    const body = packet.body;
+    switch (packet.type) {
+        // CONNECT, the client identifier follows the protocol name, level, flags and keep alive
+        case 1: {
+            const nameLength = body.readUInt16BE(0);
+            const idOffset = 2 + nameLength + 4;
+            client.id = body.subarray(idOffset + 2, idOffset + 2 + body.readUInt16BE(idOffset)).toString();
+            mock.log(`MQTT client ${client.id} connected`);
+            writePacket(client.socket, 2, 0, Buffer.from([0, 0]));
+            break;
+        }
+        // PUBLISH, acknowledged as its QoS requires
+        case 3: {
+            const qos = (packet.flags >> 1) & 3;
+            const topicLength = body.readUInt16BE(0);
+            const topic = body.subarray(2, 2 + topicLength).toString();
+            let offset = 2 + topicLength;
+            if (qos > 0) {
+                writePacket(client.socket, qos == 1 ? 4 : 5, 0, body.subarray(offset, offset + 2));
+                offset += 2;
+            }
+            receiveMessage(mock, topic, body.subarray(offset));
+            break;
+        }
+        // PUBREL
+        case 6:
+            writePacket(client.socket, 7, 0, body.subarray(0, 2));
+            break;
+        // SUBSCRIBE, every subscription is granted QoS 0
+        case 8: {
+            const granted = [];
+            for (let offset = 2; offset < body.length;) {
+                const length = body.readUInt16BE(offset);
+                client.subscriptions.push(body.subarray(offset + 2, offset + 2 + length).toString());
+                offset += 2 + length + 1;
+                granted.push(0);
+            }
+            writePacket(client.socket, 9, 0, Buffer.concat([body.subarray(0, 2), Buffer.from(granted)]));
+            mock.log(`MQTT client ${client.id} subscribed to ${client.subscriptions.join(", ")}`);
+            mock.jobs.filter(job => !job.played).forEach(job => playValidation(mock, job));
+            break;
+        }
+        // UNSUBSCRIBE
+        case 10: {
+            for (let offset = 2; offset < body.length;) {
+                const length = body.readUInt16BE(offset);
+                const filter = body.subarray(offset + 2, offset + 2 + length).toString();
+                client.subscriptions = client.subscriptions.filter(subscription => subscription !== filter);
+                offset += 2 + length;
+            }
+            writePacket(client.socket, 11, 0, body.subarray(0, 2));
+            break;
+        }
+        // PINGREQ
+        case 12:
+            writePacket(client.socket, 13, 0, Buffer.alloc(0));
+            break;
+        // DISCONNECT
+        case 14:
+            client.socket.end();
+            break;
+    }
+}
+
+/**
+ * Deliver a message to every client subscribed to its topic.
+ * @param mock The mock, as returned by startMockWise.
+ * @param topic The topic of the message.
+ * @param payload The payload of the message.
+ */
+function deliver(mock, topic, payload) {
+    const packet = Buffer.concat([mqttString(topic), payload]);
+    mock.clients.forEach(client => {
+        if (client.subscriptions.some(filter => topicMatches(filter, topic))) {
+            writePacket(client.socket, 3, 0, packet);
+        }
+    });
+}
+
+/**
+ * Deliver a message a client published, and run the job it names if the job is waiting to be rerun.
+ * @param mock The mock, as returned by startMockWise.
+ * @param topic The topic of the message.
+ * @param payload The payload of the message.
+ */
+function receiveMessage(mock, topic, payload) {
+    mock.published.push({ topic: topic, payload: payload.toString() });
+    mock.log(`MQTT received ${topic}: ${payload.toString()}`);
+    deliver(mock, topic, payload);
+    mock.jobs.filter(job => job.awaitingRerun && (topic + payload.toString()).includes(job.name)).forEach(job => {
+        job.awaitingRerun = false;
+        playRun(mock, job);
+    });
+}
+
+/**
+ * Publish the validation of a job, or run it if the script has no validation.
+ * @param mock The mock, as returned by startMockWise.
+ * @param job The job, as created by submitJob.
+ */
+function playValidation(mock, job) {
+    job.played = true;
+    const validation = mock.script.validation;
+    if (validation == null) {
+        playRun(mock, job);
+        return;
+    }
+    publishMessages(mock, job, [mqttMessages.validation(validation)]);
+    job.awaitingRerun = validation.success && validation.valid;
+}
+
+/**
+ * Publish the statistics and results of every scenario of a job, then that the simulation is complete.
+ * @param mock The mock, as returned by startMockWise.
+ * @param job The job, as created by submitJob.
+ */
+function playRun(mock, job) {
+    const script = mock.script;
+    const start = new Date(script.startTime).getTime();
+    const messages = [];
+    let time = new Date(start).toISOString();
+    script.scenarios.forEach(scenario => {
+        for (let step = 0; step < script.timesteps; step++) {
+            time = new Date(start + step * 3600000).toISOString();
+            const statistics = script.statistics.map((key, index) => ({ key: key, value: (step + 1) * (index + 1) * 10 }))
+                .concat([{ key: "DATE_TIME", value: time }, { key: "SCENARIO_NAME", value: scenario }]);
+            messages.push(mqttMessages.statistics(time, statistics));
+        }
+        messages.push(mqttMessages.scenarioComplete(scenario, time, script.failedScenarios[scenario]));
+    });
+    if (script.simulationComplete) {
+        messages.push(mqttMessages.simulationComplete(time));
+    }
+    publishMessages(mock, job, messages);
+}
+
+/**
+ * Publish the messages of a job one after the other, the delay of the script apart.
+ * @param mock The mock, as returned by startMockWise.
+ * @param job The job, as created by submitJob.
+ * @param messages The messages, as returned by the functions of mqttMessages.
+ */
+function publishMessages(mock, job, messages) {
+    if (messages.length == 0) {
+        return;
+    }
+    const timer = setTimeout(() => {
+        mock.timers.delete(timer);
+        const topic = `${mock.topic}/${job.name}/manager/${messages[0].type}`;
+        mock.log(`MQTT published ${topic}: ${JSON.stringify(messages[0].payload)}`);
+        deliver(mock, topic, Buffer.from(JSON.stringify(messages[0].payload)));
+        publishMessages(mock, job, messages.slice(1));
+    }, mock.script.delay);
+    mock.timers.add(timer);
+}
+
+exports.defaultScript = defaultScript;
+exports.startMockWise = startMockWise;
+
+if (require.main === module) {
+    const args = readArguments(process.argv.slice(2));
+    if (args.positional.length > 1) {
+        console.error("Usage: node mock_wise.js [script file] [--builder-port port] [--mqtt-port port] [--topic topic] [--jobs folder]");
+        process.exit(1);
+    }
+    let script = {};
+    try {
+        script = args.positional.length > 0 ? JSON.parse(fs.readFileSync(args.positional[0], 'utf8')) : {};
+    } catch (e) {
+        console.error(`Cannot read the script ${args.positional[0]}: ${e.message}`);
+        process.exit(1);
+    }
+    startMockWise({
+        script: script,
+        builderPort: Number(args.options["--builder-port"] || 32479),
+        mqttPort: Number(args.options["--mqtt-port"] || 1883),
+        topic: args.options["--topic"],
+        jobsFolder: args.options["--jobs"] || "C:/jobs",
+        log: message => console.log(message)
+    }).then(mock => {
+        console.log(`W.I.S.E. Builder on port ${mock.builderPort} and the MQTT broker on port ${mock.mqttPort}, press Ctrl+C to stop`);
+    }).catch(e => {
+        console.error(e.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,138 @@
+/**
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+"use strict";
+/**
+ * Combines the exports of scenarios written to a new folder in the temporary directory with aggregate_results.js.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test } = require("node:test");
+const aggregate_results_1 = require("../aggregate_results");
+const geotiff_1 = require("../geotiff");
+
+const NODATA = -9999;
+
+/**
+ * Run a test with a new Outputs folder, which is removed afterwards.
+ * @param body The test, given the Outputs folder.
+ */
+function withOutputsFolder(body) {
+    const outputsFolder = fs.mkdtempSync(path.join(os.tmpdir(), "wise_aggregate_"));
+    try {
+        return body(outputsFolder);
+    } finally {
+        fs.rmSync(outputsFolder, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Write a grid of one row of 100 m cells as an export of a scenario.
+ * @param filePath The GeoTIFF to write, its folder is created if needed.
+ * @param values The values of the cells.
+ * @param x The map coordinate of the left edge of the grid, 600000 if not given.
+ */
+function writeGrid(filePath, values, x) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const grid = { width: values.length, height: 1, tags: { 33550: { type: 12, values: [100, 100, 0] }, 33922: { type: 12, values: [0, 0, 0, x || 600000, 5720100, 0] } } };
+    geotiff_1.writeGeoTiff(filePath, grid, values, NODATA);
+}
+
+/**
+ * Read the cells of a GeoTIFF written by aggregateResults.
+ * @param folder The folder it was written to.
+ * @param name The name of the file.
+ */
+function readCells(folder, name) {
+    return Array.from(geotiff_1.readGeoTiff(path.join(folder, name)).data);
+}
+
+test("aggregateResults writes the burn probability, arrival time statistics and ROS exceedance probability", () => withOutputsFolder(outputsFolder => {
+    const scenarios = { scen0: {}, scen1: {}, scen2: {} };
+    fs.writeFileSync(path.join(outputsFolder, "scenarios.json"), JSON.stringify(scenarios));
+    const burned = { scen0: [1, 0, 0], scen1: [1, 1, 0], scen2: [1, 1, NODATA] };
+    const arrival = { scen0: [10, NODATA, NODATA], scen1: [20, 40, NODATA], scen2: [30, 60, NODATA] };
+    const ros = { scen0: [5, 0, 0], scen1: [12, 8, 0], scen2: [10, 11, 0] };
+    for (const scenario of Object.keys(scenarios)) {
+        // the latest of the burn grids is used
+        writeGrid(path.join(outputsFolder, scenario, `bg_${scenario}_20011016_1500.tif`), [0, 0, 0]);
+        writeGrid(path.join(outputsFolder, scenario, `bg_${scenario}_20011016_1600.tif`), burned[scenario]);
+        writeGrid(path.join(outputsFolder, scenario, "AT.tif"), arrival[scenario]);
+        writeGrid(path.join(outputsFolder, scenario, `ros_${scenario}.tif`), ros[scenario]);
+    }
+
+    const outFolder = path.join(outputsFolder, "aggregate");
+    const written = aggregate_results_1.aggregateResults(outputsFolder, { "--bg": "bg_{scenario}_{time}", "--ros": "ros_{scenario}.tif", "--ros-threshold": "10" });
+    assert.deepStrictEqual(written.map(file => path.basename(file)), ["burn_probability.tif", "arrival_time_mean.tif", "arrival_time_min.tif",
+        "arrival_time_max.tif", "arrival_time_p10.tif", "arrival_time_p50.tif", "arrival_time_p90.tif", "ros_exceedance_probability.tif"]);
+    assert.deepStrictEqual(readCells(outFolder, "burn_probability.tif"), [1, Math.fround(2 / 3), 0]);
+    assert.deepStrictEqual(readCells(outFolder, "arrival_time_mean.tif"), [20, 50, NODATA]);
+    assert.deepStrictEqual(readCells(outFolder, "arrival_time_min.tif"), [10, 40, NODATA]);
+    assert.deepStrictEqual(readCells(outFolder, "arrival_time_max.tif"), [30, 60, NODATA]);
+    // interpolated between the closest ranks of the scenarios that reached the cell
+    assert.deepStrictEqual(readCells(outFolder, "arrival_time_p10.tif"), [12, 42, NODATA]);
+    assert.deepStrictEqual(readCells(outFolder, "arrival_time_p50.tif"), [20, 50, NODATA]);
+    assert.deepStrictEqual(readCells(outFolder, "arrival_time_p90.tif"), [28, 58, NODATA]);
+    assert.deepStrictEqual(readCells(outFolder, "ros_exceedance_probability.tif"), [Math.fround(2 / 3), Math.fround(1 / 3), 0]);
+    assert.deepStrictEqual(geotiff_1.getGridExtent(geotiff_1.readGeoTiff(written[0])), { x: 600000, y: 5720100, dx: 100, dy: 100 });
+
+    assert.throws(() => aggregate_results_1.aggregateResults(outputsFolder, { "--bg": "bg_{day}" }), /The filename "bg_\{day\}" has the unknown token \{day\}/);
+    assert.throws(() => aggregate_results_1.aggregateResults(outputsFolder, {}), /The scenario in .*scen0 has no BG export, give its filename with --bg/);
+}));
+
+test("aggregateResults takes the exports of a results folder from its manifest", () => withOutputsFolder(resultsFolder => {
+    const files = [];
+    for (const [scenario, cells] of [["scen0", [1, 0]], ["scen1", [1, 1]]]) {
+        writeGrid(path.join(resultsFolder, scenario, "burn.tif"), cells);
+        writeGrid(path.join(resultsFolder, scenario, "arrival_early.tif"), [NODATA, NODATA]);
+        writeGrid(path.join(resultsFolder, scenario, "arrival.tif"), cells.map(cell => cell ? 30 : NODATA));
+        files.push({ file: `${scenario}/burn.tif`, type: "BG", scenario: scenario, time: "2001-10-16T16:00:00.000-05:00" },
+            { file: `${scenario}/arrival.tif`, type: "AT", scenario: scenario, time: "2001-10-16T16:00:00.000-05:00" },
+            { file: `${scenario}/arrival_early.tif`, type: "AT", scenario: scenario, time: "2001-10-16T15:00:00.000-05:00" });
+    }
+    fs.writeFileSync(path.join(resultsFolder, "manifest.json"), JSON.stringify({ job: "job_1", files: files, missing: [] }));
+
+    const outFolder = path.join(resultsFolder, "aggregate");
+    aggregate_results_1.aggregateResults(resultsFolder, { "--percentiles": "50" });
+    assert.deepStrictEqual(readCells(outFolder, "burn_probability.tif"), [1, 0.5]);
+    assert.deepStrictEqual(readCells(outFolder, "arrival_time_p50.tif"), [30, 30]);
+}));
+
+test("aggregateResults leaves the arrival times outside the burned area out of the statistics", () => withOutputsFolder(outputsFolder => {
+    // W.I.S.E. may give an arrival time to cells the burn grid does not count as burned
+    for (const [scenario, burned, arrival] of [["scen0", [1, 0, 0], [10, 15, 20]], ["scen1", [1, 1, 0], [30, 40, 50]]]) {
+        writeGrid(path.join(outputsFolder, scenario, "BG.tif"), burned);
+        writeGrid(path.join(outputsFolder, scenario, "AT.tif"), arrival);
+    }
+
+    const outFolder = path.join(outputsFolder, "aggregate");
+    aggregate_results_1.aggregateResults(outputsFolder, { "--percentiles": "50" });
+    assert.deepStrictEqual(readCells(outFolder, "burn_probability.tif"), [1, 0.5, 0]);
+    assert.deepStrictEqual(readCells(outFolder, "arrival_time_mean.tif"), [20, 40, NODATA]);
+    assert.deepStrictEqual(readCells(outFolder, "arrival_time_min.tif"), [10, 40, NODATA]);
+    assert.deepStrictEqual(readCells(outFolder, "arrival_time_max.tif"), [30, 40, NODATA]);
+    assert.deepStrictEqual(readCells(outFolder, "arrival_time_p50.tif"), [20, 40, NODATA]);
+}));
+
+test("aggregateResults refuses exports that are not on the same grid", () => withOutputsFolder(outputsFolder => {
+    for (const scenario of ["scen0", "scen1"]) {
+        writeGrid(path.join(outputsFolder, scenario, "BG.tif"), [1, 0]);
+        writeGrid(path.join(outputsFolder, scenario, "AT.tif"), [10, NODATA]);
+    }
+    // the same size, a cell further east
+    writeGrid(path.join(outputsFolder, "scen1", "BG.tif"), [1, 0], 600100);
+    assert.throws(() => aggregate_results_1.aggregateResults(outputsFolder, {}),
+        /scen1[\\/]BG\.tif is 2x1 cells of 100x100 from 600100,5720100 but .*scen0[\\/]BG\.tif is 2x1 cells of 100x100 from 600000,5720100/);
+
+    writeGrid(path.join(outputsFolder, "scen1", "BG.tif"), [1, 0]);
+    writeGrid(path.join(outputsFolder, "scen0", "AT.tif"), [10, NODATA], 599900);
+    writeGrid(path.join(outputsFolder, "scen1", "AT.tif"), [10, NODATA], 599900);
+    assert.throws(() => aggregate_results_1.aggregateResults(outputsFolder, {}), /AT\.tif is 2x1 cells of 100x100 from 599900,5720100 but the burn grids are 2x1 cells of 100x100 from 600000,5720100/);
+}));
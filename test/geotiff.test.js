@@ -0,0 +1,122 @@
+/**
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+"use strict";
+/**
+ * Tests of geotiff.js, on grids built in the tests and written to a new folder in the temporary directory.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { test } = require("node:test");
+const geotiff_1 = require("../geotiff");
+
+/**
+ * A grid like those returned by readGeoTiff, georeferenced by a pixel scale and tiepoint.
+ * @param width The number of columns.
+ * @param height The number of rows.
+ * @param x The map coordinate of the left edge.
+ * @param y The map coordinate of the top edge.
+ * @param cellSize The size of a cell.
+ * @returns The grid, with the index of each cell as its value.
+ */
+function createGrid(width, height, x, y, cellSize) {
+    return {
+        width: width,
+        height: height,
+        data: Float64Array.from({ length: width * height }, (value, index) => index),
+        nodata: -9999,
+        tags: { 33550: { type: 12, values: [cellSize, cellSize, 0] }, 33922: { type: 12, values: [0, 0, 0, x, y, 0] } }
+    };
+}
+
+/**
+ * Run a test with a new folder, which is removed afterwards.
+ * @param body The test, given the folder.
+ */
+function withFolder(body) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), "wise_geotiff_"));
+    try {
+        return body(folder);
+    } finally {
+        fs.rmSync(folder, { recursive: true, force: true });
+    }
+}
+
+test("writeGeoTiff writes a grid that readGeoTiff reads back with its georeferencing", () => withFolder(folder => {
+    // tall enough to be written in several strips
+    const grid = createGrid(300, 120, 600000, 5732000, 100);
+    grid.data[7] = 0.1;
+    grid.data[8] = -9999;
+    const filePath = path.join(folder, "grid.tif");
+    geotiff_1.writeGeoTiff(filePath, grid, grid.data, grid.nodata);
+
+    const read = geotiff_1.readGeoTiff(filePath);
+    assert.deepStrictEqual([read.width, read.height, read.nodata], [300, 120, -9999]);
+    assert.ok(read.tags[273].values.length > 1, "the grid was written in a single strip");
+    // the cells are written as 32 bit floats
+    assert.deepStrictEqual(read.data, grid.data.map(Math.fround));
+    assert.deepStrictEqual(read.sampleFormat, { format: 3, bits: 32 });
+    assert.deepStrictEqual(read.tags[33550], grid.tags[33550]);
+    assert.deepStrictEqual(read.tags[33922], grid.tags[33922]);
+
+    // a cropped grid is written and read back the same way
+    const block = geotiff_1.cropGrid(read, 2, 1, 4, 3);
+    geotiff_1.writeGeoTiff(filePath, block, block.data, block.nodata);
+    const cropped = geotiff_1.readGeoTiff(filePath);
+    assert.deepStrictEqual(Array.from(cropped.data), [302, 303, 304, 305, 602, 603, 604, 605, 902, 903, 904, 905]);
+    assert.deepStrictEqual(geotiff_1.getGridExtent(cropped), { x: 600200, y: 5731900, dx: 100, dy: 100 });
+}));
+
+test("readGeoTiff reads a big endian Deflate compressed grid of 16 bit integers with a horizontal predictor", () => withFolder(folder => {
+    const values = [-5, 0, 7, 100, -200, 300];
+    // each row holds the first value then the difference from the previous one
+    const image = Buffer.alloc(values.length * 2);
+    values.forEach((value, index) => image.writeInt16BE(index % 3 == 0 ? value : (value - values[index - 1]) << 16 >> 16, index * 2));
+    const strip = zlib.deflateSync(image);
+    const tags = [[256, 3, 3], [257, 3, 2], [258, 3, 16], [259, 3, 8], [262, 3, 1], [273, 4, 146], [277, 3, 1], [278, 3, 2],
+        [279, 4, strip.length], [317, 3, 2], [339, 3, 2]];
+    const header = Buffer.alloc(146);
+    header.write("MM", 0, "latin1");
+    header.writeUInt16BE(42, 2);
+    header.writeUInt32BE(8, 4);
+    header.writeUInt16BE(tags.length, 8);
+    tags.forEach(([number, type, value], index) => {
+        const entry = 10 + index * 12;
+        header.writeUInt16BE(number, entry);
+        header.writeUInt16BE(type, entry + 2);
+        header.writeUInt32BE(1, entry + 4);
+        type == 3 ? header.writeUInt16BE(value, entry + 8) : header.writeUInt32BE(value, entry + 8);
+    });
+    const filePath = path.join(folder, "grid.tif");
+    fs.writeFileSync(filePath, Buffer.concat([header, strip]));
+
+    const grid = geotiff_1.readGeoTiff(filePath);
+    assert.deepStrictEqual([grid.width, grid.height, Array.from(grid.data), grid.nodata], [3, 2, values, null]);
+    assert.strictEqual(geotiff_1.getGridExtent(grid), null);
+
+    // written back in the sample format it was read in, rather than as 32 bit floats
+    geotiff_1.writeGeoTiff(filePath, grid, grid.data, null, grid.sampleFormat);
+    const written = geotiff_1.readGeoTiff(filePath);
+    assert.deepStrictEqual([Array.from(written.data), written.sampleFormat], [values, { format: 2, bits: 16 }]);
+    assert.deepStrictEqual(written.tags[279].values, [values.length * 2]);
+}));
+
+test("cropGrid keeps a block of cells and moves the tiepoint to its top left corner", () => {
+    const grid = createGrid(5, 4, 600000, 5720400, 100);
+    const cropped = geotiff_1.cropGrid(grid, 1, 2, 3, 2);
+    assert.deepStrictEqual([cropped.width, cropped.height, Array.from(cropped.data), cropped.nodata], [3, 2, [11, 12, 13, 16, 17, 18], -9999]);
+    assert.deepStrictEqual(geotiff_1.getGridExtent(cropped), { x: 600100, y: 5720200, dx: 100, dy: 100 });
+    // the grid cropped is left as it was
+    assert.deepStrictEqual(geotiff_1.getGridExtent(grid), { x: 600000, y: 5720400, dx: 100, dy: 100 });
+
+    assert.throws(() => geotiff_1.cropGrid(grid, 3, 0, 3, 1), /3x1 cells from column 3, row 0 is not within the 5x4 grid/);
+    assert.throws(() => geotiff_1.cropGrid(Object.assign({}, grid, { tags: {} }), 0, 0, 1, 1), /no pixel scale and tiepoint/);
+});
@@ -0,0 +1,68 @@
+/**
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+"use strict";
+/**
+ * The inputs of a small job that the tests build and run, written to a new folder in the temporary directory.
+ */
+
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Create a jobs directory with the inputs of a small job in its test folder: a 4 by 4 cell fuel map and elevation grid,
+ * a fuel lookup table, two days of hourly weather and the simulation setup.
+ * @param sections Sections to add to or replace in the simulation setup.
+ * @returns The jobs directory.
+ */
+function createJobsFolder(sections) {
+    const jobsFolder = fs.mkdtempSync(path.join(os.tmpdir(), "wise_test_"));
+    const testFolder = path.join(jobsFolder, "test");
+    fs.mkdirSync(testFolder);
+
+    const grid = value => ["ncols 4", "nrows 4", "xllcorner 600000", "yllcorner 5720000", "cellsize 100", "NODATA_value -9999"]
+        .concat(Array(4).fill(Array(4).fill(value).join(" "))).join("\n") + "\n";
+    fs.writeFileSync(path.join(testFolder, "fuels.asc"), grid(2));
+    fs.writeFileSync(path.join(testFolder, "elevation.asc"), grid(1200));
+    fs.writeFileSync(path.join(testFolder, "elevation.prj"), "Projection UTM\nZone 11\nDatum NAD83\nUnits METERS\nParameters\n");
+    fs.writeFileSync(path.join(testFolder, "fbp_lookup_table.csv"), "grid_value,export_value,descriptive_name,fuel_type,r,g,b,h,s,l\n" +
+        "1,1,Spruce-Lichen Woodland,C-1,209,255,115,54,255,185\n2,2,Boreal Spruce,C-2,34,102,51,95,128,68\n");
+
+    const weather = ["HOURLY,HOUR,TEMP,RH,WD,WS,PRECIP"];
+    for (const day of ["16/10/2001", "17/10/2001"]) {
+        for (let hour = 0; hour < 24; hour++) {
+            weather.push(`${day},${hour},15.0,30,270,20.0,0.0`);
+        }
+    }
+    fs.writeFileSync(path.join(testFolder, "weather.txt"), weather.join("\n") + "\n");
+
+    const setup = Object.assign({
+        inputs: { fuelMap: "fuels.asc", fuelLookupTable: "fbp_lookup_table.csv", elevation: "elevation.asc", projection: "elevation.prj", weather: "weather.txt" },
+        ignition: { time: "2001-10-16T13:00:00", location: [51.65, -115.36] },
+        simulation: { endTime: "2001-10-16T16:00:00", timezone: "America/Chicago" },
+        weather: {
+            stationHeight: 10, stationLocation: "51.65,-115.36", startTime: "2001-10-16", endTime: "2001-10-16",
+            hffmcValue: 94, hffmcHour: 17, startingFfmc: 89, startingDmc: 58, startingDc: 482, startingPrecipitation: 0
+        },
+        burningConditions: { minFwi: 19, minWindSpeed: 0, maxRelativeHumidity: 95, minIsi: 0 },
+        fgm: {
+            maxAccelerationTimeStep: "PT4M", distanceResolution: 8, perimeterResolution: 8, minimumSpreadRos: 1, stopAtGridEnd: false,
+            breaching: true, dynamicSpatialThreshold: true, spotting: true, retainHiddenTimeSteps: false, growthPercentileApplied: false, growthPercentile: 50
+        },
+        probabilistic: { ignitionDx: 1, ignitionDy: 1, ignitionDt: "PT10S" },
+        fbp: { terrainEffect: true, windEffect: true },
+        fmc: { percentOverride: -1, nodataElevation: 0 },
+        fwi: { spatialInterpolation: false, fromSpatialWeather: true, historyOnEffectedFwi: false, burningConditionsOn: false, temporalInterpolation: false },
+        run: { timeout: "PT1M" }
+    }, sections);
+    fs.writeFileSync(path.join(testFolder, "SimulationDictionary.json"), JSON.stringify(setup, null, 4));
+    return jobsFolder;
+}
+
+exports.createJobsFolder = createJobsFolder;
@@ -0,0 +1,299 @@
+/**
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+"use strict";
+/**
+ * A stand-in for the ./index of the W.I.S.E. JS API, to load job_fromc_sharp.js in tests without the API. It only
+ * holds what reading a simulation setup and building and running a job use: the classes are plain records of what they
+ * are given, the enums map each name to itself, and a job records every call made on it and on what it returns in calls.
+ * job_fromc_sharp.js still needs luxon, which the API depends on, where node can find it (e.g. through NODE_PATH).
+ *
+ * A job is sent to W.I.S.E. Builder and followed through the MQTT broker as mock_wise.js expects, which is not known to
+ * be how the API talks to W.I.S.E.: running a job against this stand-in and the mock checks job_fromc_sharp.js, not the
+ * protocols. The job is sent as the names of the calls made on it.
+ */
+
+Object.defineProperty(exports, "__esModule", { value: true });
+const events = require("events");
+const Module = require("module");
+const net = require("net");
+const path = require("path");
+
+// the W.I.S.E. Builder jobs are sent to, set by SocketHelper.initialize
+const builder = { address: null, port: null };
+
+// an enum of the API, every name maps to itself
+const names = () => new Proxy({}, { get: (target, name) => typeof name === "string" ? name : undefined });
+
+/**
+ * Record a call in a list of calls.
+ * @param calls The list of calls.
+ * @param name The name of the call, prefixed with that of the call that returned the object it was made on.
+ * @param args The arguments of the call.
+ * @returns The record of the call, on which calls are recorded in turn.
+ */
+function record(calls, name, args) {
+    const call = { name: name, args: args };
+    calls.push(call);
+    return new Proxy(call, {
+        get: (target, key) => key in target || typeof key !== "string" ? target[key] : (...args) => record(calls, `${name}.${key}`, args)
+    });
+}
+
+/**
+ * Send a job to W.I.S.E. Builder, see the header of mock_wise.js.
+ * @param data The data of the job.
+ * @param command The command that starts or validates the job.
+ * @returns A promise of the name of the new job.
+ */
+function sendJob(data, command) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(builder.port, builder.address);
+        let received = "";
+        let sent = false;
+        socket.on("error", reject);
+        socket.on("connect", () => socket.write("STARTUP\n"));
+        socket.on("data", chunk => {
+            received += chunk;
+            // READY, then the answer to the job on the next two lines
+            const lines = received.split("\n");
+            if (!sent && lines.length > 1) {
+                sent = true;
+                socket.write(`BEGINDATA\n${data}\nENDDATA\n${command}\n`);
+            }
+            else if (lines.length > 3) {
+                socket.end("SHUTDOWN\n");
+                if (lines[1] === "COMPLETE") {
+                    resolve(lines[2]);
+                } else {
+                    reject(Error(`W.I.S.E. Builder answered ${lines.slice(1, 3).join(" ")}`));
+                }
+            }
+        });
+    });
+}
+
+/**
+ * Encode an MQTT 3.1.1 control packet, with the remaining length written as a variable byte integer.
+ * @param first The first byte, the packet type and flags.
+ * @param body The variable header and payload.
+ */
+function mqttPacket(first, body) {
+    const header = [first];
+    let length = body.length;
+    do {
+        header.push((length % 128) | (length >= 128 ? 0x80 : 0));
+        length = Math.floor(length / 128);
+    } while (length > 0);
+    return Buffer.concat([Buffer.from(header), body]);
+}
+
+/**
+ * Encode a string as MQTT does, prefixed by its length.
+ * @param text The string.
+ */
+function mqttString(text) {
+    const bytes = Buffer.from(text);
+    return Buffer.concat([Buffer.from([bytes.length >> 8, bytes.length & 0xff]), bytes]);
+}
+
+/**
+ * Read an MQTT control packet from the start of a buffer.
+ * @param buffer The bytes received so far.
+ * @returns The type, the variable header and payload as body, and the length of the packet, or null if it has not all been received.
+ */
+function readMqttPacket(buffer) {
+    let length = 0;
+    let offset = 1;
+    for (let multiplier = 1; ; multiplier *= 128) {
+        if (offset >= buffer.length) {
+            return null;
+        }
+        const byte = buffer[offset++];
+        length += (byte & 0x7f) * multiplier;
+        if (!(byte & 0x80)) {
+            break;
+        }
+    }
+    if (buffer.length < offset + length) {
+        return null;
+    }
+    return { type: buffer[0] >> 4, body: buffer.subarray(offset, offset + length), length: offset + length };
+}
+
+/**
+ * Follows a job through the MQTT broker, emitting the events of the job manager of the API for the messages
+ * mock_wise.js publishes. Only QoS 0 is used.
+ */
+class JobManager extends events.EventEmitter {
+    constructor(jobName) {
+        super();
+        this.jobName = jobName;
+        this.socket = null;
+    }
+    static setDefaults(settings) {
+        JobManager.settings = settings;
+    }
+    start() {
+        const settings = JobManager.settings;
+        return new Promise((resolve, reject) => {
+            this.socket = net.connect(settings.port, settings.host);
+            this.socket.once("error", reject);
+            this.socket.on("connect", () => {
+                // CONNECT with a clean session, then SUBSCRIBE to every message of the job
+                this.socket.write(mqttPacket(0x10, Buffer.concat([mqttString("MQTT"), Buffer.from([4, 2, 0, 60]), mqttString("wise_stub")])));
+                this.socket.write(mqttPacket(0x82, Buffer.concat([Buffer.from([0, 1]), mqttString(`${settings.topic}/${this.jobName}/#`), Buffer.from([0])])));
+            });
+            let buffer = Buffer.alloc(0);
+            this.socket.on("data", chunk => {
+                buffer = Buffer.concat([buffer, chunk]);
+                let packet;
+                while ((packet = readMqttPacket(buffer)) != null) {
+                    buffer = buffer.subarray(packet.length);
+                    // SUBACK, the job is followed from here
+                    if (packet.type == 9) {
+                        resolve();
+                    }
+                    // PUBLISH, at QoS 0 the topic is followed by the payload
+                    else if (packet.type == 3) {
+                        const topicLength = packet.body.readUInt16BE(0);
+                        this.receive(packet.body.subarray(2, 2 + topicLength).toString(), JSON.parse(packet.body.subarray(2 + topicLength).toString()));
+                    }
+                }
+            });
+        });
+    }
+    /**
+     * Emit the event of a message of the job.
+     * @param topic The topic of the message, which ends with its type.
+     * @param message The payload of the message.
+     */
+    receive(topic, message) {
+        const time = message.time ? new Date(message.time) : null;
+        const type = topic.split("/").pop();
+        if (type === "validate") {
+            this.emit("validationReceived", { manager: this, validation: message });
+        }
+        else if (type === "statistics") {
+            this.emit("statisticsReceived", { manager: this, time: time, statistics: message.statistics });
+        }
+        else if (message.status === "ScenarioCompleted" || message.status === "ScenarioFailed") {
+            this.emit("scenarioComplete", { manager: this, time: time, success: message.status === "ScenarioCompleted", errorMessage: message.message });
+        }
+        else if (message.status === "Complete") {
+            this.emit("simulationComplete", { manager: this, time: time });
+        }
+    }
+    broadcastJobRerun(jobName) {
+        const payload = JSON.stringify({ request: "rerun", target: jobName });
+        this.socket.write(mqttPacket(0x30, Buffer.concat([mqttString(`${JobManager.settings.topic}/client/manager/request`), Buffer.from(payload)])));
+    }
+    dispose() {
+        // DISCONNECT
+        this.socket.end(mqttPacket(0xe0, Buffer.alloc(0)));
+    }
+}
+
+/**
+ * A job of the API that records every call made on it, and on what the calls return, in calls.
+ */
+class WISE {
+    constructor() {
+        this.calls = [];
+        this.attachments = [];
+        this.timestepSettings = { addStatistic: statistic => record(this.calls, "timestepSettings.addStatistic", [statistic]) };
+        return new Proxy(this, {
+            get: (target, name) => name in target || typeof name !== "string" ? target[name] : (...args) => record(target.calls, name, args)
+        });
+    }
+    addAttachment(filename, contents) {
+        this.attachments.push({ filename: filename, contents: contents });
+        return `attachment:/${this.attachments.length - 1}/${filename}`;
+    }
+    checkValid() {
+        return [];
+    }
+    async validateJobPromise() {
+        return { name: await sendJob(JSON.stringify(this.calls.map(call => call.name)), "STARTJOB_VALIDATE") };
+    }
+}
+
+const stub = {
+    globals: {
+        LatLon: class LatLon {
+            constructor(latitude, longitude) {
+                this.latitude = latitude;
+                this.longitude = longitude;
+            }
+        },
+        Duration: { createTime: (hours, minutes, seconds, negative) => ({ hours: hours, minutes: minutes, seconds: seconds, negative: negative }) },
+        TimeRange: class TimeRange {
+            constructor(start, end) {
+                this.start = start;
+                this.end = end;
+            }
+        },
+        GlobalStatistics: names(),
+        WISELogLevel: names(),
+        SocketHelper: {
+            initialize: (address, port) => Object.assign(builder, { address: address, port: port })
+        }
+    },
+    defaults: {
+        ServerConfiguration: class ServerConfiguration {
+            constructor() {
+                this.exampleDirectory = "@JOBS@";
+            }
+        }
+    },
+    wise: {
+        WISE: WISE,
+        VectorFileType: { KML: "KML", SHP: "SHP" },
+        GridFileType: names(),
+        Output_GridFileInterpolation: names(),
+        HFFMCMethod: names(),
+        FromFuel: names(),
+        WeatherPatchOperation: names(),
+        GridOutputOptions: class GridOutputOptions { }
+    },
+    fuels: {
+        FuelDefinition: class FuelDefinition { },
+        RGBColor: class RGBColor { },
+        MixedSpread: class MixedSpread { },
+        MixedDeadSpread: class MixedDeadSpread { }
+    },
+    client: {
+        JobManager: JobManager
+    }
+};
+
+/**
+ * Load a script of this repository with this stand-in as its ./index.
+ * @param file The script, relative to the folder of this repository.
+ * @returns The exports of the script.
+ */
+function requireWithStub(file) {
+    const script = path.join(__dirname, "..", "..", file);
+    // the stand-in is put in the module cache under a name of its own, which ./index of the script resolves to
+    const name = path.join(__dirname, "wise_stub_index");
+    require.cache[name] = Object.assign(new Module(name, module), { filename: name, loaded: true, exports: stub });
+    const resolve = Module._resolveFilename;
+    Module._resolveFilename = function (request, parent) {
+        if (request === "./index" && parent && parent.filename === script) {
+            return name;
+        }
+        return resolve.apply(this, arguments);
+    };
+    try {
+        return require(script);
+    } finally {
+        Module._resolveFilename = resolve;
+    }
+}
+
+exports.stub = stub;
+exports.requireWithStub = requireWithStub;
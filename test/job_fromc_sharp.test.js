@@ -0,0 +1,229 @@
+/**
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+"use strict";
+/**
+ * Runs job_fromc_sharp.js against mock_wise.js, in place of W.I.S.E. Builder and the MQTT broker, from the command line
+ * and as a library. The mock's protocols were not recorded from W.I.S.E., so these tests check what the script does
+ * with the progress of a job, not its traffic with W.I.S.E.
+ *
+ * Example Usage, from the folder of this repository:
+ * set WISE_DIST=C:\WISE_JS_API-main\dist
+ * node --test test/*.test.js
+ *
+ * The modules in test/helpers hold no tests, node --test without the test files loads them as well, as it does every
+ * script under a test folder.
+ * job_fromc_sharp.js needs the W.I.S.E. JS API, so it is run from WISE_DIST, the dist folder of the API that Program.cs
+ * copies it and geotiff.js to. Those tests are skipped if job_fromc_sharp.js is not next to the API there, the tests of
+ * runJob load it against wise_stub.js instead and always run. Every test writes its inputs and job folders to a new
+ * folder in the temporary directory.
+ */
+
+const assert = require("assert");
+const child_process = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { test } = require("node:test");
+const mock_wise_1 = require("../mock_wise");
+const fixtures_1 = require("./helpers/fixtures");
+const wise_stub_1 = require("./helpers/wise_stub");
+
+// the folder job_fromc_sharp.js is run from, next to the ./index of the W.I.S.E. JS API
+const scriptFolder = process.env.WISE_DIST || path.join(__dirname, "..");
+const skip = fs.existsSync(path.join(scriptFolder, "index.js")) && fs.existsSync(path.join(scriptFolder, "job_fromc_sharp.js"))
+    ? false
+    : `job_fromc_sharp.js and the W.I.S.E. JS API were not found in ${scriptFolder}, set WISE_DIST to the dist folder of the API`;
+
+/**
+ * Run job_fromc_sharp.js with --wait against a mock, for the simulation setup in a jobs directory.
+ * @param jobsFolder The jobs directory, as returned by createJobsFolder in fixtures.js.
+ * @param mock The mock, as returned by startMockWise.
+ * @param args The exports and other command line arguments.
+ * @returns The exit code and everything the script wrote to the console.
+ */
+function runJob(jobsFolder, mock, args) {
+    return new Promise(resolve => {
+        const child = child_process.spawn(process.execPath, [path.join(scriptFolder, "job_fromc_sharp.js"),
+            "--config", path.join(jobsFolder, "test", "SimulationDictionary.json"), "--wait",
+            "--builder", `127.0.0.1:${mock.builderPort}`, "--mqtt", `127.0.0.1:${mock.mqttPort}`, "--mqtt-topic", mock.topic,
+            "--jobs", jobsFolder].concat(args), { cwd: scriptFolder });
+        let output = "";
+        child.stdout.on("data", data => output += data);
+        child.stderr.on("data", data => output += data);
+        // run.timeout ends the script first, this is in case it hangs before it is started
+        const timer = setTimeout(() => child.kill(), 120000);
+        child.on("close", code => {
+            clearTimeout(timer);
+            resolve({ code: code, output: output });
+        });
+    });
+}
+
+/**
+ * Run a test with a new jobs directory and a mock playing a script, which are removed and stopped afterwards.
+ * @param script The script for the mock to play, see defaultScript in mock_wise.js.
+ * @param sections Sections to add to or replace in the simulation setup.
+ * @param body The test, given the jobs directory and the mock.
+ */
+async function withMock(script, sections, body) {
+    const jobsFolder = fixtures_1.createJobsFolder(sections);
+    const mock = await mock_wise_1.startMockWise({ script: script, jobsFolder: jobsFolder });
+    try {
+        await body(jobsFolder, mock);
+    } finally {
+        await mock.close();
+        fs.rmSync(jobsFolder, { recursive: true, force: true });
+    }
+}
+
+test("a job that runs to completion exits with 0 and collects its statistics and FGM", { skip }, () => withMock({}, {}, async (jobsFolder, mock) => {
+    const resultsFolder = path.join(jobsFolder, "results");
+    const result = await runJob(jobsFolder, mock, ["--results", resultsFolder, "-BG", "bg", "2001-10-16T16:00:00"]);
+    assert.strictEqual(result.code, 0, result.output);
+    assert.match(result.output, /FGM valid, starting job/);
+
+    assert.strictEqual(mock.jobs.length, 1);
+    const jobName = mock.jobs[0].name;
+    assert.ok(mock.published.some(message => (message.topic + message.payload).includes(jobName)), "the job was not rerun");
+    const outputsFolder = path.join(jobsFolder, jobName, "Outputs");
+    assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(path.join(outputsFolder, "scenarios.json"), "utf8"))), ["scen0"]);
+
+    const rows = fs.readFileSync(path.join(outputsFolder, "scen0", "statistics.csv"), "utf8").trim().split("\n");
+    assert.strictEqual(rows.length, 1 + mock.script.timesteps);
+    assert.match(rows[0], /TOTAL_BURN_AREA/);
+
+    // W.I.S.E. does not run, so the burn grid is reported missing
+    const manifest = JSON.parse(fs.readFileSync(path.join(resultsFolder, "manifest.json"), "utf8"));
+    assert.deepStrictEqual(manifest.files.map(file => file.file).sort(), ["job.fgmj", "scen0/statistics.csv", "scen0/statistics.json", "scenarios.json"]);
+    assert.deepStrictEqual(manifest.missing.map(file => file.file), ["scen0/bg.tif"]);
+}));
+
+test("an FGM that is not valid exits with 2 without running the job", { skip }, () => withMock({
+    validation: { success: true, valid: false, error_list: ["The ignition is outside of the fuel map"] }
+}, {}, async (jobsFolder, mock) => {
+    const result = await runJob(jobsFolder, mock, ["-BG", "bg", "2001-10-16T16:00:00"]);
+    assert.strictEqual(result.code, 2, result.output);
+    assert.match(result.output, /The submitted FGM is not valid/);
+    assert.match(result.output, /The ignition is outside of the fuel map/);
+
+    assert.strictEqual(mock.jobs.length, 1);
+    assert.ok(!mock.published.some(message => (message.topic + message.payload).includes(mock.jobs[0].name)), "the job was rerun");
+    assert.ok(!fs.existsSync(path.join(jobsFolder, mock.jobs[0].name, "Outputs", "scen0")));
+}));
+
+test("a failed scenario exits with 3 once every scenario has completed", { skip }, () => withMock({
+    scenarios: ["scen0", "scen1"],
+    failedScenarios: { scen1: "The weather stream ended before the simulation" },
+    simulationComplete: false
+}, {
+    sweep: { "fgm.distanceResolution": [4, 8] }
+}, async (jobsFolder, mock) => {
+    const result = await runJob(jobsFolder, mock, ["-BG", "bg_{scenario}", "2001-10-16T16:00:00"]);
+    assert.strictEqual(result.code, 3, result.output);
+    assert.match(result.output, /a scenario failed: scen1: The weather stream ended before the simulation/i);
+    assert.match(result.output, /All 2 scenario\(s\) complete, 1 failed/);
+
+    const outputsFolder = path.join(jobsFolder, mock.jobs[0].name, "Outputs");
+    for (const scenario of ["scen0", "scen1"]) {
+        assert.ok(fs.existsSync(path.join(outputsFolder, scenario, "statistics.csv")), `${scenario} has no statistics`);
+    }
+}));
+
+test("a job can be loaded, built and run as a library", { skip, timeout: 120000 }, () => withMock({}, {}, async (jobsFolder, mock) => {
+    const job = require(path.join(scriptFolder, "job_fromc_sharp.js"));
+    const config = job.loadConfig(path.join(jobsFolder, "test", "SimulationDictionary.json"), { jobsFolder: jobsFolder, exports: ["-BG", "bg", "2001-10-16T16:00:00"] });
+    assert.deepStrictEqual(config.scenarios.map(scenario => scenario.name), ["scen0"]);
+    assert.deepStrictEqual(config.exports.map(exp => exp.type), ["BG"]);
+    assert.throws(() => job.loadConfig({ inputs: {} }, { jobsFolder: jobsFolder }), /bad value/);
+
+    job.configureServer({ builderAddress: "127.0.0.1", builderPort: mock.builderPort, mqttAddress: "127.0.0.1", mqttPort: mock.mqttPort, mqttTopic: mock.topic });
+    const submitted = [];
+    const statistics = [];
+    const code = await job.runJob(job.buildJob(config, null), {
+        submitted: jobName => submitted.push(jobName),
+        statistics: args => statistics.push(args)
+    }, { scenarios: config.scenarios.length });
+    assert.strictEqual(code, job.exitCodes.success);
+    assert.deepStrictEqual(submitted, [mock.jobs[0].name]);
+    assert.strictEqual(statistics.length, mock.script.timesteps);
+}));
+
+test("a dry run writes the job definition and no other file", { skip }, () => withMock({}, {
+    inputs: { fuelMap: "fuels.asc", fuelTable: "fuels.csv", fuelTableMode: "lut", elevation: "elevation.asc", projection: "elevation.prj", weather: "weather.txt" },
+    fuelOptions: [{ fuelType: "C-2", crownBaseHeight: 7 }]
+}, async (jobsFolder, mock) => {
+    const testFolder = path.join(jobsFolder, "test");
+    fs.writeFileSync(path.join(testFolder, "fuels.csv"), "name,code,index,red,green,blue,percentConifer,percentDeadFir\nBoreal Spruce,C-2,2,34,102,51,,\n");
+    // hour 14 of the first day is missing, and filled
+    const lines = fs.readFileSync(path.join(testFolder, "weather.txt"), "utf8").split("\n");
+    fs.writeFileSync(path.join(testFolder, "weather.txt"), lines.slice(0, 15).concat(lines.slice(16)).join("\n"));
+    const files = folder => fs.readdirSync(folder).sort();
+    const before = { jobs: files(jobsFolder), test: files(testFolder) };
+
+    const result = await runJob(jobsFolder, mock, ["--dry-run", "--fill-weather-gaps", "1", "-BG", "bg", "2001-10-16T16:00:00"]);
+    assert.strictEqual(result.code, 0, result.output);
+    assert.strictEqual(mock.jobs.length, 0);
+    assert.deepStrictEqual(files(jobsFolder), before.jobs);
+    assert.deepStrictEqual(files(testFolder), before.test.concat(["SimulationDictionary.job.json"]).sort());
+    const definition = JSON.parse(fs.readFileSync(path.join(testFolder, "SimulationDictionary.job.json"), "utf8"));
+    assert.match(JSON.stringify(definition), /weather_filled\.txt/);
+}));
+
+/**
+ * Build the job of a jobs directory with job_fromc_sharp.js loaded against wise_stub.js, and run it against a mock.
+ * @param jobsFolder The jobs directory, as returned by createJobsFolder in fixtures.js.
+ * @param mock The mock, as returned by startMockWise.
+ * @param args The exports.
+ * @returns The exit code and the arguments each handler of runJob was called with.
+ */
+async function runStubbedJob(jobsFolder, mock, args) {
+    const job = wise_stub_1.requireWithStub("job_fromc_sharp.js");
+    const config = job.loadConfig(path.join(jobsFolder, "test", "SimulationDictionary.json"), { jobsFolder: jobsFolder, exports: args });
+    job.configureServer({ builderAddress: "127.0.0.1", builderPort: mock.builderPort, mqttAddress: "127.0.0.1", mqttPort: mock.mqttPort, mqttTopic: mock.topic });
+    const calls = { submitted: [], validation: [], statistics: [], scenarioComplete: [] };
+    const handlers = {};
+    Object.keys(calls).forEach(name => handlers[name] = args => calls[name].push(args));
+    const code = await job.runJob(job.buildJob(config, null), handlers, { scenarios: config.scenarios.length });
+    return Object.assign({ code: code, exitCodes: job.exitCodes }, calls);
+}
+
+test("runJob submits a job, reruns it once its FGM is valid and follows it to completion", () => withMock({}, {}, async (jobsFolder, mock) => {
+    const result = await runStubbedJob(jobsFolder, mock, ["-BG", "bg", "2001-10-16T16:00:00"]);
+    assert.strictEqual(result.code, result.exitCodes.success);
+    assert.deepStrictEqual(result.submitted, [mock.jobs[0].name]);
+    assert.deepStrictEqual(result.validation.map(args => args.validation.valid), [true]);
+    assert.deepStrictEqual(result.statistics.map(args => args.time.toISOString()),
+        ["2001-10-16T18:00:00.000Z", "2001-10-16T19:00:00.000Z", "2001-10-16T20:00:00.000Z"]);
+    assert.deepStrictEqual(result.scenarioComplete.map(args => args.success), [true]);
+
+    assert.strictEqual(mock.jobs.length, 1);
+    assert.match(mock.jobs[0].data.toString(), /addScenario/);
+    assert.ok(mock.published.some(message => (message.topic + message.payload).includes(mock.jobs[0].name)), "the job was not rerun");
+}));
+
+test("runJob stops at an FGM that is not valid without rerunning the job", () => withMock({
+    validation: { success: true, valid: false, error_list: ["The ignition is outside of the fuel map"] }
+}, {}, async (jobsFolder, mock) => {
+    const result = await runStubbedJob(jobsFolder, mock, ["-BG", "bg", "2001-10-16T16:00:00"]);
+    assert.strictEqual(result.code, result.exitCodes.validationFailed);
+    assert.deepStrictEqual(result.statistics, []);
+    assert.deepStrictEqual(mock.published, []);
+}));
+
+test("runJob completes once every scenario has, and reports one that failed", () => withMock({
+    scenarios: ["scen0", "scen1"],
+    failedScenarios: { scen1: "The weather stream ended before the simulation" },
+    simulationComplete: false
+}, {
+    sweep: { "fgm.distanceResolution": [4, 8] }
+}, async (jobsFolder, mock) => {
+    const result = await runStubbedJob(jobsFolder, mock, ["-BG", "bg_{scenario}", "2001-10-16T16:00:00"]);
+    assert.strictEqual(result.code, result.exitCodes.scenarioFailed);
+    assert.deepStrictEqual(result.scenarioComplete.map(args => [args.success, args.errorMessage]),
+        [[true, "scen0"], [false, "scen1: The weather stream ended before the simulation"]]);
+    assert.strictEqual(result.statistics.length, 2 * mock.script.timesteps);
+}));
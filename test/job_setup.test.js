@@ -0,0 +1,488 @@
+/**
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+"use strict";
+/**
+ * Reads simulation setups and exports with job_fromc_sharp.js loaded against wise_stub.js, so nothing here needs the
+ * W.I.S.E. JS API or W.I.S.E. Builder. luxon must be where node can find it.
+ */
+
+const assert = require("assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const luxon = require("luxon");
+const path = require("path");
+const { test } = require("node:test");
+const fixtures_1 = require("./helpers/fixtures");
+const geotiff_1 = require("../geotiff");
+const wise_stub_1 = require("./helpers/wise_stub");
+
+const job = wise_stub_1.requireWithStub("job_fromc_sharp.js");
+
+/**
+ * Run a test with a new jobs directory, which is removed afterwards.
+ * @param sections Sections to add to or replace in the simulation setup.
+ * @param body The test, given the jobs directory and the path of its simulation setup.
+ */
+function withJobsFolder(sections, body) {
+    const jobsFolder = fixtures_1.createJobsFolder(sections);
+    try {
+        return body(jobsFolder, path.join(jobsFolder, "test", "SimulationDictionary.json"));
+    } finally {
+        fs.rmSync(jobsFolder, { recursive: true, force: true });
+    }
+}
+
+test("loadConfig reads the simulation setup, its scenarios and the exports", () => withJobsFolder({}, (jobsFolder, setupFile) => {
+    const config = job.loadConfig(setupFile, { jobsFolder: jobsFolder, exports: ["-BG", "bg", "2001-10-16T16:00:00"] });
+    assert.strictEqual(config.file, setupFile);
+    assert.strictEqual(config.inputsFolder, jobsFolder + "/test/");
+    assert.strictEqual(config.ignitionTime.toISO(), "2001-10-16T13:00:00.000-05:00");
+    assert.strictEqual(config.endTime.toISO(), "2001-10-16T16:00:00.000-05:00");
+    assert.deepStrictEqual(config.weatherStations.map(station => station.file), [jobsFolder + "/test/weather.txt"]);
+    assert.deepStrictEqual(config.scenarios.map(scenario => scenario.name), ["scen0"]);
+    assert.deepStrictEqual(config.exports.map(exp => [exp.type, exp.filename, exp.time.toISO()]), [["BG", "bg.tif", "2001-10-16T16:00:00.000-05:00"]]);
+}));
+
+test("loadConfig takes the simulation setup as an object", () => withJobsFolder({}, (jobsFolder, setupFile) => {
+    const config = job.loadConfig(JSON.parse(fs.readFileSync(setupFile, "utf8")), { jobsFolder: jobsFolder });
+    assert.strictEqual(config.file, null);
+    assert.deepStrictEqual(config.exports, []);
+    assert.strictEqual(config.setup.fgm.distanceResolution, 8);
+}));
+
+test("loadConfig lists every bad value of the simulation setup at once", () => withJobsFolder({
+    ignition: { time: "not a time", location: [51.65, -115.36] },
+    fgm: { distanceResolution: 50 },
+    unknownSection: {}
+}, (jobsFolder, setupFile) => {
+    assert.throws(() => job.loadConfig(setupFile, { jobsFolder: jobsFolder }), error => {
+        assert.match(error.message, /^The simulation setup in .* has \d+ bad value\(s\):/);
+        assert.match(error.message, /ignition\.time/);
+        assert.match(error.message, /fgm\.distanceResolution/);
+        assert.match(error.message, /unknownSection: unknown section/);
+        return true;
+    });
+}));
+
+test("parseExport reads single times, time ranges and intervals", () => {
+    const [single] = job.parseExport("BG", ["bg", "2001-10-16T16:00:00-05:00"]);
+    assert.strictEqual(single.filename, "bg.tif");
+    assert.strictEqual(single.endTime, null);
+
+    const [range] = job.parseExport("ROS", ["ros.tif", "2001-10-16T13:00:00-05:00", "2001-10-16T16:00:00-05:00", "interpolation=closestVertex", "cellSize=200"]);
+    assert.strictEqual(+range.endTime, +new Date("2001-10-16T21:00:00Z"));
+    assert.strictEqual(range.cellSize, 200);
+
+    const steps = job.parseExport("AT", ["at", "2001-10-16T13:00:00-05:00", "2001-10-16T16:00:00-05:00", "PT1H"]);
+    assert.deepStrictEqual(steps.map(exp => exp.filename), Array(4).fill("at_{time}.tif"));
+    assert.deepStrictEqual(steps.map(exp => exp.time.toUTC().hour), [18, 19, 20, 21]);
+});
+
+test("parseExport rejects exports it cannot add", () => {
+    assert.throws(() => job.parseExport("XX", ["xx", "2001-10-16T16:00:00"]), /Unknown export type XX/);
+    assert.throws(() => job.parseExport("BG", ["bg"]), /Incorrect number of arguments for BG/);
+    assert.throws(() => job.parseExport("BG", ["bg", "yesterday"]), /"yesterday" is not an ISO time for BG/);
+    assert.throws(() => job.parseExport("BG", ["bg_{day}", "2001-10-16T16:00:00"]), /unknown token \{day\}/);
+    assert.throws(() => job.parseExport("BG", ["bg", "2001-10-16T16:00:00", "cellSize=-1"]), /The cellSize of BG/);
+    assert.throws(() => job.parseExport("AT", ["at", "2001-10-16T13:00:00", "2001-10-17T13:00:00", "PT1M"]),
+        /The interval of AT gives 1441 exports from at, more than the 1000 allowed/);
+    assert.strictEqual(job.parseExport("AT", ["at", "2001-10-16T13:00:00", "2001-10-17T13:00:00", "PT2M"]).length, 721);
+});
+
+test("every entry of the exports section is exported, and command line flags replace the entries of their type", () => withJobsFolder({
+    exports: [
+        { type: "ROS", filename: "ros_a", time: "2001-10-16T14:00:00" },
+        { type: "ROS", filename: "ros_b", time: "2001-10-16T15:00:00" },
+        { type: "BG", filename: "bg", time: "2001-10-16T16:00:00", clip: [51.6, -115.4, 51.7, -115.3] }
+    ]
+}, (jobsFolder, setupFile) => {
+    const config = job.loadConfig(setupFile, { jobsFolder: jobsFolder });
+    assert.deepStrictEqual(config.exports.map(exp => [exp.type, exp.filename, exp.time.hour]), [["ROS", "ros_a.tif", 14], ["ROS", "ros_b.tif", 15], ["BG", "bg.tif", 16]]);
+
+    const replaced = job.loadConfig(setupFile, { jobsFolder: jobsFolder, exports: ["-ROS", "ros", "2001-10-16T16:00:00"] });
+    assert.deepStrictEqual(replaced.exports.map(exp => [exp.type, exp.filename]), [["BG", "bg.tif"], ["ROS", "ros.tif"]]);
+}));
+
+test("a malformed exports section is reported with the other bad values", () => {
+    withJobsFolder({ exports: { type: "BG", filename: "bg", time: "2001-10-16T16:00:00" } }, (jobsFolder, setupFile) => {
+        assert.throws(() => job.loadConfig(setupFile, { jobsFolder: jobsFolder }), /exports: must be a list/);
+    });
+    withJobsFolder({
+        exports: [
+            { filename: "bg", time: "2001-10-16T16:00:00" },
+            "BG",
+            { type: "XX", filename: "xx", time: "2001-10-16T16:00:00" },
+            { type: "BG", filename: "bg", time: "2001-10-16T16:00:00", colour: "red" }
+        ]
+    }, (jobsFolder, setupFile) => {
+        assert.throws(() => job.loadConfig(setupFile, { jobsFolder: jobsFolder }), error => {
+            assert.match(error.message, /has 4 bad value\(s\):/);
+            assert.match(error.message, /exports\[0\]\.type: is required/);
+            assert.match(error.message, /exports\[1\]: must be an object/);
+            assert.match(error.message, /exports\[2\]: Unknown export type XX/);
+            assert.match(error.message, /exports\[3\]\.colour: unknown setting/);
+            return true;
+        });
+    });
+});
+
+test("a sweep creates one scenario per combination of the swept values", () => withJobsFolder({
+    sweep: { "fgm.distanceResolution": [4, 8], "fbp.windEffect": [true, false] }
+}, (jobsFolder, setupFile) => {
+    const config = job.loadConfig(setupFile, { jobsFolder: jobsFolder, exports: ["-BG", "bg_{scenario}", "2001-10-16T16:00:00"] });
+    assert.deepStrictEqual(config.scenarios.map(scenario => [scenario.name, scenario.values]), [
+        ["scen0", { "fgm.distanceResolution": 4, "fbp.windEffect": true }],
+        ["scen1", { "fgm.distanceResolution": 4, "fbp.windEffect": false }],
+        ["scen2", { "fgm.distanceResolution": 8, "fbp.windEffect": true }],
+        ["scen3", { "fgm.distanceResolution": 8, "fbp.windEffect": false }]
+    ]);
+    assert.deepStrictEqual(config.scenarios.map(scenario => scenario.setup.fgm.distanceResolution), [4, 4, 8, 8]);
+}));
+
+test("an ensemble samples the same members from the same seed", () => withJobsFolder({
+    ensemble: { count: 3, seed: 42, ignitionRadius: 500, ignitionTimeWindow: 30, windSpeedPercent: 10 }
+}, (jobsFolder, setupFile) => {
+    const first = job.loadConfig(setupFile, { jobsFolder: jobsFolder });
+    const second = job.loadConfig(setupFile, { jobsFolder: jobsFolder });
+    assert.deepStrictEqual(first.scenarios.map(member => member.name), ["scen0", "scen1", "scen2"]);
+    assert.deepStrictEqual(first.scenarios.map(member => member.values), second.scenarios.map(member => member.values));
+    assert.deepStrictEqual(first.scenarios.map(member => member.weather), second.scenarios.map(member => member.weather));
+    first.scenarios.forEach(member => {
+        const values = member.values;
+        assert.ok(Math.hypot(values["ignition.offsetNorth"], values["ignition.offsetEast"]) <= 500.1, JSON.stringify(values));
+        assert.ok(Math.abs(values["ignition.timeOffsetMinutes"]) <= 30, JSON.stringify(values));
+        assert.strictEqual(+member.ignitionTime, +first.ignitionTime.plus({ minutes: values["ignition.timeOffsetMinutes"] }));
+        assert.strictEqual(member.weather.length, 1);
+        assert.notStrictEqual(member.weather[0], fs.readFileSync(path.join(jobsFolder, "test", "weather.txt"), "utf8"));
+    });
+}));
+
+test("the weather must cover the simulation and gaps are only filled when asked", () => withJobsFolder({}, (jobsFolder, setupFile) => {
+    const weatherFile = path.join(jobsFolder, "test", "weather.txt");
+    const lines = fs.readFileSync(weatherFile, "utf8").split("\n");
+    // hours 14 and 15 of the first day are missing
+    fs.writeFileSync(weatherFile, lines.slice(0, 15).concat(lines.slice(17)).join("\n"));
+    assert.throws(() => job.loadConfig(setupFile, { jobsFolder: jobsFolder }), /2 hour\(s\) are missing after 2001-10-16 13:00, use --fill-weather-gaps/);
+    assert.throws(() => job.loadConfig(setupFile, { jobsFolder: jobsFolder, fillWeatherGaps: 1 }), /more than the 1 that --fill-weather-gaps fills/);
+    const inputs = fs.readdirSync(path.join(jobsFolder, "test")).sort();
+    const config = job.loadConfig(setupFile, { jobsFolder: jobsFolder, fillWeatherGaps: 2 });
+    assert.strictEqual(config.weatherStations[0].file, weatherFile.split(path.sep).join("/"));
+    assert.strictEqual(config.weatherStations[0].filled.split("\n").length, lines.length);
+    // the filled weather is only attached to the job, nothing is written next to the inputs
+    const prom = job.buildJob(config, null);
+    assert.deepStrictEqual(fs.readdirSync(path.join(jobsFolder, "test")).sort(), inputs);
+    const filled = prom.attachments.find(attachment => attachment.filename === "weather_filled.txt");
+    assert.strictEqual(filled.contents, config.weatherStations[0].filled);
+    assert.strictEqual(prom.calls.find(call => call.name === "addWeatherStation.addWeatherStream").args[0], `attachment:/${prom.attachments.indexOf(filled)}/weather_filled.txt`);
+
+    // the weather of the first day only ends before the simulation
+    fs.writeFileSync(weatherFile, lines.slice(0, 15).join("\n"));
+    assert.throws(() => job.loadConfig(setupFile, { jobsFolder: jobsFolder }), /ends at 2001-10-16 13:00, before the simulation ends at 2001-10-16 16:00/);
+}));
+
+test("times without an offset are read in the time zone of the simulation setup, not luxon's default zone", () => withJobsFolder({
+    simulation: { endTime: "2001-10-16T16:00:00", timezone: "America/Edmonton" }
+}, (jobsFolder, setupFile) => {
+    const defaultZone = luxon.Settings.defaultZone;
+    const config = job.loadConfig(setupFile, { jobsFolder: jobsFolder, exports: ["-BG", "bg", "2001-10-16T16:00:00"] });
+    assert.strictEqual(config.ignitionTime.toISO(), "2001-10-16T13:00:00.000-06:00");
+    assert.strictEqual(config.exports[0].time.toISO(), "2001-10-16T16:00:00.000-06:00");
+    assert.strictEqual(luxon.Settings.defaultZone, defaultZone);
+
+    const [exp] = job.parseExport("BG", ["bg", "2001-10-16T16:00:00"], luxon.IANAZone.create("America/Edmonton"));
+    assert.strictEqual(exp.time.toISO(), "2001-10-16T16:00:00.000-06:00");
+}));
+
+test("buildJob attaches the lookup table of a fuel table rather than writing it next to the inputs", () => withJobsFolder({
+    inputs: { fuelMap: "fuels.asc", fuelTable: "fuels.csv", fuelTableMode: "lut", elevation: "elevation.asc", projection: "elevation.prj", weather: "weather.txt" }
+}, (jobsFolder, setupFile) => {
+    fs.writeFileSync(path.join(jobsFolder, "test", "fuels.csv"), "name,code,index,red,green,blue,percentConifer,percentDeadFir\n" +
+        "C-2 Boreal Spruce,C-2,2,34,102,51,,\n");
+    const inputs = fs.readdirSync(path.join(jobsFolder, "test")).sort();
+    const prom = job.buildJob(job.loadConfig(setupFile, { jobsFolder: jobsFolder }), null);
+    assert.deepStrictEqual(fs.readdirSync(path.join(jobsFolder, "test")).sort(), inputs);
+
+    const lut = prom.attachments.find(attachment => attachment.filename === "fuels.lut");
+    assert.match(lut.contents, /^grid_value,.*\r\n2,2,C-2 Boreal Spruce,C-2,34,102,51,/);
+    const setLutFile = prom.calls.find(call => call.name === "setLutFile");
+    assert.strictEqual(setLutFile.args[0], `attachment:/${prom.attachments.indexOf(lut)}/fuels.lut`);
+}));
+
+test("a fuel table may quote values that hold commas, quotes and line breaks", () => withJobsFolder({
+    inputs: { fuelMap: "fuels.asc", fuelTable: "fuels.csv", fuelTableMode: "lut", elevation: "elevation.asc", projection: "elevation.prj", weather: "weather.txt" }
+}, (jobsFolder, setupFile) => {
+    const fuelTable = path.join(jobsFolder, "test", "fuels.csv");
+    fs.writeFileSync(fuelTable, "name,code,index,red,green,blue,percentConifer,percentDeadFir\r\n" +
+        "\"M-1 Boreal Mixedwood, Leafless (25% \"\"Conifer\"\")\",M-1,425,255,211,127,25,\r\n\"C-2 Boreal\nSpruce\" ,C-2,2,34,102,51,,\r\n");
+    const fuels = job.loadConfig(setupFile, { jobsFolder: jobsFolder }).setup.fuels;
+    assert.deepStrictEqual(fuels.map(fuel => [fuel.name, fuel.code, fuel.index]),
+        [["M-1 Boreal Mixedwood, Leafless (25% \"Conifer\")", "M-1", 425], ["C-2 Boreal\nSpruce", "C-2", 2]]);
+
+    fs.writeFileSync(fuelTable, "name,code,index,red,green,blue\n\"C-2 Boreal Spruce,C-2,2,34,102,51\n");
+    assert.throws(() => job.loadConfig(setupFile, { jobsFolder: jobsFolder }), /inputs\.fuelTable: .*fuels\.csv line 2 has a quote that is not closed/);
+    fs.writeFileSync(fuelTable, "name,code,index,red,green,blue\n\"C-2\" Boreal Spruce,C-2,2,34,102,51\n");
+    assert.throws(() => job.loadConfig(setupFile, { jobsFolder: jobsFolder }), /inputs\.fuelTable: .*fuels\.csv line 2 has B after the closing quote of a value/);
+}));
+
+test("fuel options choose scenarios by the day they start on and are attached to the job", () => withJobsFolder({
+    fuelOptions: [
+        { fuelType: "C-2", crownBaseHeight: 7, scenarioStartFrom: "2001-10-16", scenarioStartUntil: "2001-10-16" },
+        { fuelType: "C-1", crownBaseHeight: 3, scenarioStartFrom: "2001-10-17" }
+    ]
+}, (jobsFolder, setupFile) => {
+    const inputs = fs.readdirSync(path.join(jobsFolder, "test")).sort();
+    const prom = job.buildJob(job.loadConfig(setupFile, { jobsFolder: jobsFolder }), null);
+    assert.deepStrictEqual(fs.readdirSync(path.join(jobsFolder, "test")).sort(), inputs);
+
+    assert.deepStrictEqual(prom.attachments.filter(attachment => attachment.filename.startsWith("fuel_option")).map(attachment => attachment.filename),
+        ["fuel_option_0_crownBaseHeight.asc"]);
+    const grid = prom.attachments.find(attachment => attachment.filename === "fuel_option_0_crownBaseHeight.asc").contents;
+    assert.deepStrictEqual(grid.trim().split("\n").slice(-4), Array(4).fill("7 7 7 7"));
+    const addGridFile = prom.calls.find(call => call.name === "addGridFile");
+    assert.match(addGridFile.args[0], /^attachment:\/\d+\/fuel_option_0_crownBaseHeight\.asc$/);
+}));
+
+test("fuel options are reported with the other setup errors when the fuel map is not an ASCII grid", () => withJobsFolder({
+    inputs: { fuelMap: "fuels.tif", fuelLookupTable: "fbp_lookup_table.csv", elevation: "elevation.asc", projection: "elevation.prj", weather: "weather.txt" },
+    fuelOptions: [{ fuelType: "C-2", crownBaseHeight: 7 }],
+    fgm: { distanceResolution: 50 }
+}, (jobsFolder, setupFile) => {
+    assert.throws(() => job.loadConfig(setupFile, { jobsFolder: jobsFolder }), error => {
+        assert.match(error.message, /fuelOptions: need the fuel map as an ASCII grid \(\.asc\), inputs\.fuelMap fuels\.tif is not one/);
+        assert.match(error.message, /fgm\.distanceResolution/);
+        return true;
+    });
+}));
+
+test("a burning condition days file is read as a CSV table with empty cells left out", () => withJobsFolder({
+    burningConditionDays: { file: "burning_conditions.csv" }
+}, (jobsFolder, setupFile) => {
+    fs.writeFileSync(path.join(jobsFolder, "test", "burning_conditions.csv"), "date, startHour ,endHour,minFwi\r\n\r\n2001-10-16,10,,\r\n2001-10-17, 8 ,18,12\r\n");
+    const days = job.loadConfig(setupFile, { jobsFolder: jobsFolder }).setup.burningConditionDays;
+    assert.deepStrictEqual(days, { "2001-10-16": { startHour: 10 }, "2001-10-17": { startHour: 8, endHour: 18, minFwi: 12 } });
+}));
+
+test("every ensemble member must start within the simulation and the weather", () => {
+    withJobsFolder({ ensemble: { count: 2, ignitionTimeWindow: 180 } }, (jobsFolder, setupFile) => {
+        assert.throws(() => job.loadConfig(setupFile, { jobsFolder: jobsFolder }),
+            /ensemble\.ignitionTimeWindow: ignition 0 may start as late as 2001-10-16T16:00:00\.000-05:00, when the simulation has ended/);
+    });
+    withJobsFolder({
+        ignition: { time: "2001-10-16T01:00:00", location: [51.65, -115.36] },
+        ensemble: { count: 2, ignitionTimeWindow: 120 }
+    }, (jobsFolder, setupFile) => {
+        assert.throws(() => job.loadConfig(setupFile, { jobsFolder: jobsFolder }),
+            /starts at 2001-10-16 00:00, after the simulation starts at 2001-10-15 23:00/);
+    });
+    withJobsFolder({
+        perimeter: { type: "polygon", vertices: [[51.65, -115.36], [51.66, -115.36], [51.66, -115.35]], time: "2001-10-16T12:30:00" },
+        ensemble: { count: 2, ignitionTimeWindow: 60 }
+    }, (jobsFolder, setupFile) => {
+        assert.throws(() => job.loadConfig(setupFile, { jobsFolder: jobsFolder }),
+            /ensemble\.ignitionTimeWindow: ignition 1 may start as early as 2001-10-16T12:00:00\.000-05:00, before the perimeter was observed/);
+    });
+    withJobsFolder({ ensemble: { count: 5, seed: 1, ignitionTimeWindow: 60 } }, (jobsFolder, setupFile) => {
+        const config = job.loadConfig(setupFile, { jobsFolder: jobsFolder });
+        config.scenarios.forEach(scenario => assert.ok(scenario.ignitionTime < config.endTime));
+    });
+});
+
+test("the time of a perimeter file must agree with perimeter.time", () => withJobsFolder({
+    ignition: {},
+    perimeter: { file: "perimeter.kml", time: "2001-10-16T13:00:00" }
+}, (jobsFolder, setupFile) => {
+    const writeKml = when => fs.writeFileSync(path.join(jobsFolder, "test", "perimeter.kml"),
+        "<kml><Document><Placemark><name>perimeter</name>" + (when ? `<TimeStamp><when>${when}</when></TimeStamp>` : "") +
+        "<Polygon><outerBoundaryIs><LinearRing><coordinates>-115.36,51.65 -115.36,51.66 -115.35,51.66 -115.36,51.65</coordinates>" +
+        "</LinearRing></outerBoundaryIs></Polygon></Placemark></Document></kml>");
+    writeKml("2001-10-16T19:00:00Z");
+    assert.throws(() => job.loadConfig(setupFile, { jobsFolder: jobsFolder }),
+        /perimeter\.file: a polygon is observed at 2001-10-16T14:00:00\.000-05:00, not at perimeter\.time \(2001-10-16T13:00:00\.000-05:00\)/);
+
+    writeKml("2001-10-16T18:00:00Z");
+    assert.strictEqual(job.loadConfig(setupFile, { jobsFolder: jobsFolder }).ignitionTime.toISO(), "2001-10-16T13:00:00.000-05:00");
+    writeKml(null);
+    assert.strictEqual(job.loadConfig(setupFile, { jobsFolder: jobsFolder }).setup.perimeter.time.toISO(), "2001-10-16T13:00:00.000-05:00");
+}));
+
+test("a restart from a perimeter burns from the minute it was observed", () => withJobsFolder({
+    ignition: {},
+    perimeter: { type: "polygon", vertices: [[51.65, -115.36], [51.66, -115.36], [51.66, -115.35]], time: "2001-10-16T12:30:00" },
+    burningConditions: { startHour: 10, endHour: 20, minFwi: 19, minWindSpeed: 0, maxRelativeHumidity: 95, minIsi: 0 }
+}, (jobsFolder, setupFile) => {
+    const prom = job.buildJob(job.loadConfig(setupFile, { jobsFolder: jobsFolder }), null);
+    assert.deepStrictEqual(prom.calls.filter(call => call.name === "addScenario.addBurningCondition")
+        .map(call => [call.args[0].toISO(), call.args[1], call.args[2]]), [["2001-10-16T00:00:00.000-05:00", 12.5, 20]]);
+}));
+
+test("the statistics of a timestep are added to statistics.csv, and statistics.json is written once", () => withJobsFolder({}, jobsFolder => {
+    const outputsFolder = path.join(jobsFolder, "job_1", "Outputs");
+    const timestep = (hour, area) => ({ time: new Date(Date.UTC(2001, 9, 16, hour)), statistics: [{ key: "TOTAL_BURN_AREA", value: area }, { key: "SCENARIO_NAME", value: "scen0" }] });
+    const received = {};
+    job.recordStatistics(outputsFolder, timestep(18, 10), received);
+    job.recordStatistics(outputsFolder, timestep(19, 20), received);
+    assert.strictEqual(fs.readFileSync(path.join(outputsFolder, "scen0", "statistics.csv"), "utf8"),
+        "received,TOTAL_BURN_AREA,SCENARIO_NAME\n2001-10-16T18:00:00.000Z,10,scen0\n2001-10-16T19:00:00.000Z,20,scen0\n");
+    assert.ok(!fs.existsSync(path.join(outputsFolder, "scen0", "statistics.json")));
+
+    job.writeStatistics(outputsFolder, received);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(outputsFolder, "scen0", "statistics.json"), "utf8")).map(row => row.TOTAL_BURN_AREA), [10, 20]);
+}));
+
+test("collectResults copies the exports with their checksums and lists those that are missing", () => withJobsFolder({}, (jobsFolder, setupFile) => {
+    const config = job.loadConfig(setupFile, { jobsFolder: jobsFolder, exports: ["-BG", "bg", "2001-10-16T16:00:00", "-ROS", "ros", "2001-10-16T16:00:00"] });
+    const jobFolder = path.join(jobsFolder, "job_1");
+    fs.mkdirSync(path.join(jobFolder, "Outputs", "scen0"), { recursive: true });
+    // larger than the piece the checksum is read in
+    const contents = Buffer.alloc(2.5 * 1024 * 1024);
+    contents.forEach((value, index) => contents[index] = index % 251);
+    fs.writeFileSync(path.join(jobFolder, "Outputs", "scen0", "bg.tif"), contents);
+    fs.writeFileSync(path.join(jobFolder, "job.fgmj"), "{}");
+
+    const resultsFolder = path.join(jobsFolder, "results");
+    job.collectResults(config, jobFolder, resultsFolder, false);
+    const manifest = JSON.parse(fs.readFileSync(path.join(resultsFolder, "manifest.json"), "utf8"));
+    assert.deepStrictEqual(manifest.files.map(file => [file.file, file.sha256]), [
+        ["scen0/bg.tif", crypto.createHash("sha256").update(contents).digest("hex")],
+        ["job.fgmj", crypto.createHash("sha256").update("{}").digest("hex")]
+    ]);
+    assert.deepStrictEqual(manifest.missing.map(file => file.file), ["scen0/ros.tif"]);
+    assert.ok(fs.readFileSync(path.join(resultsFolder, "scen0", "bg.tif")).equals(contents));
+}));
+
+test("a simulation setup or lookup table that cannot be read is reported with its path", () => withJobsFolder({
+    fuelPatches: [{ type: "polygon", vertices: [[51.65, -115.36], [51.66, -115.36], [51.66, -115.35]], fromFuel: "all", toFuel: "Boreal Spruce" }]
+}, (jobsFolder, setupFile) => {
+    const missingSetup = path.join(jobsFolder, "test", "missing.txt");
+    assert.throws(() => job.loadConfig(missingSetup, { jobsFolder: jobsFolder }), error => error.message.startsWith(`Cannot read ${missingSetup}: ENOENT`));
+
+    fs.unlinkSync(path.join(jobsFolder, "test", "fbp_lookup_table.csv"));
+    assert.throws(() => job.loadConfig(setupFile, { jobsFolder: jobsFolder }), /inputs\.fuelLookupTable: Cannot read .*fbp_lookup_table\.csv: ENOENT/);
+}));
+
+test("W.I.S.E. is given the offset of the time zone when the simulation starts, and its clock times across a daylight saving change", () => {
+    withJobsFolder({}, (jobsFolder, setupFile) => {
+        const config = job.loadConfig(setupFile, { jobsFolder: jobsFolder });
+        assert.strictEqual(config.timezoneOffset, -300);
+        const prom = job.buildJob(config, null);
+        assert.deepStrictEqual(prom.calls.filter(call => call.name.startsWith("setTimezone")).map(call => [call.name, call.args]),
+            [["setTimezoneByOffset", [{ hours: 5, minutes: 0, seconds: 0, negative: true }]]]);
+    });
+    // daylight saving time ends in Chicago at 02:00 on 28 October 2001, when the clock goes back to 01:00
+    withJobsFolder({
+        ignition: { time: "2001-10-27T22:00:00", location: [51.65, -115.36] },
+        simulation: { endTime: "2001-10-28T16:00:00", timezone: "America/Chicago" },
+        weather: {
+            stationHeight: 10, stationLocation: "51.65,-115.36", startTime: "2001-10-27", endTime: "2001-10-28",
+            hffmcValue: 94, hffmcHour: 17, startingFfmc: 89, startingDmc: 58, startingDc: 482, startingPrecipitation: 0
+        },
+        burningConditions: { startHour: 10, endHour: 20, minFwi: 19, minWindSpeed: 0, maxRelativeHumidity: 95, minIsi: 0 },
+        weatherPatches: [{ type: "polygon", startTime: "2001-10-28T12:00:00", endTime: "2001-10-28T14:00:00", vertices: [[51.65, -115.36], [51.66, -115.36], [51.66, -115.35]],
+            windSpeed: { operation: "equal", value: 10 } }]
+    }, (jobsFolder, setupFile) => {
+        const weather = ["HOURLY,HOUR,TEMP,RH,WD,WS,PRECIP"];
+        for (const day of ["27/10/2001", "28/10/2001"]) {
+            for (let hour = 0; hour < 24; hour++) {
+                weather.push(`${day},${hour},15.0,30,270,20.0,0.0`);
+            }
+        }
+        fs.writeFileSync(path.join(jobsFolder, "test", "weather.txt"), weather.join("\n") + "\n");
+        const config = job.loadConfig(setupFile, { jobsFolder: jobsFolder });
+        assert.strictEqual(config.timezoneOffset, -300);
+        const prom = job.buildJob(config, null);
+        // 10:00 to 20:00 on the 28th by the clock of Chicago is 11:00 to 21:00 at UTC-05:00
+        assert.deepStrictEqual(prom.calls.filter(call => call.name === "addScenario.addBurningCondition")
+            .map(call => [call.args[0].toISO(), call.args[1], call.args[2]]),
+            [["2001-10-27T00:00:00.000-05:00", 10, 20], ["2001-10-28T00:00:00.000-05:00", 11, 21]]);
+        const patch = prom.calls.find(call => call.name === "addPolygonWeatherPatch");
+        assert.deepStrictEqual([patch.args[1].toISO(), patch.args[2], patch.args[4]], ["2001-10-28T13:00:00.000-05:00", "13:00:00", "15:00:00"]);
+        // the scenario still ends at the time given, with the offset of the time zone then
+        assert.strictEqual(prom.calls.find(call => call.name === "addScenario").args[1].toISO(), "2001-10-28T16:00:00.000-06:00");
+    });
+    withJobsFolder({ simulation: { endTime: "2001-10-16T16:00:00" } }, (jobsFolder, setupFile) => {
+        assert.throws(() => job.loadConfig(setupFile, { jobsFolder: jobsFolder }), /simulation\.timezone: is required unless the ignition, weather or end times give their offset/);
+    });
+    withJobsFolder({
+        ignition: { time: "2001-10-16T13:00:00-06:00", location: [51.65, -115.36] },
+        simulation: { endTime: "2001-10-16T16:00:00" }
+    }, (jobsFolder, setupFile) => {
+        assert.strictEqual(job.loadConfig(setupFile, { jobsFolder: jobsFolder }).timezoneOffset, -360);
+    });
+});
+
+test("readProjection projects into UTM and Transverse Mercator projections, and names one it does not support", () => withJobsFolder({}, jobsFolder => {
+    const projection = contents => {
+        const file = path.join(jobsFolder, "test", "projection.prj");
+        fs.writeFileSync(file, contents);
+        return job.readProjection(file);
+    };
+    // the worked example of Snyder, Map Projections - A Working Manual, pp. 269, in UTM zone 18
+    const expected = [627106.5, 4484124.4];
+    const near = (actual, expected, tolerance) => actual.forEach((value, index) => assert.ok(Math.abs(value - expected[index]) < tolerance, `${actual} is not ${expected}`));
+    near(projection("Projection UTM\nZone 18\nSpheroid CLARKE1866\nUnits METERS\nParameters\n")(40.5, -73.5), expected, 0.1);
+    const wkt = unit => `PROJCS["UTM 18",GEOGCS["NAD27",DATUM["North_American_Datum_1927",SPHEROID["Clarke 1866",6378206.4,294.9786982]],` +
+        `PRIMEM["Greenwich",0],UNIT["Degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",500000],` +
+        `PARAMETER["False_Northing",0],PARAMETER["Central_Meridian",-75],PARAMETER["Scale_Factor",0.9996],PARAMETER["Latitude_Of_Origin",0],UNIT[${unit}]]`;
+    near(projection(wkt('"Meter",1'))(40.5, -73.5), expected, 0.1);
+    near(projection(wkt('"Foot_US",0.3048006096012192'))(40.5, -73.5), expected.map(value => value / 0.3048006096012192), 0.5);
+    // the central meridian and equator of a zone in the south, given as a negative zone
+    near(projection("Projection UTM\nZone -11\nParameters\n")(0, -117), [500000, 10000000], 1e-6);
+
+    assert.throws(() => projection(wkt('"Meter",1').replace("Transverse_Mercator", "Lambert_Conformal_Conic")),
+        /projection\.prj is Lambert_Conformal_Conic, which is not supported, clipping exports needs a UTM \(with its zone\) or Transverse Mercator projection/);
+    assert.throws(() => projection("Projection UTM\nDatum NAD83\n"), /projection\.prj is UTM, which is not supported/);
+}));
+
+test("clipExports crops an export to the cells around the ignitions and reports one the extent misses", () => withJobsFolder({}, (jobsFolder, setupFile) => {
+    const config = job.loadConfig(setupFile, { jobsFolder: jobsFolder, exports: ["-ROS", "ros", "2001-10-16T16:00:00", "clip=120", "-AT", "at", "2001-10-16T16:00:00", "clip=10,10,11,11"] });
+    const outputsFolder = path.join(jobsFolder, "job_1", "Outputs");
+    fs.mkdirSync(path.join(outputsFolder, "scen0"), { recursive: true });
+    // a 10 by 10 grid of 100 m cells with the ignition in the middle of the cell in column 4, row 4
+    const [x, y] = job.readProjection(path.join(jobsFolder, "test", "elevation.prj"))(51.65, -115.36);
+    const grid = { width: 10, height: 10, tags: { 33550: { type: 12, values: [100, 100, 0] }, 33922: { type: 12, values: [0, 0, 0, x - 450, y + 450, 0] } } };
+    const data = Float64Array.from({ length: 100 }, (value, index) => index);
+    // the ROS grid of 16 bit integers
+    geotiff_1.writeGeoTiff(path.join(outputsFolder, "scen0", "ros.tif"), grid, data, -9999, { format: 2, bits: 16 });
+    geotiff_1.writeGeoTiff(path.join(outputsFolder, "scen0", "at.tif"), grid, data, -9999);
+
+    assert.throws(() => job.clipExports(config, outputsFolder), error => error.message === `Cannot clip ${path.join(outputsFolder, "scen0", "at.tif")}, the clip extent does not overlap it`);
+    const clipped = geotiff_1.readGeoTiff(path.join(outputsFolder, "scen0", "ros.tif"));
+    assert.deepStrictEqual([clipped.width, clipped.height, Array.from(clipped.data)], [3, 3, [33, 34, 35, 43, 44, 45, 53, 54, 55]]);
+    assert.deepStrictEqual(clipped.sampleFormat, { format: 2, bits: 16 });
+    const extent = geotiff_1.getGridExtent(clipped);
+    assert.ok(Math.abs(extent.x - (x - 150)) < 1e-6 && Math.abs(extent.y - (y + 150)) < 1e-6 && extent.dx == 100 && extent.dy == 100);
+}));
+
+test("a SimulationDictionary.txt written by Program.cs before the named sections is read in the CDT it was run in", () => withJobsFolder({}, jobsFolder => {
+    const testFolder = path.join(jobsFolder, "test");
+    // the lines Program.cs wrote, the 13 of its input file followed by the values it fixed
+    const lines = [testFolder, "fuels.asc", "fbp_lookup_table.csv", "elevation.asc", "elevation.prj", "weather.txt",
+        "2001-10-16T13:00:00", "51.65,-115.36", "2001-10-16T16:00:00", "10", "51.65,-115.36", "2001-10-16", "2001-10-16",
+        "94.0", "17", "89.0", "58.0", "482.0", "0.0",
+        "19", "0", "95.0", "0.0",
+        "4", "8.0", "8.0", "1.0", "false", "true", "true", "true", "false", "true", "50.0",
+        "1.0", "1.0", "0,10",
+        "true", "true",
+        "-1", "0.0",
+        "false", "true", "false", "false", "false"];
+    const setupFile = path.join(testFolder, "SimulationDictionary.txt");
+    fs.writeFileSync(setupFile, lines.join("\r\n") + "\r\n");
+    const config = job.loadConfig(setupFile, { jobsFolder: jobsFolder, exports: ["-ROS", "ROS", "2001-10-16T16:00:00"] });
+    assert.strictEqual(config.setup.timezone.name, "Etc/GMT+5");
+    assert.strictEqual(config.timezoneOffset, -300);
+    assert.strictEqual(config.ignitionTime.toISO(), "2001-10-16T13:00:00.000-05:00");
+    assert.strictEqual(config.exports[0].time.toISO(), "2001-10-16T16:00:00.000-05:00");
+    assert.strictEqual(config.setup.fgm.growthPercentile, 50);
+    job.buildJob(config, null);
+
+    // a time zone added as a last line, or times with their offset, are used instead
+    fs.writeFileSync(setupFile, lines.concat(["America/Edmonton"]).join("\n"));
+    assert.strictEqual(job.loadConfig(setupFile, { jobsFolder: jobsFolder }).timezoneOffset, -360);
+    fs.writeFileSync(setupFile, lines.map(line => line.replace(/T(\d\d:00:00)$/, "T$1-07:00")).join("\n"));
+    assert.strictEqual(job.loadConfig(setupFile, { jobsFolder: jobsFolder }).timezoneOffset, -420);
+}));
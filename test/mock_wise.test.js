@@ -0,0 +1,188 @@
+/**
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+"use strict";
+/**
+ * Checks the bytes mock_wise.js sends and accepts, over plain sockets: the MQTT 3.1.1 packets of its broker, written
+ * out by hand from the standard, and the line commands of its W.I.S.E. Builder.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { test } = require("node:test");
+const mock_wise_1 = require("../mock_wise");
+
+/**
+ * Connect to a port of the mock and collect what it sends.
+ * @param port The port.
+ * @returns The connection, with received holding every byte received so far, read(count) waiting for the next
+ *          count bytes, readLine() for the next line, and closed, a promise of the connection closing.
+ */
+async function connect(port) {
+    const socket = net.connect(port, "127.0.0.1");
+    await new Promise((resolve, reject) => socket.once("connect", resolve).once("error", reject));
+    const connection = { socket: socket, received: Buffer.alloc(0), waiting: null };
+    const check = () => {
+        if (connection.waiting && connection.waiting()) {
+            connection.waiting = null;
+        }
+    };
+    socket.on("data", data => {
+        connection.received = Buffer.concat([connection.received, data]);
+        check();
+    });
+    connection.closed = new Promise(resolve => socket.once("close", resolve));
+    const take = length => {
+        const taken = connection.received.subarray(0, length);
+        connection.received = connection.received.subarray(length);
+        return taken;
+    };
+    const wait = ready => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(Error(`Timed out with ${connection.received.toString("hex")} received`)), 5000);
+        connection.waiting = () => {
+            const result = ready();
+            if (result != null) {
+                clearTimeout(timer);
+                resolve(result);
+                return true;
+            }
+            return false;
+        };
+        check();
+    });
+    connection.read = count => wait(() => connection.received.length >= count ? take(count) : null);
+    connection.readLine = () => wait(() => {
+        const end = connection.received.indexOf("\n");
+        return end < 0 ? null : take(end + 1).toString().trim();
+    });
+    return connection;
+}
+
+/**
+ * Encode an MQTT control packet, with the remaining length written as a variable byte integer.
+ * @param first The first byte, the packet type and flags.
+ * @param body The variable header and payload.
+ */
+function packet(first, body) {
+    const length = [];
+    let remaining = body.length;
+    do {
+        length.push((remaining % 128) | (remaining >= 128 ? 0x80 : 0));
+        remaining = Math.floor(remaining / 128);
+    } while (remaining > 0);
+    return Buffer.concat([Buffer.from([first].concat(length)), body]);
+}
+
+/**
+ * Encode an MQTT string, prefixed by its length.
+ * @param text The string.
+ */
+function string(text) {
+    return Buffer.concat([Buffer.from([0, Buffer.byteLength(text)]), Buffer.from(text)]);
+}
+
+// CONNECT with the protocol name MQTT, level 4, a clean session, a keep alive of 60 seconds and the client identifier
+const connectPacket = id => packet(0x10, Buffer.concat([string("MQTT"), Buffer.from([4, 0x02, 0, 60]), string(id)]));
+
+/**
+ * Run a test with a mock, which is stopped and its jobs directory removed afterwards.
+ * @param body The test, given the mock.
+ */
+async function withMock(body) {
+    const jobsFolder = fs.mkdtempSync(path.join(os.tmpdir(), "wise_mock_"));
+    const mock = await mock_wise_1.startMockWise({ jobsFolder: jobsFolder, script: { delay: 1 } });
+    try {
+        await body(mock);
+    } finally {
+        await mock.close();
+        fs.rmSync(jobsFolder, { recursive: true, force: true });
+    }
+}
+
+test("the broker acknowledges CONNECT, SUBSCRIBE, UNSUBSCRIBE and PINGREQ", () => withMock(async mock => {
+    const client = await connect(mock.mqttPort);
+    client.socket.write(connectPacket("client"));
+    assert.deepStrictEqual([...await client.read(4)], [0x20, 2, 0, 0]);
+
+    // SUBSCRIBE with packet identifier 7 to two filters, both granted QoS 0
+    client.socket.write(packet(0x82, Buffer.concat([Buffer.from([0, 7]), string("wise/#"), Buffer.from([1]), string("other/+"), Buffer.from([0])])));
+    assert.deepStrictEqual([...await client.read(6)], [0x90, 4, 0, 7, 0, 0]);
+
+    client.socket.write(packet(0xa2, Buffer.concat([Buffer.from([0, 8]), string("other/+")])));
+    assert.deepStrictEqual([...await client.read(4)], [0xb0, 2, 0, 8]);
+
+    client.socket.write(Buffer.from([0xc0, 0]));
+    assert.deepStrictEqual([...await client.read(2)], [0xd0, 0]);
+
+    client.socket.write(Buffer.from([0xe0, 0]));
+    await client.closed;
+}));
+
+test("the broker delivers a message at QoS 0 to the subscriptions it matches", () => withMock(async mock => {
+    const subscriber = await connect(mock.mqttPort);
+    subscriber.socket.write(connectPacket("subscriber"));
+    await subscriber.read(4);
+    subscriber.socket.write(packet(0x82, Buffer.concat([Buffer.from([0, 1]), string("wise/+/manager/#"), Buffer.from([1])])));
+    await subscriber.read(5);
+
+    // a payload of 200 bytes takes two bytes of remaining length, and the packet is sent a byte at a time
+    const publisher = await connect(mock.mqttPort);
+    publisher.socket.write(connectPacket("publisher"));
+    await publisher.read(4);
+    const payload = Buffer.alloc(200, "x");
+    const publish = packet(0x32, Buffer.concat([string("wise/job_1/manager/status"), Buffer.from([0, 9]), payload]));
+    for (const byte of publish) {
+        publisher.socket.write(Buffer.from([byte]));
+    }
+    assert.deepStrictEqual([...await publisher.read(4)], [0x40, 2, 0, 9]);
+
+    const topicLength = "wise/job_1/manager/status".length;
+    const delivered = await subscriber.read(3 + 2 + topicLength + payload.length);
+    assert.deepStrictEqual([...delivered.subarray(0, 3)], [0x30, (2 + topicLength + payload.length) % 128 | 0x80, 1]);
+    assert.strictEqual(delivered.subarray(5, 5 + topicLength).toString(), "wise/job_1/manager/status");
+    assert.ok(delivered.subarray(5 + topicLength).equals(payload));
+
+    // QoS 2 takes PUBREC, PUBREL and PUBCOMP, and a topic outside the subscription is not delivered
+    publisher.socket.write(packet(0x34, Buffer.concat([string("wise/job_1/builder"), Buffer.from([0, 10]), Buffer.from("{}")])));
+    assert.deepStrictEqual([...await publisher.read(4)], [0x50, 2, 0, 10]);
+    publisher.socket.write(packet(0x62, Buffer.from([0, 10])));
+    assert.deepStrictEqual([...await publisher.read(4)], [0x70, 2, 0, 10]);
+    subscriber.socket.write(Buffer.from([0xc0, 0]));
+    assert.deepStrictEqual([...await subscriber.read(2)], [0xd0, 0]);
+    assert.deepStrictEqual(mock.published.map(message => message.topic), ["wise/job_1/manager/status", "wise/job_1/builder"]);
+
+    publisher.socket.destroy();
+    subscriber.socket.destroy();
+}));
+
+test("Builder answers STARTUP and GETDEFAULTS, and creates the folder of a job", () => withMock(async mock => {
+    const startup = await connect(mock.builderPort);
+    startup.socket.write("STARTUP\n");
+    assert.strictEqual(await startup.readLine(), "READY");
+    startup.socket.write("GETDEFAULTS\n");
+    assert.strictEqual(await startup.readLine(), "{}");
+    await startup.closed;
+
+    // ENDDATA only ends the data at the start of a line, so the data may hold it elsewhere and be binary
+    const data = Buffer.concat([Buffer.from([0, 1, 0xff, 0x0d]), Buffer.from("not ENDDATA\n"), Buffer.from([0x80, 0x0a, 0x41])]);
+    const submit = await connect(mock.builderPort);
+    submit.socket.write(Buffer.concat([Buffer.from("BEGINDATA\n"), data, Buffer.from("\nENDDATA\nSTARTJOB_VALIDATE\n")]));
+    assert.strictEqual(await submit.readLine(), "COMPLETE");
+    const name = await submit.readLine();
+    assert.deepStrictEqual(mock.jobs.map(job => [job.name, job.command]), [[name, "STARTJOB_VALIDATE"]]);
+    assert.ok(fs.readFileSync(path.join(mock.jobsFolder, name, "job.fgmj")).equals(Buffer.concat([data, Buffer.from("\n")])));
+    assert.ok(fs.statSync(path.join(mock.jobsFolder, name, "Outputs")).isDirectory());
+
+    submit.socket.write("SOMETHING\n");
+    assert.strictEqual(await submit.readLine(), "ERROR");
+    assert.strictEqual(await submit.readLine(), "Unknown command SOMETHING");
+    submit.socket.write("SHUTDOWN\n");
+    await submit.closed;
+}));